@@ -0,0 +1,341 @@
+import { BREAKPOINTS } from './breakpoints.js';
+import { validateAnalysisResponse } from './analysis-schema.js';
+
+// Backend profiles for the analysis request. A profile names an adapter, which turns the panel's
+// `/analyze` payload into an HTTP request and the answer back into recommendation fields.
+const BACKENDS_STORAGE_KEY = 'riaa:backends';
+const SESSION_KEYS_STORAGE_KEY = 'riaa:backend-keys';
+// The token grammar of RFC 9110. fetch() throws a TypeError for anything else, which would look like a
+// network error and be retried.
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+export const DEFAULT_BACKEND_TIMEOUT_MS = 30000;
+export const BACKEND_TIMEOUT_RANGE = { min: 1000, max: 300000 };
+
+export const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_JITTER = 0.25;
+
+export const BACKEND_ERRORS = {
+  cancelled: 'cancelled',
+  network: 'network',
+  timeout: 'timeout',
+  http: 'http',
+  invalidResponse: 'invalid-response'
+};
+
+const MODEL_SYSTEM_PROMPT = [
+  'You are a responsive image advisor for Webflow sites.',
+  'Given the rendered size of an element at each breakpoint, recommend the single image width to upload.',
+  'Answer with one JSON object and nothing else, using these keys:',
+  '"universalUploadSize" (integer px), "universalUploadHeight" (integer px or null),',
+  '"desktopRenderSize" (integer px), "mobileRenderSize" (integer px) and "explanation" (one or two sentences).'
+].join(' ');
+
+export const BACKEND_ADAPTERS = {
+  analyze: {
+    label: 'Advisor /analyze API',
+    source: 'backend',
+    buildRequest: (profile, payload) => ({
+      url: profile.url,
+      body: payload
+    }),
+    parseResponse: (data) => data
+  },
+  openai: {
+    label: 'OpenAI-compatible chat',
+    source: 'model',
+    buildRequest: (profile, payload) => ({
+      url: toChatCompletionsUrl(profile.url),
+      body: {
+        model: profile.model || undefined,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: MODEL_SYSTEM_PROMPT },
+          { role: 'user', content: buildModelPrompt(payload) }
+        ]
+      }
+    }),
+    parseResponse: parseChatCompletion
+  }
+};
+
+export function createDefaultBackendProfile() {
+  return {
+    id: 'default',
+    name: 'Advisor backend',
+    adapter: 'analyze',
+    url: '/analyze',
+    apiKeyHeader: '',
+    apiKey: '',
+    rememberApiKey: false,
+    timeoutMs: DEFAULT_BACKEND_TIMEOUT_MS,
+    model: ''
+  };
+}
+
+export function createBackendProfile(overrides = {}) {
+  return sanitizeBackendProfile({
+    ...createDefaultBackendProfile(),
+    id: `backend-${Date.now().toString(36)}`,
+    name: 'New backend',
+    ...overrides
+  });
+}
+
+export function sanitizeBackendProfile(profile) {
+  const defaults = createDefaultBackendProfile();
+  if (!profile || typeof profile !== 'object') return defaults;
+  const timeoutMs = Math.round(Number(profile.timeoutMs));
+  const apiKeyHeader = readText(profile.apiKeyHeader);
+  return {
+    id: typeof profile.id === 'string' && profile.id ? profile.id : defaults.id,
+    name: readText(profile.name) || defaults.name,
+    adapter: Object.hasOwn(BACKEND_ADAPTERS, profile.adapter) ? profile.adapter : defaults.adapter,
+    url: readText(profile.url) || defaults.url,
+    apiKeyHeader: isValidHeaderName(apiKeyHeader) ? apiKeyHeader : '',
+    apiKey: readText(profile.apiKey),
+    rememberApiKey: profile.rememberApiKey === true,
+    timeoutMs:
+      Number.isFinite(timeoutMs) && timeoutMs > 0
+        ? Math.min(Math.max(timeoutMs, BACKEND_TIMEOUT_RANGE.min), BACKEND_TIMEOUT_RANGE.max)
+        : defaults.timeoutMs,
+    model: readText(profile.model)
+  };
+}
+
+export function isValidHeaderName(name) {
+  return name === '' || HEADER_NAME_PATTERN.test(name);
+}
+
+// Profiles belong to the team running the advisor rather than to a site, so they are stored once per
+// browser. API keys stay in session storage, which is dropped with the tab, unless the profile opts in to
+// remembering its key. Profiles saved before the opt-in existed keep their stored key.
+export function loadBackendProfiles() {
+  try {
+    const raw = window.localStorage.getItem(BACKENDS_STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    const sessionKeys = readSessionKeys();
+    const profiles = Array.isArray(stored?.profiles)
+      ? stored.profiles.map((profile) =>
+          sanitizeBackendProfile({
+            ...profile,
+            apiKey: profile?.apiKey || sessionKeys[profile?.id] || '',
+            rememberApiKey: profile?.rememberApiKey ?? Boolean(profile?.apiKey)
+          })
+        )
+      : [];
+    if (!profiles.length) return { activeId: 'default', profiles: [createDefaultBackendProfile()] };
+    const activeId = profiles.some((profile) => profile.id === stored.activeId) ? stored.activeId : profiles[0].id;
+    return { activeId, profiles };
+  } catch (error) {
+    return { activeId: 'default', profiles: [createDefaultBackendProfile()] };
+  }
+}
+
+export function saveBackendProfiles(state) {
+  try {
+    const sessionKeys = {};
+    const profiles = state.profiles.map((profile) => {
+      if (profile.rememberApiKey || !profile.apiKey) return profile;
+      sessionKeys[profile.id] = profile.apiKey;
+      return { ...profile, apiKey: '' };
+    });
+    window.localStorage.setItem(BACKENDS_STORAGE_KEY, JSON.stringify({ ...state, profiles }));
+    window.sessionStorage.setItem(SESSION_KEYS_STORAGE_KEY, JSON.stringify(sessionKeys));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function readSessionKeys() {
+  try {
+    const stored = JSON.parse(window.sessionStorage.getItem(SESSION_KEYS_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Network errors and 5xx answers are retried with exponential backoff (0.5s, 1s, 2s, plus jitter).
+// Aborting `signal` cancels the request in flight or the wait before the next attempt.
+export async function requestAnalysis(
+  profile,
+  payload,
+  { signal = null, retries = DEFAULT_RETRIES, onRetry = null } = {}
+) {
+  const adapter = BACKEND_ADAPTERS[profile.adapter] ?? BACKEND_ADAPTERS.analyze;
+  const request = adapter.buildRequest(profile, payload);
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const data = await sendRequest(profile, request, signal);
+      const { value, errors } = validateAnalysisResponse(adapter.parseResponse(data, profile));
+      if (!value) {
+        const error = createBackendError(BACKEND_ERRORS.invalidResponse, `${profile.name} sent an invalid answer.`);
+        error.details = errors;
+        throw error;
+      }
+      return { ...value, source: adapter.source };
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      const delay = Math.round(RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() * RETRY_JITTER));
+      onRetry?.({ attempt: attempt + 1, retries, delay, error });
+      await waitForRetry(delay, signal);
+    }
+  }
+}
+
+export function isCancelledError(error) {
+  return error?.code === BACKEND_ERRORS.cancelled;
+}
+
+// The backend could not be reached at all, so the same request may well succeed later.
+export function isNetworkError(error) {
+  return error?.code === BACKEND_ERRORS.network;
+}
+
+async function sendRequest(profile, { url, body }, signal) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (profile.apiKey) {
+    const header = profile.apiKeyHeader || 'Authorization';
+    // A bare key in Authorization gets the Bearer scheme; keys that already name a scheme are sent as is.
+    const needsScheme = header.toLowerCase() === 'authorization' && !/^\S+\s/.test(profile.apiKey);
+    headers[header] = needsScheme ? `Bearer ${profile.apiKey}` : profile.apiKey;
+  }
+  if (signal?.aborted) throw createCancelledError();
+
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel);
+  const timer = window.setTimeout(() => controller.abort(), profile.timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const error = createBackendError(BACKEND_ERRORS.http, `${profile.name} returned HTTP ${response.status}.`);
+      error.status = response.status;
+      throw error;
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      if (controller.signal.aborted) throw error;
+      throw createBackendError(BACKEND_ERRORS.invalidResponse, `${profile.name} did not return JSON.`, error);
+    }
+  } catch (error) {
+    if (isBackendError(error)) throw error;
+    if (signal?.aborted) throw createCancelledError();
+    if (controller.signal.aborted) {
+      const seconds = profile.timeoutMs / 1000;
+      throw createBackendError(BACKEND_ERRORS.timeout, `${profile.name} did not answer within ${seconds}s.`);
+    }
+    throw createBackendError(BACKEND_ERRORS.network, `Unable to reach ${profile.name}.`, error);
+  } finally {
+    window.clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+function isBackendError(error) {
+  return Object.values(BACKEND_ERRORS).includes(error?.code);
+}
+
+function isRetryable(error) {
+  return isNetworkError(error) || (error?.code === BACKEND_ERRORS.http && error.status >= 500);
+}
+
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      window.clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = window.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export function buildModelPrompt(payload) {
+  const lines = [`Element: ${payload.element?.label ?? 'Selected element'} <${payload.element?.tagName ?? 'img'}>`];
+  lines.push(`Rendered CSS widths: ${formatBreakpointValues(payload.widths)}`);
+  if (payload.heights && Object.keys(payload.heights).length) {
+    lines.push(`Rendered CSS heights: ${formatBreakpointValues(payload.heights)}`);
+  }
+  const metadata = payload.metadata ?? {};
+  if (metadata.hiddenBreakpoints?.length) lines.push(`Hidden at: ${metadata.hiddenBreakpoints.join(', ')}`);
+  if (metadata.objectFit) lines.push(`object-fit: ${metadata.objectFit}`);
+  if (metadata.intrinsicAspectRatio) {
+    lines.push(`Intrinsic aspect ratio: ${Number(metadata.intrinsicAspectRatio).toFixed(3)}`);
+  }
+  if (metadata.asset?.naturalWidth && metadata.asset?.naturalHeight) {
+    lines.push(`Current asset: ${metadata.asset.naturalWidth}×${metadata.asset.naturalHeight}px`);
+  }
+  const settings = payload.settings;
+  if (settings) {
+    lines.push(
+      `Target pixel ratios: ${settings.pixelRatios.map((ratio) => `${ratio}x`).join(', ')}`,
+      `Round widths up to a multiple of ${settings.roundingStep}px and never exceed ${settings.maxUploadWidth}px.`
+    );
+  }
+  return lines.join('\n');
+}
+
+function parseChatCompletion(data, profile) {
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw createBackendError(BACKEND_ERRORS.invalidResponse, `${profile.name} returned no message.`);
+  }
+  let answer;
+  try {
+    answer = JSON.parse(extractJson(content));
+  } catch (error) {
+    throw createBackendError(BACKEND_ERRORS.invalidResponse, `${profile.name} did not answer with JSON.`, error);
+  }
+  return { ...answer, model: data.model ?? profile.model ?? null };
+}
+
+// Local models often wrap the JSON in a Markdown fence or add a sentence around it.
+function extractJson(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = fenced ? fenced[1] : content;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start >= 0 && end > start ? text.slice(start, end + 1) : text;
+}
+
+function toChatCompletionsUrl(url) {
+  const trimmed = url.replace(/\/+$/, '');
+  return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+}
+
+function formatBreakpointValues(values) {
+  return BREAKPOINTS.filter((breakpoint) => values?.[breakpoint.id])
+    .map((breakpoint) => `${breakpoint.label}: ${Math.round(values[breakpoint.id])}px`)
+    .join(', ');
+}
+
+function readText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function createCancelledError() {
+  return createBackendError(BACKEND_ERRORS.cancelled, 'The analysis was cancelled.');
+}
+
+function createBackendError(code, message, cause) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  return error;
+}
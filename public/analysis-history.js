@@ -0,0 +1,100 @@
+const HISTORY_STORAGE_PREFIX = 'riaa:history:';
+export const HISTORY_LIMIT = 100;
+
+export function createHistoryEntry({
+  selection,
+  measuredWidths,
+  recommendations,
+  page = null,
+  siteId = null,
+  timestamp = Date.now()
+}) {
+  return {
+    id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+    siteId,
+    page,
+    element: {
+      label: selection?.label ?? null,
+      tagName: selection?.tagName ?? null,
+      id: selection?.id ?? null,
+      selector: selection?.selector ?? null,
+      kind: selection?.kind ?? null
+    },
+    measuredWidths: measuredWidths ?? null,
+    recommendations: recommendations ?? null,
+    selection: toStoredSelection(selection)
+  };
+}
+
+export function loadHistory(siteId) {
+  try {
+    const raw = window.localStorage.getItem(getStorageKey(siteId));
+    const entries = raw ? JSON.parse(raw) : [];
+    return Array.isArray(entries) ? entries.filter((entry) => entry?.id && entry.element) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function addHistoryEntry(siteId, entry) {
+  const entries = [entry, ...loadHistory(siteId)].slice(0, HISTORY_LIMIT);
+  return persistHistory(siteId, entries);
+}
+
+export function clearHistory(siteId) {
+  try {
+    window.localStorage.removeItem(getStorageKey(siteId));
+  } catch (error) {
+    // Storage can be disabled in the Designer's sandboxed frame; there is nothing to clear then.
+  }
+  return [];
+}
+
+export function searchHistory(entries, query) {
+  const terms = String(query ?? '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!terms.length) return entries;
+  return entries.filter((entry) => {
+    const haystack = [
+      entry.element.label,
+      entry.element.selector,
+      entry.element.id,
+      entry.element.tagName,
+      entry.element.kind,
+      entry.page?.name,
+      entry.page?.slug
+    ]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+function persistHistory(siteId, entries) {
+  let stored = entries;
+  while (stored.length) {
+    try {
+      window.localStorage.setItem(getStorageKey(siteId), JSON.stringify(stored));
+      return stored;
+    } catch (error) {
+      // Over quota: drop the oldest half and retry so the newest analyses survive.
+      if (stored.length === 1) break;
+      stored = stored.slice(0, Math.ceil(stored.length / 2));
+    }
+  }
+  return entries;
+}
+
+function getStorageKey(siteId) {
+  return `${HISTORY_STORAGE_PREFIX}${siteId || 'unknown-site'}`;
+}
+
+function toStoredSelection(selection) {
+  if (!selection) return null;
+  const { elements, primary, ...stored } = selection;
+  return stored;
+}
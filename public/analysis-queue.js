@@ -0,0 +1,85 @@
+import { isCancelledError, isNetworkError } from './analysis-backends.js';
+
+// Backend requests that could not reach the backend, keyed by cache signature. They are replayed when the
+// browser comes back online and on a timer, because a backend that is down never fires `online`. The
+// timer starts at 30s and doubles after every replay that still cannot reach the backend, up to 5 minutes.
+export const QUEUE_RETRY_BASE_MS = 30000;
+export const QUEUE_RETRY_MAX_MS = 300000;
+
+export function createAnalysisQueue({ send, onAnswer, onFailure = null, onSettled = null, isOffline = () => false }) {
+  const entries = new Map();
+  let controller = null;
+  let timer = null;
+  let delay = QUEUE_RETRY_BASE_MS;
+
+  const schedule = () => {
+    window.clearTimeout(timer);
+    timer = entries.size ? window.setTimeout(flush, delay) : null;
+  };
+
+  // Sends every queued request in order with one AbortSignal, and stops at the first one that still
+  // cannot reach the backend. Resolves with the number of answers received, which `onSettled` also gets
+  // unless the replay was cancelled.
+  async function flush() {
+    window.clearTimeout(timer);
+    timer = null;
+    if (controller || !entries.size) return 0;
+    const current = new AbortController();
+    controller = current;
+    let sent = 0;
+    let unreachable = false;
+    try {
+      for (const entry of [...entries.values()]) {
+        if (isOffline()) {
+          unreachable = true;
+          break;
+        }
+        try {
+          const answer = await send(entry, current.signal);
+          entries.delete(entry.signature);
+          await onAnswer(entry, answer);
+          sent += 1;
+        } catch (error) {
+          if (isCancelledError(error) || current.signal.aborted) break;
+          if (isNetworkError(error)) {
+            unreachable = true;
+            break;
+          }
+          entries.delete(entry.signature);
+          onFailure?.(entry, error);
+        }
+      }
+    } finally {
+      controller = null;
+    }
+    if (current.signal.aborted) return sent;
+    delay = unreachable ? Math.min(delay * 2, QUEUE_RETRY_MAX_MS) : QUEUE_RETRY_BASE_MS;
+    schedule();
+    onSettled?.(sent);
+    return sent;
+  }
+
+  return {
+    get size() {
+      return entries.size;
+    },
+    get replaying() {
+      return Boolean(controller);
+    },
+    enqueue(entry) {
+      entries.set(entry.signature, entry);
+      if (!timer && !controller) schedule();
+    },
+    delete(signature) {
+      entries.delete(signature);
+      if (!entries.size) schedule();
+    },
+    flush,
+    // Aborts the replay in flight and drops every queued request.
+    cancel(reason) {
+      controller?.abort(reason);
+      entries.clear();
+      schedule();
+    }
+  };
+}
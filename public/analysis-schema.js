@@ -0,0 +1,227 @@
+import { BREAKPOINTS } from './breakpoints.js';
+import { FORMAT_MIME_TYPES } from './recommendation-engine.js';
+
+// Schema for answers from the AI backend. Validation returns a sanitized copy holding only the fields
+// below, so a broken or malicious backend cannot slip stray values or markup into the panel.
+export const MAX_IMAGE_DIMENSION = 16384;
+export const MAX_EXPLANATION_LENGTH = 1000;
+const MAX_LABEL_LENGTH = 100;
+const MAX_PIXEL_RATIO = 4;
+const MAX_NOTE_LENGTH = 300;
+const MAX_NOTES = 10;
+const REQUIRED_SIZE_FIELDS = ['universalUploadSize', 'desktopRenderSize', 'mobileRenderSize'];
+const OPTIONAL_SIZE_FIELDS = ['universalUploadHeight'];
+const BREAKPOINT_SIZE_FIELDS = {
+  renderWidth: true,
+  requiredWidth: true,
+  renderHeight: false,
+  requiredHeight: false
+};
+
+export function validateAnalysisResponse(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['The answer is not a JSON object.'] };
+  }
+
+  const value = {};
+  REQUIRED_SIZE_FIELDS.forEach((key) => {
+    const size = readSize(data[key], key, errors, true);
+    if (size !== null) value[key] = size;
+  });
+  OPTIONAL_SIZE_FIELDS.forEach((key) => {
+    const size = readSize(data[key], key, errors, false);
+    if (size !== null) value[key] = size;
+  });
+
+  if (data.explanation !== undefined && data.explanation !== null) {
+    if (typeof data.explanation !== 'string') {
+      errors.push('explanation must be a string.');
+    } else if (data.explanation.length > MAX_EXPLANATION_LENGTH) {
+      errors.push(`explanation is longer than ${MAX_EXPLANATION_LENGTH} characters.`);
+    } else {
+      value.explanation = toSafeText(data.explanation);
+    }
+  }
+
+  if (data.breakpoints !== undefined && data.breakpoints !== null) {
+    const breakpoints = readBreakpoints(data.breakpoints, errors);
+    if (breakpoints) value.breakpoints = breakpoints;
+  }
+
+  if (data.format !== undefined && data.format !== null) {
+    const format = readFormat(data.format, 'format', errors, true);
+    if (format) value.format = format;
+  }
+
+  if (data.cropWarnings !== undefined && data.cropWarnings !== null) {
+    value.cropWarnings = readNotes(data.cropWarnings, 'cropWarnings', errors).map((message) => ({ message }));
+  }
+
+  if (data.pixelRatios !== undefined && data.pixelRatios !== null) {
+    const pixelRatios = readPixelRatios(data.pixelRatios, errors);
+    if (pixelRatios.length) value.pixelRatios = pixelRatios;
+  }
+
+  if (typeof data.model === 'string' && data.model.trim()) {
+    value.model = toSafeText(data.model).slice(0, MAX_LABEL_LENGTH);
+  }
+
+  return errors.length ? { value: null, errors } : { value, errors };
+}
+
+// Strips markup and control characters. The panel renders text with textContent, but explanations also
+// end up in exported Markdown and CSV reports.
+export function toSafeText(text) {
+  return String(text)
+    .replace(/<[^>]*>/g, '')
+    .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function readBreakpoints(source, errors) {
+  if (typeof source !== 'object' || Array.isArray(source)) {
+    errors.push('breakpoints must be an object keyed by breakpoint id.');
+    return null;
+  }
+  const breakpoints = {};
+  Object.entries(source).forEach(([id, entry]) => {
+    const breakpoint = BREAKPOINTS.find((candidate) => candidate.id === id);
+    if (!breakpoint) {
+      errors.push(`breakpoints.${id} is not a known breakpoint.`);
+      return;
+    }
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`breakpoints.${id} must be an object.`);
+      return;
+    }
+    const sanitized = { label: breakpoint.label };
+    Object.entries(BREAKPOINT_SIZE_FIELDS).forEach(([key, required]) => {
+      sanitized[key] = readSize(entry[key], `breakpoints.${id}.${key}`, errors, required);
+    });
+    if (entry.densities !== undefined) {
+      sanitized.densities = readDensities(entry.densities, `breakpoints.${id}.densities`, errors);
+    }
+    breakpoints[id] = sanitized;
+  });
+  return Object.keys(breakpoints).length ? breakpoints : null;
+}
+
+function readDensities(source, path, errors) {
+  if (!Array.isArray(source)) {
+    errors.push(`${path} must be an array.`);
+    return [];
+  }
+  return source
+    .map((density, index) => {
+      const ratio = Number(density?.ratio);
+      if (typeof density?.ratio !== 'number' || !(ratio > 0 && ratio <= MAX_PIXEL_RATIO)) {
+        errors.push(`${path}[${index}].ratio must be a number between 0 and ${MAX_PIXEL_RATIO}.`);
+        return null;
+      }
+      const width = readSize(density.width, `${path}[${index}].width`, errors, true);
+      return width === null ? null : { ratio, width };
+    })
+    .filter(Boolean);
+}
+
+// Format advice is either a format id or an object shaped like the offline engine's advice. Fallbacks are
+// plain options without reasons of their own.
+function readFormat(source, path, errors, withDetails) {
+  const option = typeof source === 'string' ? { format: source } : source;
+  if (!option || typeof option !== 'object' || Array.isArray(option)) {
+    errors.push(`${path} must be a format id or an object.`);
+    return null;
+  }
+  const format = typeof option.format === 'string' ? option.format.toLowerCase() : null;
+  if (!Object.hasOwn(FORMAT_MIME_TYPES, format ?? '')) {
+    errors.push(`${path}.format must be one of ${Object.keys(FORMAT_MIME_TYPES).join(', ')}.`);
+    return null;
+  }
+  const lossless = option.lossless ?? false;
+  if (typeof lossless !== 'boolean') {
+    errors.push(`${path}.lossless must be a boolean.`);
+    return null;
+  }
+  let quality = null;
+  if (option.quality !== undefined && option.quality !== null && !lossless) {
+    if (typeof option.quality !== 'number' || !(option.quality >= 1 && option.quality <= 100)) {
+      errors.push(`${path}.quality must be a number between 1 and 100.`);
+      return null;
+    }
+    quality = Math.round(option.quality);
+  }
+  const advice = { format, mimeType: FORMAT_MIME_TYPES[format], quality, lossless };
+  if (!withDetails) return advice;
+
+  advice.reasons = option.reasons === undefined ? [] : readNotes(option.reasons, `${path}.reasons`, errors);
+  advice.alternatives = [];
+  if (option.alternatives !== undefined && option.alternatives !== null) {
+    if (!Array.isArray(option.alternatives)) {
+      errors.push(`${path}.alternatives must be an array.`);
+    } else {
+      advice.alternatives = option.alternatives
+        .slice(0, MAX_NOTES)
+        .map((alternative, index) => readFormat(alternative, `${path}.alternatives[${index}]`, errors, false))
+        .filter(Boolean);
+    }
+  }
+  return advice;
+}
+
+// Crop warnings and format reasons: short strings, or { message } objects as the offline engine writes them.
+function readNotes(source, path, errors) {
+  if (!Array.isArray(source)) {
+    errors.push(`${path} must be an array.`);
+    return [];
+  }
+  if (source.length > MAX_NOTES) {
+    errors.push(`${path} has more than ${MAX_NOTES} entries.`);
+    return [];
+  }
+  return source
+    .map((note, index) => {
+      const text = typeof note === 'string' ? note : note?.message;
+      if (typeof text !== 'string') {
+        errors.push(`${path}[${index}] must be a string.`);
+        return null;
+      }
+      if (text.length > MAX_NOTE_LENGTH) {
+        errors.push(`${path}[${index}] is longer than ${MAX_NOTE_LENGTH} characters.`);
+        return null;
+      }
+      return toSafeText(text) || null;
+    })
+    .filter(Boolean);
+}
+
+function readPixelRatios(source, errors) {
+  if (!Array.isArray(source)) {
+    errors.push('pixelRatios must be an array.');
+    return [];
+  }
+  const ratios = source.filter((ratio, index) => {
+    if (typeof ratio === 'number' && ratio > 0 && ratio <= MAX_PIXEL_RATIO) return true;
+    errors.push(`pixelRatios[${index}] must be a number between 0 and ${MAX_PIXEL_RATIO}.`);
+    return false;
+  });
+  return [...new Set(ratios)].sort((a, b) => a - b);
+}
+
+function readSize(source, path, errors, required) {
+  if (source === undefined || source === null) {
+    if (required) errors.push(`${path} is missing.`);
+    return null;
+  }
+  if (typeof source !== 'number' || !Number.isFinite(source)) {
+    errors.push(`${path} must be a number.`);
+    return null;
+  }
+  const size = Math.round(source);
+  if (size < 1 || size > MAX_IMAGE_DIMENSION) {
+    errors.push(`${path} must be between 1 and ${MAX_IMAGE_DIMENSION}px.`);
+    return null;
+  }
+  return size;
+}
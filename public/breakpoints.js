@@ -0,0 +1,51 @@
+export const BREAKPOINTS = [
+  { id: 'xxl', label: '1920px', minWidth: 1920, maxWidth: null, viewport: 1920, viewportHeight: 1080, mediaQuery: '(min-width: 1920px)' },
+  { id: 'xl', label: '1440px', minWidth: 1440, maxWidth: 1919, viewport: 1919, viewportHeight: 900, mediaQuery: '(min-width: 1440px)' },
+  { id: 'large', label: '1280px', minWidth: 1280, maxWidth: 1439, viewport: 1439, viewportHeight: 800, mediaQuery: '(min-width: 1280px)' },
+  { id: 'main', label: 'Desktop', minWidth: 992, maxWidth: 1279, viewport: 1279, viewportHeight: 720, mediaQuery: null },
+  { id: 'medium', label: 'Tablet', minWidth: 768, maxWidth: 991, viewport: 991, viewportHeight: 1024, mediaQuery: '(max-width: 991px)' },
+  { id: 'small', label: 'Mobile landscape', minWidth: 480, maxWidth: 767, viewport: 767, viewportHeight: 430, mediaQuery: '(max-width: 767px)' },
+  { id: 'tiny', label: 'Mobile portrait', minWidth: 0, maxWidth: 479, viewport: 479, viewportHeight: 800, mediaQuery: '(max-width: 479px)' }
+];
+
+export const BREAKPOINT_ALIASES = { desktop: 'main', tablet: 'medium', mobile: 'tiny' };
+
+export function getBreakpoint(id) {
+  const resolvedId = BREAKPOINT_ALIASES[id] ?? id;
+  return BREAKPOINTS.find((breakpoint) => breakpoint.id === resolvedId) ?? null;
+}
+
+export function resolveBreakpointWidths(widths, hiddenBreakpoints = []) {
+  const resolved = resolveBreakpointMap(widths, hiddenBreakpoints);
+  return BREAKPOINTS.filter((breakpoint) => resolved.has(breakpoint.id)).map((breakpoint) => ({
+    breakpoint,
+    width: resolved.get(breakpoint.id)
+  }));
+}
+
+// Hidden breakpoints never get a width, even when one was reported for them; an alias only fills
+// its breakpoint when that breakpoint was not measured.
+export function resolveBreakpointMap(values, hiddenBreakpoints = []) {
+  const resolved = new Map();
+  if (!values || typeof values !== 'object') return resolved;
+  BREAKPOINTS.forEach((breakpoint) => {
+    const value = toPositiveNumber(values[breakpoint.id]);
+    if (value && !hiddenBreakpoints.includes(breakpoint.id)) resolved.set(breakpoint.id, value);
+  });
+  Object.entries(BREAKPOINT_ALIASES).forEach(([alias, breakpointId]) => {
+    const value = toPositiveNumber(values[alias]);
+    if (value && !resolved.has(breakpointId) && !hiddenBreakpoints.includes(breakpointId)) {
+      resolved.set(breakpointId, value);
+    }
+  });
+  return resolved;
+}
+
+export function toPositiveNumber(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) return value;
+  if (typeof value === 'string') {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+  }
+  return null;
+}
@@ -0,0 +1,121 @@
+import { toPositiveNumber } from './breakpoints.js';
+import { DEFAULT_QUALITY, classifyContent } from './recommendation-engine.js';
+
+// Average encoded bytes per pixel at the quality presets the engine recommends, measured on typical
+// photographic and flat (logo/illustration) content. They are deliberately rough: good for ranking
+// and "about 480 KB" estimates, not for byte-exact budgets.
+export const BYTES_PER_PIXEL = {
+  photo: { avif: 0.1, webp: 0.14, jpeg: 0.22, png: 1.5, gif: 0.6 },
+  flat: { avif: 0.04, webp: 0.05, jpeg: 0.12, png: 0.08, gif: 0.08 }
+};
+
+// How the quality levels in the settings scale the balanced figures above, for lossy encodes only.
+export const QUALITY_MULTIPLIERS = { low: 0.8, balanced: 1, high: 1.3 };
+
+// Download throughput used for LCP estimates, matching Lighthouse's simulated throttling
+// (slow 4G for mobile, cable for desktop).
+export const NETWORK_PROFILES = {
+  mobile: { label: 'slow 4G', bytesPerSecond: 1.6e6 / 8 },
+  desktop: { label: 'cable', bytesPerSecond: 10e6 / 8 }
+};
+
+export const DEFAULT_ASPECT_RATIO = 1.5;
+const DEFAULT_FORMAT = 'jpeg';
+const LOSSY_FORMATS = ['avif', 'webp', 'jpeg'];
+const MOBILE_BREAKPOINTS = ['tiny', 'small'];
+const DESKTOP_BREAKPOINTS = ['main', 'large', 'xl', 'xxl'];
+
+export function estimateBytes(width, height, format, contentType = 'photo', quality = DEFAULT_QUALITY) {
+  const table = BYTES_PER_PIXEL[contentType] ?? BYTES_PER_PIXEL.photo;
+  const bytesPerPixel = table[format];
+  if (!bytesPerPixel || !toPositiveNumber(width) || !toPositiveNumber(height)) return null;
+  return Math.round(width * height * bytesPerPixel * getQualityMultiplier(format, contentType, quality));
+}
+
+export function estimateByteSavings(recommendations, selection) {
+  const universalWidth = toPositiveNumber(recommendations?.universalUploadSize);
+  if (!universalWidth) return null;
+
+  const contentType = classifyContent(selection?.content) ?? 'photo';
+  const currentFormat = selection?.content?.sourceFormat ?? DEFAULT_FORMAT;
+  const recommendedFormat = resolveEstimatedFormat(recommendations.format, contentType);
+  const aspectRatio = resolveAspectRatio(recommendations, selection);
+  const quality = Object.hasOwn(QUALITY_MULTIPLIERS, recommendations.quality) ? recommendations.quality : DEFAULT_QUALITY;
+
+  const naturalWidth = toPositiveNumber(selection?.naturalWidth);
+  const naturalHeight = toPositiveNumber(selection?.naturalHeight);
+  const transferSize = toPositiveNumber(selection?.transferSize);
+  const currentBytes =
+    transferSize ?? (naturalWidth && naturalHeight ? estimateBytes(naturalWidth, naturalHeight, currentFormat, contentType) : null);
+
+  const universalHeight = Math.round(universalWidth / aspectRatio);
+  const universalBytes = estimateBytes(universalWidth, universalHeight, recommendedFormat, contentType, quality);
+
+  const breakpoints = {};
+  Object.entries(recommendations.breakpoints ?? {}).forEach(([id, entry]) => {
+    const width = Math.min(toPositiveNumber(entry?.requiredWidth) ?? universalWidth, universalWidth);
+    const height = Math.round(width / aspectRatio);
+    const bytes = estimateBytes(width, height, recommendedFormat, contentType, quality);
+    breakpoints[id] = {
+      label: entry?.label ?? id,
+      width,
+      height,
+      bytes,
+      savings: currentBytes && bytes ? Math.max(0, currentBytes - bytes) : null
+    };
+  });
+
+  const mobileSavings = pickSavings(breakpoints, MOBILE_BREAKPOINTS);
+  const desktopSavings = pickSavings(breakpoints, DESKTOP_BREAKPOINTS);
+  return {
+    model: 'bytes-per-pixel',
+    contentType,
+    currentFormat,
+    recommendedFormat,
+    quality,
+    aspectRatio,
+    currentBytes,
+    currentBytesSource: transferSize ? 'transfer' : currentBytes ? 'estimated' : null,
+    universalBytes,
+    universalSavings: currentBytes && universalBytes ? Math.max(0, currentBytes - universalBytes) : null,
+    breakpoints,
+    mobileSavings,
+    desktopSavings,
+    lcp: {
+      mobileSeconds: estimateTransferSeconds(mobileSavings, NETWORK_PROFILES.mobile),
+      desktopSeconds: estimateTransferSeconds(desktopSavings, NETWORK_PROFILES.desktop)
+    }
+  };
+}
+
+export function estimateTransferSeconds(bytes, profile) {
+  if (!toPositiveNumber(bytes) || !profile?.bytesPerSecond) return null;
+  return Number((bytes / profile.bytesPerSecond).toFixed(2));
+}
+
+// Flat artwork is recommended as lossless WebP, which has no quality setting to scale.
+function getQualityMultiplier(format, contentType, quality) {
+  if (!LOSSY_FORMATS.includes(format) || (contentType === 'flat' && format === 'webp')) return 1;
+  return QUALITY_MULTIPLIERS[quality] ?? 1;
+}
+
+function resolveEstimatedFormat(advice, contentType) {
+  const table = BYTES_PER_PIXEL[contentType] ?? BYTES_PER_PIXEL.photo;
+  const options = advice?.format ? [advice, ...(advice.alternatives ?? [])] : [];
+  return options.map((option) => option.format).find((format) => table[format]) ?? DEFAULT_FORMAT;
+}
+
+function resolveAspectRatio(recommendations, selection) {
+  const naturalWidth = toPositiveNumber(selection?.naturalWidth);
+  const naturalHeight = toPositiveNumber(selection?.naturalHeight);
+  if (naturalWidth && naturalHeight) return naturalWidth / naturalHeight;
+  const uploadWidth = toPositiveNumber(recommendations?.universalUploadSize);
+  const uploadHeight = toPositiveNumber(recommendations?.universalUploadHeight);
+  if (uploadWidth && uploadHeight) return uploadWidth / uploadHeight;
+  return DEFAULT_ASPECT_RATIO;
+}
+
+function pickSavings(breakpoints, ids) {
+  const savings = ids.map((id) => breakpoints[id]?.savings).filter((value) => Number.isFinite(value));
+  return savings.length ? Math.min(...savings) : null;
+}
@@ -0,0 +1,151 @@
+// Request/response protocol between the panel and the designer script (webflow-app.js). The designer
+// script is a classic script and keeps its own copy of these constants; bump both together.
+export const PROTOCOL_CHANNEL = 'riaa';
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+export const DESIGNER_METHODS = {
+  hello: 'hello',
+  getSelection: 'selection.get',
+  resizePanel: 'panel.resize',
+  scanPage: 'page.scan',
+  measureElement: 'element.measure',
+  highlightElement: 'element.highlight',
+  focusElement: 'element.focus',
+  applyToElement: 'element.apply'
+};
+
+export const DESIGNER_EVENTS = { selectionChanged: 'selection.changed' };
+
+export const BRIDGE_ERRORS = {
+  notConnected: 'not-connected',
+  unsupportedVersion: 'unsupported-version',
+  unsupportedMethod: 'unsupported-method',
+  notFound: 'not-found',
+  partial: 'partial',
+  timeout: 'timeout'
+};
+
+export const DEFAULT_REQUEST_TIMEOUT_MS = 15000;
+const HANDSHAKE_TIMEOUT_MS = 2000;
+const HANDSHAKE_ATTEMPTS = 5;
+
+const pendingRequests = new Map();
+const eventHandlers = new Map();
+let postToDesigner = null;
+let requestSequence = 0;
+let connection = null;
+let connectPromise = null;
+
+export function configureBridge({ post }) {
+  postToDesigner = post;
+}
+
+export function connectBridge() {
+  if (connectPromise) return connectPromise;
+  connectPromise = performHandshake().catch((error) => {
+    connectPromise = null;
+    throw error;
+  });
+  return connectPromise;
+}
+
+export function getBridgeConnection() {
+  return connection;
+}
+
+export function hasDesignerCapability(method) {
+  return Boolean(connection?.capabilities.includes(method));
+}
+
+export async function callDesigner(method, params = {}, { timeout = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+  await connectBridge();
+  if (!hasDesignerCapability(method)) {
+    throw createBridgeError(BRIDGE_ERRORS.unsupportedMethod, `The designer script does not support ${method}.`);
+  }
+  return sendRequest(method, params, timeout);
+}
+
+export function onDesignerEvent(event, handler) {
+  if (!eventHandlers.has(event)) eventHandlers.set(event, new Set());
+  eventHandlers.get(event).add(handler);
+  return () => eventHandlers.get(event)?.delete(handler);
+}
+
+// Returns true when the message belonged to the protocol, so callers can ignore everything else.
+export function handleBridgeMessage(message) {
+  if (!message || message.channel !== PROTOCOL_CHANNEL) return false;
+  if (message.kind === 'response') {
+    const pending = pendingRequests.get(message.id);
+    if (!pending) return true;
+    pendingRequests.delete(message.id);
+    window.clearTimeout(pending.timer);
+    if (message.ok) {
+      pending.resolve(message.result ?? null);
+    } else {
+      const error = createBridgeError(message.error?.code ?? 'failed', message.error?.message ?? 'Designer request failed.');
+      if (message.result) error.result = message.result;
+      pending.reject(error);
+    }
+    return true;
+  }
+  if (message.kind === 'event' && message.version === connection?.version) {
+    eventHandlers.get(message.event)?.forEach((handler) => handler(message.params ?? {}));
+  }
+  return true;
+}
+
+async function performHandshake() {
+  let lastError = null;
+  for (let attempt = 0; attempt < HANDSHAKE_ATTEMPTS; attempt += 1) {
+    try {
+      const result = await sendRequest(
+        DESIGNER_METHODS.hello,
+        { versions: SUPPORTED_PROTOCOL_VERSIONS, events: Object.values(DESIGNER_EVENTS) },
+        HANDSHAKE_TIMEOUT_MS
+      );
+      if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result?.version)) {
+        throw createBridgeError(BRIDGE_ERRORS.unsupportedVersion, `Designer script speaks protocol ${result?.version}.`);
+      }
+      connection = {
+        version: result.version,
+        capabilities: Array.isArray(result.capabilities) ? result.capabilities : []
+      };
+      return connection;
+    } catch (error) {
+      lastError = error;
+      // The designer script can load after the panel, so only a missing answer is worth retrying.
+      if (error.code !== BRIDGE_ERRORS.timeout) throw error;
+    }
+  }
+  throw createBridgeError(BRIDGE_ERRORS.notConnected, 'The designer script did not answer.', lastError);
+}
+
+function sendRequest(method, params, timeout) {
+  return new Promise((resolve, reject) => {
+    const id = `panel-${++requestSequence}`;
+    const message = {
+      channel: PROTOCOL_CHANNEL,
+      version: connection?.version ?? PROTOCOL_VERSION,
+      kind: 'request',
+      id,
+      method,
+      params
+    };
+    if (!postToDesigner?.(message)) {
+      reject(createBridgeError(BRIDGE_ERRORS.notConnected, 'No Designer window to talk to.'));
+      return;
+    }
+    const timer = window.setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(createBridgeError(BRIDGE_ERRORS.timeout, `The Designer did not answer ${method} in time.`));
+    }, timeout);
+    pendingRequests.set(id, { resolve, reject, timer });
+  });
+}
+
+function createBridgeError(code, message, cause) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,248 @@
+import { BREAKPOINTS, getBreakpoint } from './breakpoints.js';
+
+// A stand-in for the Webflow Designer runtime (`window.webflow`) so the panel and the designer script
+// can run end to end on a plain local server. Fixture pages are rendered into a same-origin canvas
+// frame, and the designer script is loaded into that frame just like in the Designer.
+const SELECTION_EVENT = 'selectedelementchange';
+const BREAKPOINT_EVENT = 'mediaquery';
+const PAGE_EVENT = 'currentpage';
+const SELECTED_ATTRIBUTE = 'data-mock-selected';
+const ELEMENT_ID_ATTRIBUTE = 'data-mock-id';
+const ELEMENT_TYPES = {
+  img: 'Image',
+  picture: 'Image',
+  video: 'Video',
+  svg: 'HtmlEmbed',
+  canvas: 'HtmlEmbed',
+  section: 'Section',
+  a: 'Link'
+};
+const CANVAS_DOCUMENT = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <style>
+      body { margin: 0; font-family: system-ui, sans-serif; }
+      [${SELECTED_ATTRIBUTE}] { outline: 2px solid #3b82f6; outline-offset: -2px; }
+    </style>
+    <style id="mock-page-styles"></style>
+  </head>
+  <body></body>
+</html>`;
+
+export function createMockDesignerRuntime({
+  canvasFrame,
+  pages,
+  site = { id: 'mock-site', name: 'Mock site' },
+  breakpoint = 'main',
+  designerScriptUrl = './webflow-app.js',
+  onResize = null
+}) {
+  const listeners = new Map();
+  const wrappers = new WeakMap();
+  let elementSequence = 0;
+  let currentPage = pages[0] ?? null;
+  let currentBreakpoint = getBreakpoint(breakpoint) ?? BREAKPOINTS[0];
+  let selectedNodes = [];
+  let extensionSize = null;
+
+  const getDocument = () => canvasFrame.contentDocument;
+
+  const emit = (event, payload) => {
+    listeners.get(event)?.forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error('[Mock Designer]', `${event} listener failed.`, error);
+      }
+    });
+  };
+
+  const wrapElement = (node) => {
+    if (!node) return null;
+    if (wrappers.has(node)) return wrappers.get(node);
+    if (!node.hasAttribute(ELEMENT_ID_ATTRIBUTE)) {
+      node.setAttribute(ELEMENT_ID_ATTRIBUTE, `mock-${++elementSequence}`);
+    }
+    const tagName = node.tagName.toLowerCase();
+    const image = tagName === 'picture' ? node.querySelector('img') : node;
+    const custom = new Map();
+    // Attributes the page rendered before the extension touched them, so removing a custom
+    // attribute restores what Webflow itself would output.
+    const rendered = new Map();
+    const element = {
+      id: node.id || node.getAttribute(ELEMENT_ID_ATTRIBUTE),
+      type: ELEMENT_TYPES[tagName] ?? 'Block',
+      name: node.dataset.name ?? null,
+      domNode: node,
+      customAttributes: true,
+      async getCustomAttribute(name) {
+        return custom.get(name) ?? null;
+      },
+      async getAllCustomAttributes() {
+        return Array.from(custom, ([name, value]) => ({ name, value }));
+      },
+      async setCustomAttribute(name, value) {
+        if (!rendered.has(name)) rendered.set(name, image.getAttribute(name));
+        custom.set(name, String(value));
+        image.setAttribute(name, String(value));
+      },
+      async removeCustomAttribute(name) {
+        custom.delete(name);
+        const original = rendered.get(name) ?? null;
+        if (original === null) image.removeAttribute(name);
+        else image.setAttribute(name, original);
+      },
+      async save() {}
+    };
+    if (image?.tagName?.toLowerCase() === 'img') {
+      element.getAltText = async () => image.getAttribute('alt') ?? '';
+      element.setAltText = async (text) => image.setAttribute('alt', text ?? '');
+    }
+    wrappers.set(node, element);
+    return element;
+  };
+
+  const wrapPage = (page) => ({
+    id: page.id,
+    async getName() {
+      return page.name;
+    },
+    async getSlug() {
+      return page.slug;
+    }
+  });
+
+  const selectNodes = (nodes) => {
+    selectedNodes.forEach((node) => node.removeAttribute(SELECTED_ATTRIBUTE));
+    selectedNodes = nodes.filter(Boolean);
+    selectedNodes.forEach((node) => node.setAttribute(SELECTED_ATTRIBUTE, ''));
+    emit(SELECTION_EVENT, selectedNodes.map(wrapElement));
+  };
+
+  const resolveNodes = (selectors) =>
+    (Array.isArray(selectors) ? selectors : [selectors])
+      .map((selector) => getDocument()?.querySelector(selector) ?? null)
+      .filter(Boolean);
+
+  const renderPage = (page) => {
+    const doc = getDocument();
+    currentPage = page;
+    selectedNodes = [];
+    doc.getElementById('mock-page-styles').textContent = page.styles ?? '';
+    doc.body.innerHTML = page.render();
+    doc.title = page.name;
+  };
+
+  const handleCanvasClick = (event) => {
+    const target = event.target.closest?.('svg') ?? event.target;
+    if (!target || target === event.currentTarget.body) return;
+    event.preventDefault();
+    const nodes = event.shiftKey
+      ? selectedNodes.includes(target)
+        ? selectedNodes.filter((node) => node !== target)
+        : [...selectedNodes, target]
+      : [target];
+    selectNodes(nodes);
+  };
+
+  const runtime = {
+    designerScript: true,
+    get breakpoint() {
+      return { id: currentBreakpoint.id, name: currentBreakpoint.label };
+    },
+    ready(callback) {
+      callback();
+    },
+    subscribe(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => listeners.get(event)?.delete(handler);
+    },
+    on(event, handler) {
+      return runtime.subscribe(event, handler);
+    },
+    async getSelectedElements() {
+      return selectedNodes.map(wrapElement);
+    },
+    async getSelectedElement() {
+      return wrapElement(selectedNodes[0] ?? null);
+    },
+    async setSelectedElement(element) {
+      selectNodes([element?.domNode ?? null]);
+      return element;
+    },
+    async getAllElements() {
+      return Array.from(getDocument()?.body?.querySelectorAll('*') ?? [])
+        .filter((node) => !node.closest('svg') || node.tagName.toLowerCase() === 'svg')
+        .map(wrapElement);
+    },
+    async getMediaQuery() {
+      return currentBreakpoint.id;
+    },
+    async setExtensionSize(size) {
+      extensionSize = size;
+      onResize?.(size);
+    },
+    async getSiteInfo() {
+      return { siteId: site.id, siteName: site.name, shortName: site.id };
+    },
+    async getCurrentPage() {
+      return currentPage ? wrapPage(currentPage) : null;
+    },
+    async getAllPagesAndFolders() {
+      return pages.map(wrapPage);
+    },
+    async switchPage(page) {
+      runtime.mock.loadPage(page?.id);
+    },
+    mock: {
+      mount() {
+        const doc = getDocument();
+        doc.open();
+        doc.write(CANVAS_DOCUMENT);
+        doc.close();
+        doc.defaultView.webflow = runtime;
+        doc.addEventListener('click', handleCanvasClick, true);
+        runtime.mock.setBreakpoint(currentBreakpoint.id);
+        if (currentPage) renderPage(currentPage);
+        const script = doc.createElement('script');
+        script.src = new URL(designerScriptUrl, window.location.href).href;
+        doc.head.appendChild(script);
+      },
+      loadPage(pageId) {
+        const page = pages.find((entry) => entry.id === pageId);
+        if (!page) throw new Error(`Unknown fixture page: ${pageId}`);
+        renderPage(page);
+        emit(PAGE_EVENT, wrapPage(page));
+        emit(SELECTION_EVENT, []);
+      },
+      select(selectors) {
+        const nodes = resolveNodes(selectors);
+        if (!nodes.length) console.warn('[Mock Designer]', 'No fixture element matches', selectors);
+        selectNodes(nodes);
+      },
+      setBreakpoint(id) {
+        const next = getBreakpoint(id);
+        if (!next) throw new Error(`Unknown breakpoint: ${id}`);
+        currentBreakpoint = next;
+        canvasFrame.style.width = `${next.viewport}px`;
+        canvasFrame.style.height = `${next.viewportHeight}px`;
+        emit(BREAKPOINT_EVENT, next.id);
+      },
+      // Steps run in order: { page }, { breakpoint }, { select: selector | selector[] } and { wait: ms }.
+      async play(steps) {
+        for (const step of steps) {
+          if (step.page) runtime.mock.loadPage(step.page);
+          if (step.breakpoint) runtime.mock.setBreakpoint(step.breakpoint);
+          if (step.select !== undefined) runtime.mock.select(step.select);
+          if (step.wait) await new Promise((resolve) => window.setTimeout(resolve, step.wait));
+        }
+      },
+      getPage: () => currentPage,
+      getExtensionSize: () => extensionSize
+    }
+  };
+
+  return runtime;
+}
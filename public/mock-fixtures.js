@@ -0,0 +1,109 @@
+// Fixture pages and selection scripts for the mock Designer (dev.html). Images are drawn at runtime so
+// the fixtures stay self-contained and every intrinsic size is known up front.
+const imageCache = new Map();
+
+export function createFixtureImage(width, height, hue = 210) {
+  const key = `${width}x${height}:${hue}`;
+  if (imageCache.has(key)) return imageCache.get(key);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const gradient = context.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, `hsl(${hue}, 70%, 55%)`);
+  gradient.addColorStop(1, `hsl(${(hue + 60) % 360}, 70%, 35%)`);
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  context.font = `${Math.round(Math.min(width, height) / 8)}px system-ui, sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(`${width}×${height}`, width / 2, height / 2);
+  const url = canvas.toDataURL('image/jpeg', 0.7);
+  imageCache.set(key, url);
+  return url;
+}
+
+const ICON_SVG = `<svg class="feature-icon" viewBox="0 0 24 24" width="32" height="32" aria-hidden="true">
+  <circle cx="12" cy="12" r="10" fill="none" stroke="currentColor" stroke-width="2" />
+  <path d="M8 12l3 3 5-6" fill="none" stroke="currentColor" stroke-width="2" />
+</svg>`;
+
+export const MOCK_FIXTURE_PAGES = [
+  {
+    id: 'home',
+    name: 'Home',
+    slug: '',
+    styles: `
+      .hero-image { display: block; width: 100%; height: auto; }
+      .cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; padding: 24px; }
+      .card-image { width: 100%; height: auto; display: block; }
+      .features { display: flex; gap: 16px; padding: 24px; color: #1d4ed8; }
+      .banner { height: 320px; background-size: cover; background-position: center; }
+      @media (max-width: 991px) { .cards { grid-template-columns: repeat(2, 1fr); } }
+      @media (max-width: 767px) { .cards { grid-template-columns: 1fr; } .banner { display: none; } }
+    `,
+    render: () => `
+      <section class="hero" data-name="Hero">
+        <img id="hero-image" class="hero-image" data-name="Hero image" alt="" src="${createFixtureImage(2400, 1200, 210)}" />
+      </section>
+      <div class="cards">
+        ${[20, 140, 300]
+          .map(
+            (hue, index) =>
+              `<img class="card-image card-${index + 1}" data-name="Card image ${index + 1}" alt="Card ${index + 1}" loading="lazy" src="${createFixtureImage(1200, 800, hue)}" />`
+          )
+          .join('')}
+      </div>
+      <div class="features">${ICON_SVG}${ICON_SVG}${ICON_SVG}</div>
+      <div id="banner" class="banner" data-name="Banner" style="background-image: url('${createFixtureImage(1920, 640, 30)}')"></div>
+    `
+  },
+  {
+    id: 'gallery',
+    name: 'Gallery',
+    slug: 'gallery',
+    styles: `
+      .gallery { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; padding: 8px; }
+      .gallery img { width: 100%; height: auto; display: block; }
+      .chart { display: block; width: 100%; max-width: 800px; margin: 24px auto; }
+      @media (max-width: 991px) { .gallery { grid-template-columns: repeat(2, 1fr); } }
+    `,
+    render: () => `
+      <div class="gallery" data-name="Gallery">
+        ${Array.from(
+          { length: 8 },
+          (_, index) =>
+            `<img class="gallery-image gallery-${index + 1}" data-name="Gallery image ${index + 1}" alt="" src="${createFixtureImage(1600, 1600, index * 45)}" />`
+        ).join('')}
+      </div>
+      <canvas id="chart" class="chart" data-name="Chart" width="400" height="200"></canvas>
+    `
+  }
+];
+
+export const MOCK_SELECTION_SCRIPTS = {
+  tour: {
+    label: 'Tour every element type',
+    steps: [
+      { page: 'home', breakpoint: 'main', select: '#hero-image', wait: 2500 },
+      { select: '.card-2', wait: 2500 },
+      { select: '.feature-icon', wait: 2500 },
+      { select: '#banner', wait: 2500 },
+      { page: 'gallery', select: '#chart', wait: 2500 }
+    ]
+  },
+  batch: {
+    label: 'Multi-select the cards',
+    steps: [{ page: 'home', select: ['.card-1', '.card-2', '.card-3'] }]
+  },
+  breakpoints: {
+    label: 'Walk the hero through breakpoints',
+    steps: [
+      { page: 'home', select: '#hero-image', breakpoint: 'xl', wait: 2000 },
+      { breakpoint: 'main', wait: 2000 },
+      { breakpoint: 'medium', wait: 2000 },
+      { breakpoint: 'tiny' }
+    ]
+  }
+};
@@ -0,0 +1,61 @@
+import { toPositiveNumber } from './breakpoints.js';
+import { BYTES_PER_PIXEL } from './byte-estimates.js';
+import {
+  UNSIZED_KINDS,
+  buildRecommendations,
+  classifyContent,
+  getRecommendationOptions
+} from './recommendation-engine.js';
+
+const DEFAULT_AUDIT_FORMAT = 'jpeg';
+
+export function rankAuditItems(items, options = {}) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter(Boolean)
+    .map((item) => scoreAuditItem(item, options))
+    .sort((a, b) => b.wastedBytes - a.wastedBytes || b.wastedPixels - a.wastedPixels);
+}
+
+export function scoreAuditItem(item, options = {}) {
+  const recommendation = buildRecommendations(item.computedWidths, { ...options, ...getRecommendationOptions(item) });
+  const renderedWidth = Math.max(0, ...Object.values(recommendation?.breakpoints ?? {}).map((entry) => entry.renderWidth));
+  const naturalWidth = toPositiveNumber(item.naturalWidth);
+  const naturalHeight = toPositiveNumber(item.naturalHeight);
+  const naturalArea = naturalWidth && naturalHeight ? naturalWidth * naturalHeight : null;
+  const neededWidth = recommendation?.universalUploadSize ?? null;
+
+  let wastedPixels = 0;
+  if (naturalArea && !UNSIZED_KINDS.has(item.kind)) {
+    if (!recommendation) {
+      wastedPixels = naturalArea;
+    } else if (naturalWidth > neededWidth) {
+      const neededHeight = (neededWidth * naturalHeight) / naturalWidth;
+      wastedPixels = Math.round(naturalArea - neededWidth * neededHeight);
+    }
+  }
+
+  const transferSize = toPositiveNumber(item.transferSize);
+  const wastedBytes = wastedPixels
+    ? Math.round(
+        transferSize && naturalArea
+          ? (transferSize * wastedPixels) / naturalArea
+          : wastedPixels * getBytesPerPixel(item)
+      )
+    : 0;
+
+  return {
+    ...item,
+    recommendation,
+    renderedWidth: renderedWidth || null,
+    neededWidth,
+    wastedPixels,
+    wastedBytes,
+    bytesEstimated: !transferSize
+  };
+}
+
+function getBytesPerPixel(item) {
+  const table = BYTES_PER_PIXEL[classifyContent(item.content) ?? 'photo'];
+  return table[item.content?.sourceFormat] ?? table[DEFAULT_AUDIT_FORMAT];
+}
@@ -1,9 +1,84 @@
-const ANALYZE_ENDPOINT = '/analyze';
-const SELECTION_MESSAGE_TYPE = 'element-selected';
-const SUBSCRIBE_MESSAGE_TYPE = 'riaa:selection:subscribe';
-const REQUEST_MESSAGE_TYPE = 'riaa:selection:request';
-const CONTEXT_READY_MESSAGE_TYPE = 'riaa:context-ready';
-const PANEL_RESIZE_MESSAGE_TYPE = 'riaa:panel:resize';
+import { BREAKPOINTS } from './breakpoints.js';
+import {
+  UNSIZED_KINDS,
+  assessIntrinsicSize,
+  buildRecommendations,
+  formatFormatLabel,
+  getRecommendationOptions,
+  recommendLoading
+} from './recommendation-engine.js';
+import {
+  buildCandidateWidths,
+  buildImageMarkup,
+  buildImageSetCss,
+  buildPosterUrl,
+  buildPreloadLink,
+  buildSizesAttribute,
+  buildVideoMarkup,
+  getPictureSourceFormats
+} from './responsive-markup.js';
+import { rankAuditItems } from './page-audit.js';
+import {
+  deriveMeasuredWidths,
+  getSelectionSignature,
+  getWidthSource,
+  normalizeIncomingSelection,
+  pickBreakpointValues
+} from './selection-core.js';
+import { NETWORK_PROFILES, estimateByteSavings } from './byte-estimates.js';
+import { buildVideoSummary, formatBitrate, recommendVideo } from './video-recommendations.js';
+import { recommendCanvas, recommendSvg } from './vector-recommendations.js';
+import {
+  addHistoryEntry,
+  clearHistory,
+  createHistoryEntry,
+  loadHistory,
+  searchHistory
+} from './analysis-history.js';
+import {
+  createDefaultSettings,
+  describeSettings,
+  isDefaultSettings,
+  loadSettings,
+  resetSettings,
+  sanitizeSettings,
+  saveSettings
+} from './recommendation-settings.js';
+import {
+  BRIDGE_ERRORS,
+  DESIGNER_EVENTS,
+  DESIGNER_METHODS,
+  PROTOCOL_CHANNEL,
+  callDesigner,
+  configureBridge,
+  connectBridge,
+  handleBridgeMessage,
+  onDesignerEvent
+} from './designer-bridge.js';
+import { EXPORT_FORMATS, buildReport, buildReportFileName, createReportRow } from './report-export.js';
+import {
+  BACKEND_ADAPTERS,
+  BACKEND_ERRORS,
+  createBackendProfile,
+  isCancelledError,
+  isNetworkError,
+  isValidHeaderName,
+  loadBackendProfiles,
+  requestAnalysis,
+  sanitizeBackendProfile,
+  saveBackendProfiles
+} from './analysis-backends.js';
+import { createAnalysisQueue } from './analysis-queue.js';
+import {
+  buildCacheSignature,
+  clearRecommendationCache,
+  readCachedRecommendations,
+  writeCachedRecommendations
+} from './recommendation-cache.js';
+
+const AUDIT_TIMEOUT_MS = 60000;
+const APPLY_TIMEOUT_MS = 15000;
+const DEV_SITE_CONTEXT = { siteId: 'dev-site', page: { id: 'dev-page', name: 'Home', slug: 'index' } };
 const DEV_HOST_REGEX = /(?:localhost|127\.0\.0\.1|0\.0\.0\.0)/i;
 const DEV_ENVIRONMENT =
   typeof window.__DEV_MODE_ === 'boolean'
@@ -17,6 +92,14 @@ const PANEL_HEIGHT = 720;
 const RUNTIME_RETRY_DELAY = 300;
 const RUNTIME_MAX_ATTEMPTS = 40;
 const RUNTIME_TIMEOUT_MS = 15000;
+const KIND_MARKUP_VARIANTS = { background: 'image-set', video: 'video' };
+const APPLY_KINDS = new Set(['image']);
+const SVG_PLACEMENT_LABELS = { inline: 'Keep inline', external: 'Externalize', sprite: 'Use a sprite' };
+const STATUS_COLORS = {
+  info: '#8b949e',
+  error: '#f87171',
+  warning: '#facc15'
+};
 
 let designerMessageWindow = window.parent && window.parent !== window ? window.parent : null;
 const referrerOrigin = getDesignerOriginFromReferrer();
@@ -33,7 +116,17 @@ const logError = (...args) => {
   if (DEV_ENVIRONMENT) console.error(LOG_PREFIX, ...args);
 };
 
-const getRuntimeCandidate = () => window.webflow || window.Webflow || null;
+const getRuntimeCandidate = () => window.webflow || window.Webflow || getDevHostRuntime();
+
+// dev.html hosts the panel next to the mock Designer and exposes the mock runtime on its own window.
+function getDevHostRuntime() {
+  if (!DEV_ENVIRONMENT || !designerMessageWindow) return null;
+  try {
+    return designerMessageWindow.webflow ?? null;
+  } catch (error) {
+    return null;
+  }
+}
 
 let runtimePromise = null;
 const getRuntimeApi = () => {
@@ -117,116 +210,1157 @@ const ensureResize = () => {
   }, RUNTIME_RETRY_DELAY);
 };
 
+configureBridge({ post: broadcastToHost });
 ensureResize();
 
 const ui = {
   analyzeButton: document.getElementById('analyze-button'),
+  cancelAnalysisButton: document.getElementById('cancel-analysis-button'),
   status: document.getElementById('status-message'),
   resultsCard: document.getElementById('results-card'),
+  rasterResults: document.getElementById('raster-results'),
+  vectorAdvice: document.getElementById('vector-advice'),
+  vectorTitle: document.getElementById('vector-title'),
+  vectorSummary: document.getElementById('vector-summary'),
+  vectorDetails: document.getElementById('vector-details'),
+  vectorWarnings: document.getElementById('vector-warnings'),
   universalSize: document.getElementById('universal-size'),
   desktopSize: document.getElementById('desktop-size'),
   mobileSize: document.getElementById('mobile-size'),
+  formatValue: document.getElementById('format-value'),
+  formatAdvice: document.getElementById('format-advice'),
+  savingsValue: document.getElementById('savings-value'),
+  savingsSummary: document.getElementById('savings-summary'),
+  breakpointResults: document.getElementById('breakpoint-results'),
+  cropWarnings: document.getElementById('crop-warnings'),
+  assetAssessment: document.getElementById('asset-assessment'),
+  assetDetails: document.getElementById('asset-details'),
+  assetVerdict: document.getElementById('asset-verdict'),
   explanation: document.getElementById('analysis-explanation'),
+  markupVariant: document.getElementById('markup-variant'),
+  candidateWidths: document.getElementById('candidate-widths'),
+  sizesAttribute: document.getElementById('sizes-attribute'),
+  markupSnippet: document.getElementById('markup-snippet'),
+  copyMarkupButton: document.getElementById('copy-markup-button'),
+  loadingAdvice: document.getElementById('loading-advice'),
+  loadingSummary: document.getElementById('loading-summary'),
+  loadingWarnings: document.getElementById('loading-warnings'),
+  preloadSnippet: document.getElementById('preload-snippet'),
+  copyPreloadButton: document.getElementById('copy-preload-button'),
+  applyBlock: document.getElementById('apply-block'),
+  applyStatus: document.getElementById('apply-status'),
+  applyAltToggle: document.getElementById('apply-alt-toggle'),
+  applyAltText: document.getElementById('apply-alt-text'),
+  applyDiffWrapper: document.getElementById('apply-diff-wrapper'),
+  applyDiff: document.getElementById('apply-diff'),
+  applyPreviewButton: document.getElementById('apply-preview-button'),
+  applyConfirmButton: document.getElementById('apply-confirm-button'),
+  applyUndoButton: document.getElementById('apply-undo-button'),
+  videoAdvice: document.getElementById('video-advice'),
+  videoSummary: document.getElementById('video-summary'),
+  videoBreakpoints: document.getElementById('video-breakpoints'),
+  videoPoster: document.getElementById('video-poster'),
+  videoWarnings: document.getElementById('video-warnings'),
+  batchCard: document.getElementById('batch-card'),
+  batchBody: document.getElementById('batch-results'),
+  auditButton: document.getElementById('audit-button'),
+  auditStatus: document.getElementById('audit-status'),
+  auditTableWrapper: document.getElementById('audit-table-wrapper'),
+  auditBody: document.getElementById('audit-results'),
+  historySearch: document.getElementById('history-search'),
+  historyStatus: document.getElementById('history-status'),
+  historyTableWrapper: document.getElementById('history-table-wrapper'),
+  historyBody: document.getElementById('history-results'),
+  clearHistoryButton: document.getElementById('clear-history-button'),
+  clearCacheButton: document.getElementById('clear-cache-button'),
+  settingsForm: document.getElementById('settings-form'),
+  settingsStatus: document.getElementById('settings-status'),
+  resetSettingsButton: document.getElementById('reset-settings-button'),
+  backendSelect: document.getElementById('backend-select'),
+  backendForm: document.getElementById('backend-form'),
+  backendStatus: document.getElementById('backend-status'),
+  addBackendButton: document.getElementById('add-backend-button'),
+  removeBackendButton: document.getElementById('remove-backend-button'),
+  exportActions: document.querySelectorAll('[data-export-scope]'),
   selectedLabel: document.getElementById('selected-element-text'),
   selectionDebug: document.getElementById('selection-debug'),
-  devBadge: document.getElementById('dev-badge')
+  devBadge: document.getElementById('dev-badge'),
+  resultsStale: document.getElementById('results-stale'),
+  batchStale: document.getElementById('batch-stale'),
+  batchStaleText: document.getElementById('batch-stale-text'),
+  reanalyzeButtons: document.querySelectorAll('[data-reanalyze]'),
+  resultsCached: document.getElementById('results-cached'),
+  resultsCachedText: document.getElementById('results-cached-text'),
+  batchCached: document.getElementById('batch-cached'),
+  batchCachedText: document.getElementById('batch-cached-text'),
+  rerunButtons: document.querySelectorAll('[data-rerun]')
 };
 
 let currentSelectionState = null;
 let currentSelected = null;
-let devMockSelectionActive = false;
 let analyzeProcessing = false;
 let analyzeSelectionReady = false;
+let latestMarkupContext = null;
+let latestResult = null;
+let batchResults = [];
+let auditInProgress = false;
+let applyState = null;
+let applyInProgress = false;
+let applySequence = 0;
+let currentSiteId = null;
+let historyEntries = [];
+let siteSettings = createDefaultSettings();
+let backendState = loadBackendProfiles();
+let analysisController = null;
+// Backend requests that could not reach the backend, replayed in the background.
+const analysisQueue = createAnalysisQueue({
+  send: (entry, signal) => requestAnalysis(entry.backend, entry.payload, { signal }),
+  onAnswer: handleQueuedAnswer,
+  onFailure: (entry, error) =>
+    logWarn('Queued analysis failed; keeping the offline engine result.', entry.result.selection, error),
+  onSettled: handleQueueSettled,
+  isOffline
+});
 
 initPanel();
 
 function initPanel() {
   ui.analyzeButton?.addEventListener('click', handleAnalyzeClick);
+  ui.cancelAnalysisButton?.addEventListener('click', handleCancelClick);
+  ui.markupVariant?.addEventListener('change', renderMarkup);
+  ui.copyMarkupButton?.addEventListener('click', handleCopyMarkupClick);
+  ui.copyPreloadButton?.addEventListener('click', handleCopyPreloadClick);
+  ui.applyPreviewButton?.addEventListener('click', handleApplyPreviewClick);
+  ui.applyConfirmButton?.addEventListener('click', handleApplyConfirmClick);
+  ui.applyUndoButton?.addEventListener('click', handleApplyUndoClick);
+  ui.applyAltToggle?.addEventListener('change', handleApplyAltChange);
+  ui.applyAltText?.addEventListener('input', handleApplyAltChange);
+  ui.auditButton?.addEventListener('click', handleAuditClick);
+  ui.reanalyzeButtons.forEach((button) => button.addEventListener('click', handleAnalyzeClick));
+  ui.rerunButtons.forEach((button) => button.addEventListener('click', handleRerunClick));
+  ui.historySearch?.addEventListener('input', renderHistory);
+  ui.clearHistoryButton?.addEventListener('click', handleClearHistoryClick);
+  ui.clearCacheButton?.addEventListener('click', handleClearCacheClick);
+  ui.settingsForm?.addEventListener('change', handleSettingsChange);
+  ui.settingsForm?.addEventListener('submit', (event) => event.preventDefault());
+  ui.resetSettingsButton?.addEventListener('click', handleResetSettingsClick);
+  ui.backendSelect?.addEventListener('change', handleBackendSelectChange);
+  ui.backendForm?.addEventListener('change', handleBackendFormChange);
+  ui.backendForm?.addEventListener('submit', (event) => event.preventDefault());
+  ui.addBackendButton?.addEventListener('click', handleAddBackendClick);
+  ui.removeBackendButton?.addEventListener('click', handleRemoveBackendClick);
+  ui.exportActions.forEach((container) => {
+    container.querySelectorAll('[data-export-action]').forEach((button) => {
+      button.addEventListener('click', () =>
+        handleExportClick(container.dataset.exportScope, container.querySelector('select')?.value, button.dataset.exportAction)
+      );
+    });
+  });
 
-  window.addEventListener('message', handleSelectionMessage);
+  window.addEventListener('message', handleDesignerMessage);
+  window.addEventListener('online', () => analysisQueue.flush());
+  window.addEventListener('pagehide', () => analysisQueue.cancel('The panel was closed.'));
   setStatus('Waiting for a Designer selection...');
   setAnalyzeProcessing(false);
   setAnalyzeReady(false);
   updateDevBadge();
-  if (DEV_ENVIRONMENT) {
-    showDevMockSelection('dev-init');
-  }
-  requestSelectionUpdate(true);
-  notifyContextReady();
+  renderSettings();
+  setSettingsEnabled(false);
+  setSettingsStatus("Loading this site's settings...");
+  renderBackendProfiles();
+  connectDesigner();
+  initSiteData();
+}
+
+function handleAnalyzeClick() {
+  return runAnalysis();
 }
 
-async function handleAnalyzeClick() {
-  if (!currentSelected) {
+// Re-run skips the cache and asks the backend again, replacing the cached answers.
+function handleRerunClick() {
+  return runAnalysis({ refresh: true });
+}
+
+async function runAnalysis({ refresh = false } = {}) {
+  const targets = getAnalysisTargets();
+  if (!targets.length) {
     hideResults();
+    hideBatchResults();
     setStatus('Select an image in the Designer first.', 'warning');
     return;
   }
 
+  const controller = new AbortController();
+  analysisController = controller;
   setAnalyzeProcessing(true);
   setStatus('Checking selected element...');
 
   try {
-    const measuredWidths = deriveMeasuredWidths(currentSelected);
-    if (!measuredWidths) {
-      throw new Error('Unable to determine rendered widths for the selected element.');
+    if (targets.length === 1) {
+      setStatus(`Sending widths to ${getActiveBackend().name}...`);
+      const result = await analyzeSelection(targets[0], { refresh, signal: controller.signal });
+      await stampResults([result]);
+      hideBatchResults();
+      renderResults(result.recommendations, result.measuredWidths, result.selection);
+      latestResult.cachedAt = result.cachedAt ?? null;
+      latestResult.queued = Boolean(result.queued);
+      latestResult.page = result.page;
+      latestResult.timestamp = result.timestamp;
+      renderCacheNotices();
+      await recordHistory([result]);
+      setStatus(describeSingleCompletion(result));
+      return;
     }
 
-    setStatus('Sending widths to AI backend...');
-    const recommendations = await requestRecommendations({
-      element: {
-        label: currentSelected.label ?? 'Selected element',
-        tagName: currentSelected.tagName ?? null,
-        selector: currentSelected.selector ?? null
-      },
-      widths: measuredWidths,
-      metadata: {
-        source: getWidthSource(currentSelected),
-        computedWidths: currentSelected.computedWidths ?? null
-      }
-    });
-
-    renderResults(recommendations, measuredWidths);
-    setStatus('Analysis complete.');
+    const targetSignature = getSelectionSignature(currentSelectionState);
+    const results = await analyzeBatch(targets, { refresh, signal: controller.signal });
+    await stampResults(results);
+    const cancelled = controller.signal.aborted;
+    // Finished answers are kept either way, but a batch cancelled by a new selection is not shown over it.
+    if (cancelled && getSelectionSignature(currentSelectionState) !== targetSignature) {
+      await recordHistory(results);
+      setStatus(controller.signal.reason ?? 'Analysis cancelled.', 'warning');
+      return;
+    }
+    renderBatchResults(results);
+    await recordHistory(results);
+    const firstSuccess = results.find((result) => !result.error);
+    if (firstSuccess) {
+      showBatchResult(firstSuccess);
+    } else {
+      hideResults();
+    }
+    setStatus(describeBatchCompletion(results), cancelled ? 'warning' : firstSuccess ? 'info' : 'error');
   } catch (error) {
+    if (isCancelledError(error)) {
+      setStatus(controller.signal.reason ?? 'Analysis cancelled.', 'warning');
+      return;
+    }
     logError('Analysis failed', error);
     hideResults();
-    setStatus(error.message || 'Unable to analyze the selected element.', 'error');
+    setStatus(describeAnalysisError(error), 'error');
   } finally {
+    if (analysisController === controller) analysisController = null;
     setAnalyzeProcessing(false);
   }
 }
 
-function handleSelectionMessage(event) {
-  const isMessageEvent = event && typeof event === 'object' && 'data' in event && 'origin' in event;
-  if (isMessageEvent) {
-    if (!isTrustedDesignerMessage(event)) return;
-    const message = event.data;
-    if (message?.type !== SELECTION_MESSAGE_TYPE) return;
-    applySelectionState(message.selection || message.element || null);
+function cancelAnalysis(reason = 'Analysis cancelled.') {
+  analysisController?.abort(reason);
+}
+
+// The Cancel button also stops a replay of queued requests; a new selection only cancels the analysis.
+function handleCancelClick() {
+  if (analysisQueue.replaying || analysisQueue.size) {
+    analysisQueue.cancel('Analysis cancelled.');
+    if (!analyzeProcessing) setStatus('Queued backend requests cancelled.', 'warning');
+  }
+  cancelAnalysis();
+  syncCancelButton();
+}
+
+function getAnalysisTargets() {
+  const elements = currentSelectionState?.elements?.filter(Boolean) ?? [];
+  if (elements.length) return elements;
+  return currentSelected ? [currentSelected] : [];
+}
+
+async function analyzeSelection(selection, { refresh = false, signal = null } = {}) {
+  const measuredWidths = deriveMeasuredWidths(selection);
+  if (UNSIZED_KINDS.has(selection.kind)) {
+    return { selection, measuredWidths, recommendations: null, error: null };
+  }
+  if (!measuredWidths) {
+    throw new Error('Unable to determine rendered widths for the selected element.');
+  }
+
+  const payload = buildAnalysisPayload(selection, measuredWidths);
+  const signature = getCacheSignature(selection, payload);
+  if (!refresh) {
+    const cached = await readCachedRecommendations(signature);
+    if (cached) {
+      const { recommendations, cachedAt } = cached;
+      return { selection, measuredWidths, recommendations, cachedAt, error: null };
+    }
+  }
+  const recommendations = await requestRecommendations(payload, selection, signal);
+  if (recommendations?.source === 'local') {
+    // Offline results cost nothing to recompute and should not hide a backend that comes back. Only a
+    // backend that could not be reached is asked again later; one that refused the request would refuse again.
+    if (!recommendations.backendUnreachable) return { selection, measuredWidths, recommendations, error: null };
+    const result = { selection, measuredWidths, recommendations, queued: true, error: null };
+    analysisQueue.enqueue({ signature, payload, backend: getActiveBackend(), result });
+    syncCancelButton();
+    return result;
+  }
+  await writeCachedRecommendations(signature, recommendations);
+  analysisQueue.delete(signature);
+  return { selection, measuredWidths, recommendations, error: null };
+}
+
+function buildAnalysisPayload(selection, measuredWidths) {
+  return {
+    element: {
+      label: selection.label ?? 'Selected element',
+      tagName: selection.tagName ?? null,
+      selector: selection.selector ?? null
+    },
+    widths: measuredWidths,
+    heights: pickBreakpointValues(selection.computedHeights ?? selection.heights),
+    settings: siteSettings,
+    metadata: {
+      source: getWidthSource(selection),
+      computedWidths: selection.computedWidths ?? null,
+      hiddenBreakpoints: selection.hiddenBreakpoints ?? [],
+      aboveFoldBreakpoints: selection.aboveFoldBreakpoints ?? null,
+      lcpBreakpoints: selection.lcpBreakpoints ?? null,
+      lcpCandidate: Boolean(selection.lcpCandidate),
+      loading: selection.loading ?? null,
+      fetchPriority: selection.fetchPriority ?? null,
+      measurementMethod: selection.measurementMethod ?? null,
+      objectFit: selection.objectFit ?? null,
+      objectPosition: selection.objectPosition ?? null,
+      background: selection.background ?? null,
+      boxWidths: selection.boxWidths ?? null,
+      video: selection.video ?? null,
+      intrinsicAspectRatio: getRecommendationOptions(selection).intrinsicAspectRatio,
+      content: selection.content ?? null,
+      asset: {
+        kind: selection.kind ?? null,
+        naturalWidth: selection.naturalWidth ?? null,
+        naturalHeight: selection.naturalHeight ?? null,
+        src: selection.currentSrc ?? selection.src ?? null,
+        transferSize: selection.transferSize ?? null
+      }
+    }
+  };
+}
+
+function getCacheSignature(selection, payload) {
+  return buildCacheSignature({
+    siteId: currentSiteId,
+    backend: getActiveBackend(),
+    elementId: selection.id ?? selection.elementId ?? null,
+    payload
+  });
+}
+
+// A cancelled batch keeps the elements that finished and marks the rest as cancelled.
+async function analyzeBatch(targets, { refresh = false, signal = null } = {}) {
+  const results = [];
+  for (const [index, selection] of targets.entries()) {
+    if (signal?.aborted) {
+      results.push(...targets.slice(index).map(createCancelledResult));
+      break;
+    }
+    setStatus(`Analyzing ${index + 1} of ${targets.length}: ${formatElementName(selection)}...`);
+    try {
+      results.push(await analyzeSelection(selection, { refresh, signal }));
+    } catch (error) {
+      if (isCancelledError(error)) {
+        results.push(...targets.slice(index).map(createCancelledResult));
+        break;
+      }
+      logWarn('Batch analysis failed for element.', selection, error);
+      results.push({ selection, measuredWidths: null, recommendations: null, error });
+    }
+  }
+  return results;
+}
+
+function createCancelledResult(selection) {
+  const error = new Error('Cancelled before this element was analyzed.');
+  return { selection, measuredWidths: null, recommendations: null, error, cancelled: true };
+}
+
+function describeAnalysisError(error) {
+  const message = error?.message || 'Unable to analyze the selected element.';
+  if (!error?.details?.length) return message;
+  return [message, ...error.details.map((detail) => `• ${detail}`)].join('\n');
+}
+
+function describeSingleCompletion(result) {
+  if (result.queued) {
+    const reason = result.recommendations?.fallbackReason;
+    const shown = reason ? `Showing offline engine numbers. ${reason}` : 'Showing offline engine numbers.';
+    return `${shown} The backend request is queued and will be retried.`;
+  }
+  if (result.cachedAt) return `Analysis complete (cached answer from ${formatTimestamp(result.cachedAt)}).`;
+  if (result.recommendations?.source !== 'local') return 'Analysis complete.';
+  const reason = result.recommendations.fallbackReason;
+  return reason ? `Analysis complete with the offline engine. ${reason}` : 'Analysis complete with the offline engine.';
+}
+
+function describeBatchCompletion(results) {
+  const cancelled = results.filter((result) => result.cancelled).length;
+  const failed = results.filter((result) => result.error).length - cancelled;
+  const offline = results.filter((result) => result.recommendations?.source === 'local');
+  const reasons = [...new Set(offline.map((result) => result.recommendations.fallbackReason).filter(Boolean))];
+  const cached = results.filter((result) => result.cachedAt).length;
+  const queued = results.filter((result) => result.queued).length;
+  const parts = [`Analyzed ${results.length - failed - cancelled} of ${results.length} elements`];
+  if (failed) parts.push(`${failed} failed`);
+  if (cancelled) parts.push(`${cancelled} cancelled`);
+  if (cached) parts.push(`${cached} from the cache`);
+  if (offline.length) {
+    const details = reasons.map((reason) => reason.replace(/\.$/, '')).join('; ');
+    parts.push(details ? `offline engine used (${details})` : 'offline engine used');
+  }
+  if (queued) parts.push(`${queued} queued for a retry`);
+  return `${parts.join('; ')}.`;
+}
+
+function renderBatchResults(results) {
+  if (!ui.batchBody) return;
+  batchResults = results;
+  ui.batchBody.replaceChildren();
+
+  results.forEach((result, index) => {
+    const row = document.createElement('tr');
+    row.dataset.index = String(index);
+    const cells = [formatElementName(result.selection)];
+    if (result.error) {
+      cells.push(describeAnalysisError(result.error));
+      row.classList.add(result.cancelled ? 'batch-cancelled' : 'batch-error');
+    } else {
+      const merged = mergeRecommendations(result.recommendations, result.measuredWidths, result.selection);
+      cells.push(
+        formatPixelValue(toFiniteNumber(merged?.desktopRenderSize)),
+        formatPixelValue(toFiniteNumber(merged?.mobileRenderSize)),
+        UNSIZED_KINDS.has(result.selection.kind)
+          ? formatVectorUpload(result.selection)
+          : formatPixelValue(toFiniteNumber(merged?.universalUploadSize))
+      );
+      row.tabIndex = 0;
+      row.addEventListener('click', () => showBatchResult(result));
+      row.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          showBatchResult(result);
+        }
+      });
+    }
+    cells.forEach((text, cellIndex) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (result.error && cellIndex === 1) cell.colSpan = 3;
+      row.appendChild(cell);
+    });
+    ui.batchBody.appendChild(row);
+  });
+
+  renderStaleNotices();
+  renderCacheNotices();
+  ui.batchCard?.classList.remove('hidden');
+}
+
+function showBatchResult(result) {
+  renderResults(result.recommendations, result.measuredWidths, result.selection);
+  latestResult.stale = Boolean(result.stale);
+  latestResult.cachedAt = result.cachedAt ?? null;
+  latestResult.queued = Boolean(result.queued);
+  latestResult.page = result.page;
+  latestResult.timestamp = result.timestamp;
+  renderStaleNotices();
+  renderCacheNotices();
+  const activeIndex = batchResults.indexOf(result);
+  Array.from(ui.batchBody?.children ?? []).forEach((row) => {
+    row.classList.toggle('active', Number(row.dataset.index) === activeIndex);
+  });
+}
+
+function hideBatchResults() {
+  batchResults = [];
+  ui.batchBody?.replaceChildren();
+  ui.batchCard?.classList.add('hidden');
+}
+
+async function initSiteData() {
+  const context = await resolveSiteContext();
+  currentSiteId = context.siteId;
+  siteSettings = loadSettings(currentSiteId);
+  renderSettings();
+  setSettingsEnabled(true);
+  if (!currentSiteId) {
+    setSettingsStatus('Unable to identify this site; changed settings apply until the panel is closed.', 'warning');
+  }
+  historyEntries = loadHistory(currentSiteId);
+  renderHistory();
+}
+
+async function resolveSiteContext() {
+  if (DEV_ENVIRONMENT && !getRuntimeCandidate()) return DEV_SITE_CONTEXT;
+  try {
+    const api = await getRuntimeApi();
+    const site = typeof api.getSiteInfo === 'function' ? await api.getSiteInfo() : null;
+    return { siteId: site?.siteId ?? site?.id ?? null, page: await readCurrentPage(api) };
+  } catch (error) {
+    logWarn('Unable to read site details for history.', error);
+    return { siteId: null, page: null };
+  }
+}
+
+async function readCurrentPage(api) {
+  if (typeof api?.getCurrentPage !== 'function') return null;
+  const page = await api.getCurrentPage();
+  if (!page) return null;
+  return {
+    id: page.id ?? null,
+    name: typeof page.getName === 'function' ? await page.getName() : page.name ?? null,
+    slug: typeof page.getSlug === 'function' ? await page.getSlug() : page.slug ?? null
+  };
+}
+
+// Exports and history report when and where the analysis ran, not when Export was clicked. A cached
+// answer ran when it was cached.
+async function stampResults(results) {
+  const { page } = await resolveSiteContext();
+  const analyzedAt = Date.now();
+  results.forEach((result) => {
+    result.page = page;
+    result.timestamp = result.cachedAt ?? analyzedAt;
+  });
+}
+
+async function recordHistory(results) {
+  // A cached answer was recorded when it was first computed, so replaying it would only add duplicates.
+  const recorded = results.filter((result) => !result.error && !result.cachedAt);
+  if (!recorded.length) return;
+  const context = await resolveSiteContext();
+  currentSiteId = context.siteId ?? currentSiteId;
+  recorded.forEach((result) => {
+    historyEntries = addHistoryEntry(
+      currentSiteId,
+      createHistoryEntry({ ...result, page: result.page ?? context.page, siteId: currentSiteId })
+    );
+  });
+  renderHistory();
+}
+
+function renderHistory() {
+  if (!ui.historyBody) return;
+  const matches = searchHistory(historyEntries, ui.historySearch?.value);
+  ui.historyBody.replaceChildren();
+
+  matches.forEach((entry) => {
+    const row = document.createElement('tr');
+    row.tabIndex = 0;
+    row.title = entry.element.selector ?? '';
+    const cells = [
+      formatElementName(entry.element),
+      entry.page?.name ?? entry.page?.slug ?? '--',
+      formatHistoryUpload(entry),
+      formatTimestamp(entry.timestamp)
+    ];
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    const selectButton = document.createElement('button');
+    selectButton.type = 'button';
+    selectButton.textContent = 'Select';
+    selectButton.disabled = !getElementTarget(entry.element);
+    selectButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      reselectHistoryEntry(entry);
+    });
+    actionCell.appendChild(selectButton);
+    row.appendChild(actionCell);
+
+    const reopen = () => reopenHistoryEntry(entry, row);
+    row.addEventListener('click', reopen);
+    row.addEventListener('keydown', (event) => {
+      if (event.target !== row) return;
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        reopen();
+      }
+    });
+    ui.historyBody.appendChild(row);
+  });
+
+  ui.historyTableWrapper?.classList.toggle('hidden', !matches.length);
+  if (ui.clearHistoryButton) ui.clearHistoryButton.disabled = !historyEntries.length;
+  if (!historyEntries.length) {
+    setHistoryStatus('No analyses recorded yet.');
+  } else if (!matches.length) {
+    setHistoryStatus('No history entries match your search.');
+  } else {
+    setHistoryStatus(
+      matches.length === historyEntries.length
+        ? `${historyEntries.length} ${historyEntries.length === 1 ? 'analysis' : 'analyses'} recorded.`
+        : `Showing ${matches.length} of ${historyEntries.length} analyses.`
+    );
+  }
+}
+
+function reopenHistoryEntry(entry, row) {
+  if (!entry.selection) return;
+  Array.from(ui.historyBody?.children ?? []).forEach((item) => item.classList.toggle('active', item === row));
+  hideBatchResults();
+  renderResults(entry.recommendations, entry.measuredWidths, entry.selection);
+  latestResult = entry;
+  setStatus(`Showing the analysis from ${formatTimestamp(entry.timestamp)}.`);
+}
+
+async function reselectHistoryEntry(entry) {
+  const context = await resolveSiteContext();
+  if (entry.page?.id && context.page?.id && entry.page.id !== context.page.id) {
+    const switched = await switchToPage(entry.page.id);
+    if (!switched) {
+      setHistoryStatus(`Open the "${entry.page.name ?? entry.page.slug}" page to select this element.`, 'warning');
+      return;
+    }
+  }
+  try {
+    await callDesigner(DESIGNER_METHODS.focusElement, { target: getElementTarget(entry.element) });
+  } catch (error) {
+    setHistoryStatus(describeBridgeError(error), 'warning');
+  }
+}
+
+async function switchToPage(pageId) {
+  try {
+    const api = await getRuntimeApi();
+    if (typeof api.getAllPagesAndFolders !== 'function' || typeof api.switchPage !== 'function') return false;
+    const pages = (await api.getAllPagesAndFolders()) || [];
+    const page = pages.find((item) => item?.id === pageId);
+    if (!page) return false;
+    await api.switchPage(page);
+    return true;
+  } catch (error) {
+    logWarn('Unable to switch to the history entry page.', error);
+    return false;
+  }
+}
+
+function handleClearHistoryClick() {
+  historyEntries = clearHistory(currentSiteId);
+  if (ui.historySearch) ui.historySearch.value = '';
+  renderHistory();
+}
+
+// The history keeps its entries; only the next analysis of each element goes back to the backend.
+async function handleClearCacheClick() {
+  if (ui.clearCacheButton) ui.clearCacheButton.disabled = true;
+  const cleared = await clearRecommendationCache();
+  if (ui.clearCacheButton) ui.clearCacheButton.disabled = false;
+  setHistoryStatus(
+    cleared ? 'Cached backend answers cleared.' : 'The recommendation cache is unavailable in this browser.',
+    cleared ? 'info' : 'warning'
+  );
+}
+
+function formatHistoryUpload(entry) {
+  if (UNSIZED_KINDS.has(entry.element.kind) && entry.selection) return formatVectorUpload(entry.selection);
+  return formatPixelValue(toFiniteNumber(entry.recommendations?.universalUploadSize));
+}
+
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '--';
+  return date.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function setHistoryStatus(message, tone = 'info') {
+  if (!ui.historyStatus) return;
+  ui.historyStatus.textContent = message;
+  ui.historyStatus.style.color = STATUS_COLORS[tone] ?? STATUS_COLORS.info;
+}
+
+function renderSettings() {
+  const form = ui.settingsForm;
+  if (!form) return;
+  form.querySelectorAll('[name="pixelRatios"]').forEach((input) => {
+    input.checked = siteSettings.pixelRatios.includes(Number(input.value));
+  });
+  form.querySelectorAll('[name="formats"]').forEach((input) => {
+    input.checked = siteSettings.formats.includes(input.value);
+  });
+  form.elements.maxUploadWidth.value = String(siteSettings.maxUploadWidth);
+  form.elements.roundingStep.value = String(siteSettings.roundingStep);
+  form.elements.quality.value = siteSettings.quality;
+  setSettingsStatus(
+    isDefaultSettings(siteSettings)
+      ? 'Using the default settings.'
+      : `Custom settings for this site: ${describeSettings(siteSettings)}.`
+  );
+}
+
+function setSettingsEnabled(enabled) {
+  Array.from(ui.settingsForm?.elements ?? []).forEach((element) => {
+    element.disabled = !enabled;
+  });
+  if (ui.resetSettingsButton) ui.resetSettingsButton.disabled = !enabled;
+}
+
+function readSettingsForm() {
+  const form = ui.settingsForm;
+  const checked = (name) => Array.from(form.querySelectorAll(`[name="${name}"]:checked`), (input) => input.value);
+  return {
+    pixelRatios: checked('pixelRatios'),
+    formats: checked('formats'),
+    maxUploadWidth: form.elements.maxUploadWidth.value,
+    roundingStep: form.elements.roundingStep.value,
+    quality: form.elements.quality.value
+  };
+}
+
+// Settings are keyed by site, so nothing is stored until the site id is known; without one they last
+// for this session only instead of landing under a key no other session reads.
+function handleSettingsChange() {
+  const values = readSettingsForm();
+  siteSettings = sanitizeSettings(values);
+  const saved = currentSiteId ? saveSettings(currentSiteId, siteSettings) : false;
+  renderSettings();
+  refreshResultsForSettings();
+  if (!values.pixelRatios.length) {
+    setSettingsStatus('Keep at least one pixel ratio selected; the default ratios were restored.', 'warning');
+  } else if (!currentSiteId) {
+    setSettingsStatus('Unable to identify this site; changed settings apply until the panel is closed.', 'warning');
+  } else if (!saved) {
+    setSettingsStatus('Unable to save the settings; they apply until the panel is closed.', 'warning');
+  }
+}
+
+function handleResetSettingsClick() {
+  siteSettings = currentSiteId ? resetSettings(currentSiteId) : createDefaultSettings();
+  renderSettings();
+  refreshResultsForSettings();
+}
+
+// Offline results and the fields the offline engine fills in follow the new settings right away;
+// backend recommendations pick them up on the next analysis. History entries keep what was recorded.
+function refreshResultsForSettings() {
+  const previous = latestResult;
+  if (!previous) return;
+  if (!historyEntries.includes(previous)) recomputeOfflineResult(previous);
+  batchResults.forEach(recomputeOfflineResult);
+  rerenderResults();
+}
+
+// Re-renders the results and batch cards in place after their recommendations were updated.
+function rerenderResults() {
+  const previous = latestResult;
+  if (!previous) return;
+  if (batchResults.length) {
+    renderBatchResults(batchResults);
+    const activeIndex = batchResults.findIndex((result) => result.selection === previous.selection);
+    Array.from(ui.batchBody?.children ?? []).forEach((row) => {
+      row.classList.toggle('active', Number(row.dataset.index) === activeIndex);
+    });
+  }
+  renderResults(previous.recommendations, previous.measuredWidths, previous.selection);
+  latestResult = previous;
+  renderStaleNotices();
+  renderCacheNotices();
+}
+
+function recomputeOfflineResult(result) {
+  if (result.recommendations?.source !== 'local') return;
+  result.recommendations = buildLocalRecommendations(result.measuredWidths, result.selection) ?? result.recommendations;
+}
+
+function setSettingsStatus(message, tone = 'info') {
+  if (!ui.settingsStatus) return;
+  ui.settingsStatus.textContent = message;
+  ui.settingsStatus.style.color = STATUS_COLORS[tone] ?? STATUS_COLORS.info;
+}
+
+function getActiveBackend() {
+  return backendState.profiles.find((profile) => profile.id === backendState.activeId) ?? backendState.profiles[0];
+}
+
+function renderBackendProfiles() {
+  if (!ui.backendForm) return;
+  const active = getActiveBackend();
+  if (ui.backendSelect) {
+    ui.backendSelect.replaceChildren(...backendState.profiles.map((profile) => new Option(profile.name, profile.id)));
+    ui.backendSelect.value = active.id;
+  }
+  if (ui.removeBackendButton) ui.removeBackendButton.disabled = backendState.profiles.length < 2;
+  const { elements } = ui.backendForm;
+  if (!elements.adapter.options.length) {
+    Object.entries(BACKEND_ADAPTERS).forEach(([id, adapter]) => elements.adapter.add(new Option(adapter.label, id)));
+  }
+  elements.name.value = active.name;
+  elements.adapter.value = active.adapter;
+  elements.url.value = active.url;
+  elements.model.value = active.model;
+  elements.apiKeyHeader.value = active.apiKeyHeader;
+  elements.apiKey.value = active.apiKey;
+  elements.rememberApiKey.checked = active.rememberApiKey;
+  elements.timeoutSeconds.value = String(active.timeoutMs / 1000);
+  if (active.adapter === 'openai' && !active.model) {
+    setBackendStatus('Most chat endpoints need a model name.', 'warning');
     return;
   }
-  if (event?.type !== SELECTION_MESSAGE_TYPE) return;
-  applySelectionState(event.selection || event.element || null);
+  const details = [`${BACKEND_ADAPTERS[active.adapter].label} at ${active.url}`];
+  if (active.model) details.push(`model ${active.model}`);
+  if (active.apiKey) {
+    const storage = active.rememberApiKey ? 'remembered on this device' : 'kept until the panel tab closes';
+    details.push(`key sent in ${active.apiKeyHeader || 'Authorization'}, ${storage}`);
+  }
+  setBackendStatus(`${details.join('; ')}.`);
+}
+
+function handleBackendSelectChange() {
+  backendState = { ...backendState, activeId: ui.backendSelect.value };
+  persistBackendState();
+}
+
+function handleBackendFormChange() {
+  const { elements } = ui.backendForm;
+  const active = getActiveBackend();
+  const apiKeyHeader = elements.apiKeyHeader.value.trim();
+  if (!isValidHeaderName(apiKeyHeader)) {
+    setBackendStatus(`"${apiKeyHeader}" is not a valid header name. Use letters, digits and dashes.`, 'error');
+    return;
+  }
+  const updated = sanitizeBackendProfile({
+    ...active,
+    name: elements.name.value,
+    adapter: elements.adapter.value,
+    url: elements.url.value,
+    model: elements.model.value,
+    apiKeyHeader,
+    apiKey: elements.apiKey.value,
+    rememberApiKey: elements.rememberApiKey.checked,
+    timeoutMs: Number(elements.timeoutSeconds.value) * 1000
+  });
+  backendState = {
+    ...backendState,
+    profiles: backendState.profiles.map((profile) => (profile.id === active.id ? updated : profile))
+  };
+  persistBackendState();
+}
+
+function handleAddBackendClick() {
+  const profile = createBackendProfile({ name: 'Chat model', adapter: 'openai', url: 'http://localhost:8080/v1' });
+  backendState = { activeId: profile.id, profiles: [...backendState.profiles, profile] };
+  persistBackendState();
+}
+
+function handleRemoveBackendClick() {
+  if (backendState.profiles.length < 2) return;
+  const profiles = backendState.profiles.filter((profile) => profile.id !== backendState.activeId);
+  backendState = { activeId: profiles[0].id, profiles };
+  persistBackendState();
+}
+
+function persistBackendState() {
+  const saved = saveBackendProfiles(backendState);
+  renderBackendProfiles();
+  if (!saved) setBackendStatus('Unable to save backend profiles; changes apply until the panel is closed.', 'warning');
+}
+
+function setBackendStatus(message, tone = 'info') {
+  if (!ui.backendStatus) return;
+  ui.backendStatus.textContent = message;
+  ui.backendStatus.style.color = STATUS_COLORS[tone] ?? STATUS_COLORS.info;
+}
+
+async function handleExportClick(scope, format, action) {
+  const notify = scope === 'history' ? setHistoryStatus : setStatus;
+  const results = getExportResults(scope);
+  if (!results.length || !EXPORT_FORMATS[format]) {
+    notify('There are no results to export yet.', 'warning');
+    return;
+  }
+
+  const generatedAt = new Date();
+  const report = buildReport(results.map(toReportRow), format, generatedAt);
+  const label = EXPORT_FORMATS[format].label;
+  const count = `${results.length} ${results.length === 1 ? 'result' : 'results'}`;
+  try {
+    if (action === 'copy') {
+      await copyText(report);
+      notify(`Copied ${count} as ${label}.`);
+    } else {
+      downloadReport(report, buildReportFileName(scope, format, generatedAt), EXPORT_FORMATS[format].mimeType);
+      notify(`Exported ${count} as ${label}.`);
+    }
+  } catch (error) {
+    logWarn('Unable to export results.', error);
+    notify(`Unable to export the ${label} report.`, 'error');
+  }
+}
+
+function getExportResults(scope) {
+  if (scope === 'history') return searchHistory(historyEntries, ui.historySearch?.value);
+  if (scope === 'batch') return batchResults.filter((result) => !result.error);
+  return latestResult ? [latestResult] : [];
+}
+
+function toReportRow(result) {
+  return createReportRow({
+    ...result,
+    recommendations: resolveRecommendations(result),
+    pixelRatios: siteSettings.pixelRatios
+  });
+}
+
+// Mirrors renderResults: backend fields win, and the offline engine fills in whatever it omitted.
+function resolveRecommendations({ recommendations, measuredWidths, selection }) {
+  if (UNSIZED_KINDS.has(selection?.kind)) return null;
+  return mergeRecommendations(recommendations, measuredWidths, selection);
+}
+
+// Backend fields win and the offline engine fills in whatever the backend left out. The offline explanation
+// describes its own numbers, so it only stands in for offline results. The panel and the exports both read
+// this, so a report never pairs backend sizes with offline reasoning.
+function mergeRecommendations(recommendations, measuredWidths, selection) {
+  const local = measuredWidths ? buildLocalRecommendations(measuredWidths, selection) : null;
+  if (!recommendations) return local;
+  const provided = Object.fromEntries(
+    Object.entries(recommendations).filter(([, value]) => value !== null && value !== undefined)
+  );
+  return {
+    ...local,
+    ...provided,
+    universalUploadHeight:
+      recommendations.universalUploadHeight ??
+      (recommendations.universalUploadSize ? null : local?.universalUploadHeight ?? null),
+    explanation: recommendations.explanation ?? '',
+    formatSource: recommendations.format ? recommendations.source ?? 'backend' : 'local'
+  };
+}
+
+function downloadReport(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function connectDesigner() {
+  onDesignerEvent(DESIGNER_EVENTS.selectionChanged, ({ selection }) => applySelectionState(selection ?? null));
+  try {
+    await connectBridge();
+    applySelectionState(await callDesigner(DESIGNER_METHODS.getSelection));
+  } catch (error) {
+    logWarn('Unable to connect to the designer script.', error);
+    setStatus(
+      DEV_ENVIRONMENT && !getRuntimeCandidate()
+        ? 'No designer script answered. Open dev.html to run the panel against the mock Designer.'
+        : describeBridgeError(error),
+      'error'
+    );
+  }
+}
+
+function handleDesignerMessage(event) {
+  if (event?.data?.channel !== PROTOCOL_CHANNEL) return;
+  if (!isTrustedDesignerMessage(event)) return;
+  handleBridgeMessage(event.data);
+}
+
+function describeBridgeError(error) {
+  if (error?.code === BRIDGE_ERRORS.timeout) return 'The Designer did not answer in time. Try again.';
+  if (error?.code === BRIDGE_ERRORS.notConnected) {
+    return 'The designer script is not connected. Reopen the extension to retry.';
+  }
+  if (error?.code === BRIDGE_ERRORS.unsupportedVersion) {
+    return 'The designer script is out of date. Reload the Designer to update it.';
+  }
+  return error?.message || 'The Designer request failed.';
+}
+
+async function handleAuditClick() {
+  if (auditInProgress) return;
+  auditInProgress = true;
+  setAuditStatus('Scanning the canvas for images, backgrounds and videos...');
+  if (ui.auditButton) ui.auditButton.disabled = true;
+
+  try {
+    const { items } = await callDesigner(DESIGNER_METHODS.scanPage, {}, { timeout: AUDIT_TIMEOUT_MS });
+    showAuditItems(items);
+  } catch (error) {
+    logWarn('Page audit failed.', error);
+    // An audit that ran out of time still sends the elements it measured.
+    if (error?.code === BRIDGE_ERRORS.partial && Array.isArray(error.result?.items)) {
+      showAuditItems(error.result.items, error.message);
+    } else {
+      setAuditStatus(describeBridgeError(error), 'error');
+    }
+  } finally {
+    auditInProgress = false;
+    if (ui.auditButton) ui.auditButton.disabled = false;
+  }
+}
+
+function showAuditItems(items, partialMessage = null) {
+  const ranked = rankAuditItems(items, siteSettings);
+  renderAuditResults(ranked);
+  const totalWasted = ranked.reduce((sum, item) => sum + item.wastedBytes, 0);
+  if (partialMessage) {
+    setAuditStatus(`${partialMessage} About ${formatBytes(totalWasted)} could be saved on those.`, 'warning');
+  } else {
+    setAuditStatus(
+      ranked.length
+        ? `Found ${ranked.length} media elements; about ${formatBytes(totalWasted)} could be saved.`
+        : 'No images, backgrounds or videos found on this page.'
+    );
+  }
+}
+
+function renderAuditResults(items) {
+  if (!ui.auditBody) return;
+  ui.auditBody.replaceChildren();
+  items.forEach((item) => {
+    const row = document.createElement('tr');
+    const cells = [
+      item.id || !item.selector ? formatElementName(item) : item.selector,
+      item.kind ?? '--',
+      formatPixelValue(item.renderedWidth),
+      item.naturalWidth && item.naturalHeight ? `${item.naturalWidth}×${item.naturalHeight}` : '--',
+      formatPixelValue(item.neededWidth),
+      item.wastedBytes ? `${item.bytesEstimated ? '~' : ''}${formatBytes(item.wastedBytes)}` : '--'
+    ];
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    if (item.auditId) {
+      row.tabIndex = 0;
+      row.title = item.selector ?? '';
+      const focus = () => focusAuditItem(item, row);
+      row.addEventListener('click', focus);
+      row.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          focus();
+        }
+      });
+    }
+    ui.auditBody.appendChild(row);
+  });
+  ui.auditTableWrapper?.classList.toggle('hidden', !items.length);
+}
+
+function focusAuditItem(item, row) {
+  Array.from(ui.auditBody?.children ?? []).forEach((entry) => entry.classList.toggle('active', entry === row));
+  callDesigner(DESIGNER_METHODS.focusElement, { auditId: item.auditId }).catch((error) => {
+    setAuditStatus(describeBridgeError(error), 'warning');
+  });
+}
+
+function setAuditStatus(message, tone = 'info') {
+  if (!ui.auditStatus) return;
+  ui.auditStatus.textContent = message;
+  ui.auditStatus.style.color = STATUS_COLORS[tone] ?? STATUS_COLORS.info;
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return '0 KB';
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
 }
 
 function applySelectionState(payload) {
   const nextState = normalizeIncomingSelection(payload);
+  // Re-measurements of the same elements keep the analysis running; a different selection cancels it.
+  if (analysisController && getSelectionSignature(nextState) !== getSelectionSignature(currentSelectionState)) {
+    cancelAnalysis('Analysis cancelled because the selection changed.');
+  }
   currentSelectionState = nextState;
   currentSelected = nextState?.primary ?? null;
-  devMockSelectionActive = Boolean(nextState?.devMock);
-  updateDevBadge();
   updateSelectionUI();
+  updateStaleResults();
+  showCachedResult();
+}
+
+// Re-selecting an element whose widths and settings match a cached answer shows it right away, without
+// a backend request. Batch results stay on screen until the next analysis.
+async function showCachedResult() {
+  const targets = getAnalysisTargets();
+  if (targets.length !== 1 || analyzeProcessing || batchResults.length) return;
+  const [selection] = targets;
+  if (UNSIZED_KINDS.has(selection.kind)) return;
+  const measuredWidths = deriveMeasuredWidths(selection);
+  if (!measuredWidths) return;
+  const alreadyShown = isSameElement(selection, latestResult?.selection);
+  if (alreadyShown && !haveWidthsChanged(latestResult.measuredWidths, measuredWidths)) return;
+  const cached = await readCachedRecommendations(
+    getCacheSignature(selection, buildAnalysisPayload(selection, measuredWidths))
+  );
+  if (!cached) return;
+  const { page } = await resolveSiteContext();
+  if (getAnalysisTargets()[0] !== selection || analyzeProcessing || batchResults.length) return;
+  renderResults(cached.recommendations, measuredWidths, selection);
+  latestResult.cachedAt = cached.cachedAt;
+  latestResult.page = page;
+  latestResult.timestamp = cached.cachedAt;
+  renderCacheNotices();
+  setStatus(`Showing the cached analysis from ${formatTimestamp(cached.cachedAt)}.`);
+}
+
+function renderCacheNotices() {
+  ui.resultsCached?.classList.toggle('hidden', !latestResult?.cachedAt);
+  if (ui.resultsCachedText && latestResult?.cachedAt) {
+    ui.resultsCachedText.textContent = `Cached answer from ${formatTimestamp(latestResult.cachedAt)}.`;
+  }
+  const cachedCount = batchResults.filter((result) => result.cachedAt).length;
+  ui.batchCached?.classList.toggle('hidden', !cachedCount);
+  if (ui.batchCachedText) {
+    ui.batchCachedText.textContent = `${cachedCount} of ${batchResults.length} answers came from the cache.`;
+  }
+}
+
+// The designer script re-measures the selection while layout is edited. Results for an element
+// whose widths have since changed are flagged until they are re-analyzed. Elements that are not
+// selected any more keep their last known state.
+function updateStaleResults() {
+  const elements = currentSelectionState?.elements ?? [];
+  [latestResult, ...batchResults].forEach((result) => {
+    if (!result || result.error) return;
+    const match = elements.find((element) => isSameElement(element, result.selection));
+    if (match) result.stale = haveWidthsChanged(result.measuredWidths, deriveMeasuredWidths(match));
+  });
+  renderStaleNotices();
+}
+
+function renderStaleNotices() {
+  ui.resultsStale?.classList.toggle('hidden', !latestResult?.stale);
+  const staleCount = batchResults.filter((result) => result.stale).length;
+  ui.batchStale?.classList.toggle('hidden', !staleCount);
+  if (ui.batchStaleText) {
+    ui.batchStaleText.textContent = `The layout changed for ${staleCount} of ${batchResults.length} elements since this analysis.`;
+  }
+  Array.from(ui.batchBody?.children ?? []).forEach((row) => {
+    row.classList.toggle('stale', Boolean(batchResults[Number(row.dataset.index)]?.stale));
+  });
+}
+
+function isSameElement(a, b) {
+  if (!a || !b) return false;
+  if (a.id && b.id) return a.id === b.id;
+  return Boolean(a.selector) && a.selector === b.selector;
+}
+
+function haveWidthsChanged(previous, next) {
+  return [...BREAKPOINTS.map((breakpoint) => breakpoint.id), 'desktop', 'mobile'].some(
+    (key) => Math.round(previous?.[key] ?? 0) !== Math.round(next?.[key] ?? 0)
+  );
 }
 
 function updateSelectionUI() {
   const hasSelection = Boolean(currentSelected);
-  const isDevMock = Boolean(currentSelectionState?.devMock);
   setAnalyzeReady(hasSelection);
 
   if (!hasSelection) {
     updateSelectedLabel('Waiting for a Designer selection...');
     updateSelectionDebug(null);
     hideResults();
+    hideBatchResults();
     setStatus('Waiting for a Designer selection...', 'info');
     return;
   }
@@ -240,142 +1374,729 @@ function updateSelectionUI() {
     return;
   }
 
-  if (isDevMock) {
-    hideResults();
-    setStatus('DEV Mock Mode Active. Click Analyze to simulate results.', 'info');
-    return;
-  }
-
   if (currentSelected.widths) {
     setStatus('Ready to analyze.');
+  } else if (currentSelected.measurementMethod === 'sweep') {
+    setStatus('Ready (measured at every Webflow breakpoint).');
   } else {
     setStatus('Ready (using measured width from Designer viewport).');
   }
 }
 
-async function requestRecommendations(payload) {
+// An unreachable or failing backend falls back to the offline engine, and the result says why. One that
+// answers with an invalid response is reported as an error instead, so a broken backend never looks like a
+// working one.
+async function requestRecommendations(payload, selection, signal = null) {
+  const backend = getActiveBackend();
   try {
-    const response = await fetch(ANALYZE_ENDPOINT, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+    if (isOffline()) throw new Error('The panel is offline.');
+    return await requestAnalysis(backend, payload, {
+      signal,
+      onRetry: ({ attempt, retries, delay }) =>
+        setStatus(
+          `${backend.name} is not answering; retry ${attempt} of ${retries} in ${(delay / 1000).toFixed(1)}s...`,
+          'warning'
+        )
     });
+  } catch (error) {
+    if (isCancelledError(error) || error.code === BACKEND_ERRORS.invalidResponse) throw error;
+    const local = buildLocalRecommendations(payload?.widths, selection);
+    if (!local) throw error;
+    logWarn('AI backend unavailable; using the offline recommendation engine.', error);
+    return {
+      ...local,
+      fallbackReason: describeFallbackReason(error),
+      backendUnreachable: isOffline() || isNetworkError(error)
+    };
+  }
+}
 
-    if (!response.ok) {
-      throw new Error('The AI backend returned an error.');
-    }
+function describeFallbackReason(error) {
+  const message = error?.message || 'The AI backend is unreachable.';
+  const unauthorized = error?.code === BACKEND_ERRORS.http && [401, 403].includes(error.status);
+  return unauthorized ? `${message} Check the profile's API key.` : message;
+}
+
+function isOffline() {
+  return navigator.onLine === false;
+}
+
+function handleQueueSettled(sent) {
+  syncCancelButton();
+  if (!sent) return;
+  rerenderResults();
+  setStatus(`Updated ${sent} queued ${sent === 1 ? 'analysis' : 'analyses'} from the AI backend.`);
+}
+
+// A replayed answer goes through the same cache and history path as a live one. Only results still showing
+// the queued element at the same widths take it on screen.
+async function handleQueuedAnswer(entry, recommendations) {
+  const result = { ...entry.result, recommendations, queued: false, cachedAt: null, timestamp: Date.now() };
+  await writeCachedRecommendations(entry.signature, recommendations);
+  [latestResult, ...batchResults].forEach((shown) => {
+    if (!shown?.queued || shown.selection !== result.selection) return;
+    if (haveWidthsChanged(shown.measuredWidths, result.measuredWidths)) return;
+    Object.assign(shown, { recommendations, queued: false, timestamp: result.timestamp });
+  });
+  await recordHistory([result]);
+}
+
+function buildLocalRecommendations(measuredWidths, selection) {
+  return buildRecommendations(measuredWidths, { ...siteSettings, ...getRecommendationOptions(selection) });
+}
 
-    return response.json();
+function renderResults(recommendations, measuredWidths, selection) {
+  latestResult = { recommendations, measuredWidths, selection };
+  ui.resultsStale?.classList.add('hidden');
+  ui.resultsCached?.classList.add('hidden');
+  const vector = UNSIZED_KINDS.has(selection?.kind);
+  ui.rasterResults?.classList.toggle('hidden', vector);
+  renderVectorAdvice(vector ? selection : null);
+  if (vector) {
+    latestMarkupContext = null;
+    renderApplyBlock(null);
+    ui.resultsCard?.classList.remove('hidden');
+    return;
+  }
+
+  const merged = mergeRecommendations(recommendations, measuredWidths, selection);
+  const universal = merged?.universalUploadSize;
+  const universalHeight = merged?.universalUploadHeight;
+
+  ui.universalSize.textContent = formatDimensions(universal, toFiniteNumber(universalHeight));
+  ui.desktopSize.textContent = formatPixelValue(merged?.desktopRenderSize);
+  ui.mobileSize.textContent = formatPixelValue(merged?.mobileRenderSize);
+  ui.explanation.textContent = merged?.explanation ?? '';
+  const formatAdvice = merged?.format ?? null;
+  const videoAdvice = recommendVideo(selection, {
+    breakpoints: merged?.breakpoints,
+    pixelRatios: merged?.pixelRatios,
+    universalUploadSize: universal,
+    universalUploadHeight: universalHeight,
+    format: formatAdvice
+  });
+  renderFormatAdvice(videoAdvice ? null : formatAdvice, recommendations && merged?.formatSource === 'local');
+  renderCropWarnings(merged?.cropWarnings);
+  const estimates = videoAdvice
+    ? null
+    : estimateByteSavings(
+        {
+          universalUploadSize: universal,
+          universalUploadHeight: universalHeight,
+          breakpoints: merged?.breakpoints,
+          format: formatAdvice,
+          quality: siteSettings.quality
+        },
+        selection
+      );
+  renderSavings(estimates, selection);
+  renderVideoAdvice(videoAdvice);
+  renderBreakpointResults(merged?.breakpoints, selection?.hiddenBreakpoints, estimates);
+  renderAssetAssessment(selection, {
+    universalUploadSize: universal,
+    breakpoints: merged?.breakpoints
+  });
+
+  const candidates = buildCandidateWidths(merged);
+  const loadingAdvice = recommendLoading(selection);
+  latestMarkupContext = {
+    candidates,
+    sizes: buildSizesAttribute(measuredWidths, selection?.hiddenBreakpoints),
+    width: toFiniteNumber(universal),
+    height: toFiniteNumber(universalHeight),
+    alt: selection?.alt ?? '',
+    src: selection?.src ?? null,
+    sourceFormats: getPictureSourceFormats(formatAdvice),
+    loading: loadingAdvice?.loading ?? null,
+    fetchPriority: loadingAdvice?.fetchPriority ?? null,
+    decoding: loadingAdvice?.decoding ?? null,
+    preload: Boolean(loadingAdvice?.preload),
+    selector: selection?.selector ?? null,
+    breakpoints: merged?.breakpoints,
+    backgroundLayers: selection?.background?.layers ?? null,
+    video: selection?.video ?? null,
+    posterFormat: videoAdvice?.poster.format?.format ?? null,
+    mobileRendition: Boolean(videoAdvice?.mobileRendition),
+    videoPreload: loadingAdvice?.videoPreload ?? null,
+    videoWidth: videoAdvice?.desktop.encodeWidth ?? null,
+    videoHeight: videoAdvice?.desktop.encodeHeight ?? null
+  };
+  selectMarkupVariant(selection?.kind);
+  renderLoadingAdvice(loadingAdvice);
+  renderMarkup();
+  renderApplyBlock(selection);
+
+  ui.resultsCard?.classList.remove('hidden');
+}
+
+function renderAssetAssessment(selection, recommendations) {
+  if (!ui.assetAssessment) return;
+  const naturalWidth = toFiniteNumber(selection?.naturalWidth);
+  if (!naturalWidth) {
+    ui.assetAssessment.classList.add('hidden');
+    return;
+  }
+
+  const naturalHeight = toFiniteNumber(selection.naturalHeight);
+  const transferSize = toFiniteNumber(selection.transferSize);
+  const details = [naturalHeight ? `${naturalWidth}×${naturalHeight}px` : `${naturalWidth}px wide`];
+  if (transferSize) details.push(formatBytes(transferSize));
+  const source = selection.currentSrc ?? selection.src;
+  if (source) details.push(getFileName(source));
+  if (selection.background) details.push(formatBackgroundDetails(selection.background));
+  ui.assetDetails.textContent = details.join(' · ');
+
+  const assessment = selection.kind === 'video' ? null : assessIntrinsicSize(selection, recommendations);
+  ui.assetVerdict.textContent = assessment?.message ?? '';
+  ui.assetVerdict.dataset.status = assessment?.status ?? '';
+  ui.assetAssessment.classList.remove('hidden');
+}
+
+function formatBackgroundDetails(background) {
+  const parts = [`background-size: ${background.size}`, `position: ${background.position}`];
+  if (background.imageSet?.length) parts.push(`image-set() with ${background.imageSet.length} candidates`);
+  if (background.attachment === 'fixed') parts.push('fixed to the viewport');
+  if (background.gradientCount) {
+    parts.push(`${background.gradientCount} gradient layer${background.gradientCount === 1 ? '' : 's'}`);
+  }
+  return parts.join(', ');
+}
+
+function getFileName(url) {
+  if (url.startsWith('data:')) return 'inline data URL';
+  try {
+    const { pathname } = new URL(url, window.location.href);
+    return decodeURIComponent(pathname.split('/').filter(Boolean).pop() ?? url);
   } catch (error) {
-    if (DEV_ENVIRONMENT) {
-      logWarn('Falling back to mock recommendations in dev mode.', error);
-      return buildMockRecommendations(payload?.widths);
-    }
-    throw error;
+    return url;
+  }
+}
+
+function renderMarkup() {
+  if (!ui.markupSnippet) return;
+  if (!latestMarkupContext) {
+    ui.markupSnippet.textContent = '';
+    return;
+  }
+  const { candidates, sizes } = latestMarkupContext;
+  if (ui.candidateWidths) {
+    ui.candidateWidths.textContent = candidates.length ? candidates.map((width) => `${width}w`).join(', ') : '--';
+  }
+  if (ui.sizesAttribute) {
+    ui.sizesAttribute.textContent = sizes ?? '--';
+  }
+  const variant = ui.markupVariant?.value ?? 'img';
+  if (variant === 'image-set') {
+    ui.markupSnippet.textContent = buildImageSetCss(latestMarkupContext);
+  } else if (variant === 'video') {
+    const { videoWidth, videoHeight } = latestMarkupContext;
+    ui.markupSnippet.textContent = buildVideoMarkup({ ...latestMarkupContext, width: videoWidth, height: videoHeight });
+  } else {
+    ui.markupSnippet.textContent = buildImageMarkup({ ...latestMarkupContext, variant });
+  }
+  renderPreloadLink(variant);
+}
+
+function selectMarkupVariant(kind) {
+  if (!ui.markupVariant) return;
+  const preferred = KIND_MARKUP_VARIANTS[kind] ?? null;
+  Object.values(KIND_MARKUP_VARIANTS).forEach((variant) => {
+    const option = ui.markupVariant.querySelector(`option[value="${variant}"]`);
+    if (option) option.hidden = variant !== preferred;
+  });
+  if (preferred) {
+    ui.markupVariant.value = preferred;
+  } else if (Object.values(KIND_MARKUP_VARIANTS).includes(ui.markupVariant.value)) {
+    ui.markupVariant.value = 'img';
   }
 }
 
-function renderResults(recommendations, measuredWidths) {
-  const desktopMeasured = toFiniteNumber(measuredWidths?.desktop) ?? toFiniteNumber(measuredWidths?.mobile);
-  const mobileMeasured = toFiniteNumber(measuredWidths?.mobile) ?? desktopMeasured;
+async function handleCopyMarkupClick() {
+  const markup = ui.markupSnippet?.textContent;
+  if (!markup) return;
+  try {
+    await copyText(markup);
+    setStatus('Markup copied to clipboard.');
+  } catch (error) {
+    logWarn('Unable to copy markup.', error);
+    setStatus('Unable to copy markup; select it and copy manually.', 'warning');
+  }
+}
 
-  const universalFallback = desktopMeasured ? desktopMeasured * 2 : mobileMeasured ? mobileMeasured * 2 : null;
-  const universal = recommendations?.universalUploadSize ?? universalFallback;
-  const desktop = recommendations?.desktopRenderSize ?? desktopMeasured;
-  const mobile = recommendations?.mobileRenderSize ?? mobileMeasured;
-  const explanation =
-    recommendations?.explanation ??
-    'We doubled the largest rendered width to create a single upload that remains sharp across all breakpoints.';
+function renderVectorAdvice(selection) {
+  if (!ui.vectorAdvice) return;
+  const svgAdvice = recommendSvg(selection);
+  const canvasAdvice = svgAdvice ? null : recommendCanvas(selection, siteSettings.pixelRatios);
+  if (!svgAdvice && !canvasAdvice) {
+    ui.vectorAdvice.classList.add('hidden');
+    return;
+  }
 
-  ui.universalSize.textContent = formatPixelValue(universal);
-  ui.desktopSize.textContent = formatPixelValue(desktop);
-  ui.mobileSize.textContent = formatPixelValue(mobile);
-  ui.explanation.textContent = explanation;
+  const details = [];
+  const warnings = [];
+  if (svgAdvice) {
+    ui.vectorTitle.textContent = `Inline SVG: ${SVG_PLACEMENT_LABELS[svgAdvice.placement]}`;
+    ui.vectorSummary.textContent = `Vector artwork needs no raster sizing. ${svgAdvice.reasons.join(' ')}`;
+    details.push(
+      ['Markup', formatBytes(svgAdvice.markupBytes)],
+      ['Nodes', String(svgAdvice.nodeCount)],
+      ['Path data', formatBytes(svgAdvice.pathDataBytes)],
+      ['Embedded rasters', String(svgAdvice.images.length)],
+      ['Copies on this page', String(svgAdvice.occurrences)]
+    );
+    warnings.push(...svgAdvice.warnings);
+  } else {
+    ui.vectorTitle.textContent = 'Canvas';
+    ui.vectorSummary.textContent = canvasAdvice.message;
+    details.push(['Backing store', `${canvasAdvice.backingWidth}×${canvasAdvice.backingHeight}px · ${formatBytes(canvasAdvice.memoryBytes)} of memory`]);
+    BREAKPOINTS.forEach((breakpoint) => {
+      const entry = canvasAdvice.breakpoints[breakpoint.id];
+      if (!entry) return;
+      details.push([
+        breakpoint.label,
+        `${formatDimensions(entry.cssWidth, toFiniteNumber(entry.cssHeight))} CSS · ${entry.ratio}x (${entry.status}) · ${formatDimensions(
+          entry.neededWidth,
+          toFiniteNumber(entry.neededHeight)
+        )} at ${canvasAdvice.targetRatio}x`
+      ]);
+    });
+  }
 
-  ui.resultsCard?.classList.remove('hidden');
+  ui.vectorDetails.replaceChildren(
+    ...details.map(([labelText, valueText]) => {
+      const row = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = labelText;
+      const value = document.createElement('span');
+      value.className = 'breakpoint-value';
+      value.textContent = valueText;
+      row.append(label, value);
+      return row;
+    })
+  );
+  ui.vectorWarnings.replaceChildren(
+    ...warnings.map((warning) => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      return item;
+    })
+  );
+  ui.vectorWarnings.classList.toggle('hidden', !warnings.length);
+  ui.vectorAdvice.classList.remove('hidden');
 }
 
-function hideResults() {
-  ui.resultsCard?.classList.add('hidden');
+function formatVectorUpload(selection) {
+  if (selection.kind === 'canvas') return 'Canvas';
+  const advice = recommendSvg(selection);
+  return advice ? SVG_PLACEMENT_LABELS[advice.placement] : 'Vector';
 }
 
-function formatPixelValue(value) {
-  return Number.isFinite(value) ? `${Math.round(value)}px` : '--';
+function renderVideoAdvice(advice) {
+  if (!ui.videoAdvice) return;
+  if (!advice) {
+    ui.videoAdvice.classList.add('hidden');
+    return;
+  }
+
+  if (ui.formatValue) ui.formatValue.textContent = 'MP4 · H.264';
+  if (ui.savingsValue) {
+    const headline = advice.mobileSavings ?? advice.desktopSavings;
+    ui.savingsValue.textContent = Number.isFinite(headline) ? formatBytes(headline) : '--';
+  }
+
+  const source = [];
+  if (advice.sourceWidth && advice.sourceHeight) source.push(`${advice.sourceWidth}×${advice.sourceHeight}px source`);
+  if (advice.duration) source.push(`${advice.duration.toFixed(1)}s`);
+  if (advice.currentBytes) source.push(formatBytes(advice.currentBytes));
+  const sizes = [];
+  if (advice.desktopBytes) sizes.push(`~${formatBytes(advice.desktopBytes)} on desktop`);
+  if (advice.mobileBytes) sizes.push(`~${formatBytes(advice.mobileBytes)} on mobile`);
+  ui.videoSummary.textContent = [
+    source.length ? `${advice.background ? 'Background video' : 'Video'}: ${source.join(' · ')}.` : '',
+    buildVideoSummary(advice),
+    sizes.length ? `Estimated files: ${sizes.join(' and ')}.` : ''
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  ui.videoBreakpoints.replaceChildren();
+  BREAKPOINTS.forEach((breakpoint) => {
+    const entry = advice.breakpoints[breakpoint.id];
+    if (!entry) return;
+    const row = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = breakpoint.label;
+    const value = document.createElement('span');
+    value.className = 'breakpoint-value';
+    value.textContent = `${entry.encodeWidth}×${entry.encodeHeight}${entry.cropped ? ' cropped' : ''} · ~${formatBitrate(
+      entry.bitrateKbps
+    )}`;
+    row.append(label, value);
+    ui.videoBreakpoints.appendChild(row);
+  });
+
+  const { poster } = advice;
+  const posterSize = formatDimensions(poster.width, poster.height);
+  ui.videoPoster.textContent = poster.width
+    ? `Poster: ${posterSize} ${formatFormatLabel(poster.format)}${poster.current ? ` (currently ${getFileName(poster.current)})` : ''}.`
+    : '';
+  ui.videoWarnings.replaceChildren(
+    ...advice.warnings.map((warning) => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      return item;
+    })
+  );
+  ui.videoWarnings.classList.toggle('hidden', !advice.warnings.length);
+  ui.videoAdvice.classList.remove('hidden');
 }
 
-function buildMockRecommendations(measuredWidths) {
-  const desktopMeasured = toFiniteNumber(measuredWidths?.desktop) ?? 640;
-  const mobileMeasured = toFiniteNumber(measuredWidths?.mobile) ?? Math.round(desktopMeasured * 0.6);
-  const universal = Math.round(Math.max(desktopMeasured, mobileMeasured) * 2);
-  return {
-    universalUploadSize: universal,
-    desktopRenderSize: desktopMeasured,
-    mobileRenderSize: mobileMeasured,
-    explanation:
-      'DEV mock response: doubled the largest measured width to simulate the AI backend while offline.'
-  };
+function renderLoadingAdvice(advice) {
+  if (!ui.loadingAdvice) return;
+  if (!advice) {
+    ui.loadingAdvice.classList.add('hidden');
+    return;
+  }
+
+  const attributes = [];
+  if (advice.loading) attributes.push(`loading="${advice.loading}"`);
+  if (advice.fetchPriority) attributes.push(`fetchpriority="${advice.fetchPriority}"`);
+  if (advice.decoding) attributes.push(`decoding="${advice.decoding}"`);
+  if (advice.videoPreload) attributes.push(`preload="${advice.videoPreload}"`);
+  ui.loadingSummary.textContent = attributes.length
+    ? `${advice.message} Use ${attributes.join(' ')}.`
+    : advice.message;
+  ui.loadingWarnings.replaceChildren(
+    ...advice.warnings.map((warning) => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      return item;
+    })
+  );
+  ui.loadingWarnings.classList.toggle('hidden', !advice.warnings.length);
+  ui.loadingAdvice.classList.remove('hidden');
 }
 
-function deriveMeasuredWidths(selection) {
-  if (!selection) return null;
+function renderApplyBlock(selection) {
+  if (!ui.applyBlock) return;
+  const target = APPLY_KINDS.has(selection?.kind) ? getElementTarget(selection) : null;
+  applyState = target ? { target, changes: null, diff: null, applyId: null } : null;
+  ui.applyBlock.classList.toggle('hidden', !applyState);
+  if (!applyState) return;
+  ui.applyAltToggle.checked = false;
+  ui.applyAltText.value = selection.alt ?? '';
+  ui.applyAltText.disabled = true;
+  renderApplyDiff([]);
+  setApplyStatus('Preview the attribute changes before writing them to the element.');
+  syncApplyButtons();
+}
 
-  if (selection.widths && (selection.widths.desktop || selection.widths.mobile)) {
-    return {
-      desktop: toFiniteNumber(selection.widths.desktop) ?? toFiniteNumber(selection.widths.mobile),
-      mobile: toFiniteNumber(selection.widths.mobile) ?? toFiniteNumber(selection.widths.desktop)
-    };
+function getElementTarget(element) {
+  const id = typeof element?.id === 'string' && element.id ? element.id : null;
+  const selector = element?.selector ?? null;
+  return id || selector ? { id, selector } : null;
+}
+
+function buildApplyChanges() {
+  const attributes = {};
+  if (latestMarkupContext?.sizes) attributes.sizes = latestMarkupContext.sizes;
+  if (latestMarkupContext?.loading) attributes.loading = latestMarkupContext.loading;
+  if (latestMarkupContext?.fetchPriority) attributes.fetchpriority = latestMarkupContext.fetchPriority;
+  if (latestMarkupContext?.decoding) attributes.decoding = latestMarkupContext.decoding;
+  const changes = { attributes };
+  if (ui.applyAltToggle?.checked) changes.alt = ui.applyAltText.value.trim();
+  return changes;
+}
+
+function handleApplyPreviewClick() {
+  if (!applyState) return;
+  applyState.changes = buildApplyChanges();
+  sendApplyRequest('preview', { target: applyState.target, changes: applyState.changes });
+}
+
+function handleApplyConfirmClick() {
+  if (!applyState?.diff) return;
+  // The id is chosen here so the change can still be undone if the Designer answers too late.
+  const applyId = `riaa-apply-${Date.now().toString(36)}-${++applySequence}`;
+  sendApplyRequest('apply', { target: applyState.target, changes: applyState.changes, applyId });
+}
+
+function handleApplyUndoClick() {
+  if (!applyState?.applyId) return;
+  sendApplyRequest('undo', { applyId: applyState.applyId });
+}
+
+function handleApplyAltChange() {
+  if (!applyState) return;
+  ui.applyAltText.disabled = !ui.applyAltToggle.checked;
+  if (!applyState.diff) return;
+  // The previewed diff no longer matches what Apply would write.
+  applyState.diff = null;
+  renderApplyDiff([]);
+  setApplyStatus('Preview again to include the alt text change.');
+  syncApplyButtons();
+}
+
+async function sendApplyRequest(action, payload) {
+  if (applyInProgress) return;
+  const state = applyState;
+  applyInProgress = true;
+  syncApplyButtons();
+  setApplyStatus(action === 'undo' ? 'Restoring the previous values...' : 'Reading the element in the Designer...');
+
+  try {
+    const result = await callDesigner(
+      DESIGNER_METHODS.applyToElement,
+      { action, ...payload },
+      { timeout: APPLY_TIMEOUT_MS }
+    );
+    // Ignore answers for an element the panel is no longer showing.
+    if (state === applyState) handleApplyResult(action, result);
+  } catch (error) {
+    logWarn('Apply request failed.', error);
+    if (state === applyState) handleApplyError(action, payload, error);
+  } finally {
+    applyInProgress = false;
+    syncApplyButtons();
   }
+}
 
-  const computedDesktop = toFiniteNumber(selection.computedWidthDesktop) ?? toFiniteNumber(selection.computedWidths?.desktop);
-  const computedMobile = toFiniteNumber(selection.computedWidthMobile) ?? toFiniteNumber(selection.computedWidths?.mobile);
+function handleApplyResult(action, result) {
+  if (!applyState) return;
+  const diff = Array.isArray(result?.diff) ? result.diff : [];
+  const changed = diff.filter((entry) => entry.before !== entry.after).length;
+  const count = `${changed} ${changed === 1 ? 'attribute' : 'attributes'}`;
+  renderApplyDiff(diff);
+  if (action === 'preview') {
+    applyState.diff = changed ? diff : null;
+    setApplyStatus(changed ? `${count} will change.` : 'The element already matches the recommendation.');
+  } else if (action === 'apply') {
+    applyState.diff = null;
+    applyState.applyId = result?.applyId ?? null;
+    setApplyStatus(`Updated ${count} on the element.`);
+  } else {
+    applyState.applyId = null;
+    setApplyStatus('Restored the previous values.');
+  }
+}
 
-  if (!computedDesktop && !computedMobile) {
-    return null;
+function handleApplyError(action, payload, error) {
+  if (action === 'apply' && [BRIDGE_ERRORS.timeout, BRIDGE_ERRORS.partial].includes(error?.code)) {
+    // The Designer may have written some values; keep Undo available for them.
+    applyState.diff = null;
+    applyState.applyId = payload.applyId;
+    const message =
+      error.code === BRIDGE_ERRORS.timeout
+        ? 'The Designer did not confirm the change in time. Use Undo if the element was updated.'
+        : describeBridgeError(error);
+    setApplyStatus(message, 'warning');
+    return;
   }
+  if (action === 'undo' && error?.code === BRIDGE_ERRORS.notFound) applyState.applyId = null;
+  setApplyStatus(describeBridgeError(error), 'error');
+}
 
-  return {
-    desktop: computedDesktop ?? computedMobile ?? null,
-    mobile: computedMobile ?? computedDesktop ?? null
-  };
+function renderApplyDiff(diff) {
+  if (!ui.applyDiff) return;
+  ui.applyDiff.replaceChildren(
+    ...diff.map((entry) => {
+      const row = document.createElement('tr');
+      row.classList.toggle('apply-unchanged', entry.before === entry.after);
+      [entry.name, formatAttributeValue(entry.before), formatAttributeValue(entry.after)].forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      return row;
+    })
+  );
+  ui.applyDiffWrapper?.classList.toggle('hidden', !diff.length);
 }
 
-function getWidthSource(selection) {
-  if (selection?.widths) return 'designer';
-  if (selection?.computedWidths) return 'computed';
-  return 'unknown';
+function formatAttributeValue(value) {
+  if (value === null || value === undefined) return '--';
+  return value === '' ? '""' : value;
 }
 
-function normalizeIncomingSelection(payload) {
-  if (!payload) return null;
-  if (Array.isArray(payload)) {
-    return {
-      elements: payload.filter(Boolean),
-      primary: payload.find(Boolean) ?? null,
-      devMock: Boolean(payload.find((item) => item?.devMock)),
-      reason: null
-    };
+function syncApplyButtons() {
+  const busy = applyInProgress;
+  if (ui.applyPreviewButton) ui.applyPreviewButton.disabled = busy || !applyState;
+  if (ui.applyConfirmButton) ui.applyConfirmButton.disabled = busy || !applyState?.diff;
+  if (ui.applyUndoButton) ui.applyUndoButton.disabled = busy || !applyState?.applyId;
+}
+
+function setApplyStatus(message, tone = 'info') {
+  if (!ui.applyStatus) return;
+  ui.applyStatus.textContent = message;
+  ui.applyStatus.style.color = STATUS_COLORS[tone] ?? STATUS_COLORS.info;
+}
+
+function renderPreloadLink(variant) {
+  if (!ui.preloadSnippet) return;
+  let preload = '';
+  if (latestMarkupContext?.preload && variant === 'video') {
+    const { src, video, posterFormat } = latestMarkupContext;
+    preload = buildPreloadLink({ src: buildPosterUrl({ src, poster: video?.poster, format: posterFormat }) });
+  } else if (latestMarkupContext?.preload) {
+    preload = buildPreloadLink({
+      src: latestMarkupContext.src,
+      candidates: latestMarkupContext.candidates,
+      sizes: latestMarkupContext.sizes,
+      format: variant === 'picture' ? latestMarkupContext.sourceFormats[0] : null
+    });
   }
-  if (payload.elements && payload.primary) {
-    const elements = Array.isArray(payload.elements) ? payload.elements.filter(Boolean) : [payload.elements].filter(Boolean);
-    const primary = payload.primary ?? elements[0] ?? null;
-    return {
-      elements,
-      primary,
-      devMock: Boolean(payload.devMock || primary?.devMock),
-      reason: payload.reason ?? payload.devMockReason ?? primary?.reason ?? null
-    };
+  ui.preloadSnippet.textContent = preload;
+  ui.preloadSnippet.classList.toggle('hidden', !preload);
+  ui.copyPreloadButton?.classList.toggle('hidden', !preload);
+}
+
+async function handleCopyPreloadClick() {
+  const preload = ui.preloadSnippet?.textContent;
+  if (!preload) return;
+  try {
+    await copyText(preload);
+    setStatus('Preload link copied to clipboard.');
+  } catch (error) {
+    logWarn('Unable to copy preload link.', error);
+    setStatus('Unable to copy the preload link; select it and copy manually.', 'warning');
   }
-  if (payload.element) {
-    return normalizeIncomingSelection(payload.element);
+}
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (error) {
+      logDebug('Clipboard API rejected write; using fallback.', error);
+    }
   }
-  const element = payload.primary ?? payload;
-  if (!element) return null;
-  return {
-    elements: [element],
-    primary: element,
-    devMock: Boolean(element.devMock || payload.devMock),
-    reason: payload.reason ?? payload.devMockReason ?? element.reason ?? null
-  };
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  if (!copied) throw new Error('Copy command was rejected.');
+}
+
+function renderSavings(estimates, selection) {
+  if (ui.savingsValue) {
+    const headline = estimates?.mobileSavings ?? estimates?.universalSavings;
+    ui.savingsValue.textContent = Number.isFinite(headline) ? formatBytes(headline) : '--';
+  }
+  if (!ui.savingsSummary) return;
+  if (!estimates) {
+    ui.savingsSummary.textContent = '';
+    ui.savingsSummary.classList.add('hidden');
+    return;
+  }
+
+  const sentences = [];
+  if (estimates.currentBytes) {
+    const source = estimates.currentBytesSource === 'transfer' ? 'measured' : 'estimated';
+    sentences.push(`Current asset: ${formatBytes(estimates.currentBytes)} (${source}).`);
+  }
+  if (estimates.universalBytes) {
+    sentences.push(
+      `Recommended upload as ${estimates.recommendedFormat.toUpperCase()}: ~${formatBytes(estimates.universalBytes)}.`
+    );
+  }
+  const savings = [];
+  if (Number.isFinite(estimates.desktopSavings)) savings.push(`~${formatBytes(estimates.desktopSavings)} on desktop`);
+  if (Number.isFinite(estimates.mobileSavings)) savings.push(`~${formatBytes(estimates.mobileSavings)} on mobile`);
+  if (savings.length) sentences.push(`With srcset this saves ${savings.join(' and ')}.`);
+  const lcp = [];
+  if (estimates.lcp?.mobileSeconds) {
+    lcp.push(`~${estimates.lcp.mobileSeconds}s on ${NETWORK_PROFILES.mobile.label} mobile`);
+  }
+  if (estimates.lcp?.desktopSeconds) {
+    lcp.push(`~${estimates.lcp.desktopSeconds}s on ${NETWORK_PROFILES.desktop.label} desktop`);
+  }
+  if (lcp.length && selection?.lcpCandidate) {
+    sentences.push(`As the likely LCP element, LCP improves by ${lcp.join(' and ')}.`);
+  }
+
+  ui.savingsSummary.textContent = sentences.join(' ');
+  ui.savingsSummary.classList.toggle('hidden', !sentences.length);
+}
+
+function renderBreakpointResults(breakpoints, hiddenBreakpoints = [], estimates = null) {
+  if (!ui.breakpointResults) return;
+  ui.breakpointResults.replaceChildren();
+  BREAKPOINTS.forEach((breakpoint) => {
+    const entry = breakpoints?.[breakpoint.id];
+    const hidden = hiddenBreakpoints.includes(breakpoint.id);
+    if (!entry && !hidden) return;
+
+    const row = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = breakpoint.label;
+    const value = document.createElement('span');
+    value.className = 'breakpoint-value';
+    value.textContent = hidden
+      ? 'Hidden'
+      : `${formatDimensions(toFiniteNumber(entry.renderWidth), toFiniteNumber(entry.renderHeight))} render · ${formatDimensions(
+          toFiniteNumber(entry.requiredWidth),
+          toFiniteNumber(entry.requiredHeight)
+        )} needed${formatEstimateSuffix(estimates?.breakpoints?.[breakpoint.id])}`;
+    row.append(label, value);
+    ui.breakpointResults.appendChild(row);
+  });
+  ui.breakpointResults.classList.toggle('hidden', !ui.breakpointResults.children.length);
+}
+
+function renderFormatAdvice(advice, fromOfflineEngine = false) {
+  if (ui.formatValue) {
+    ui.formatValue.textContent = formatFormatLabel(advice);
+  }
+  if (!ui.formatAdvice) return;
+  if (!advice?.format) {
+    ui.formatAdvice.textContent = '';
+    ui.formatAdvice.classList.add('hidden');
+    return;
+  }
+  const alternatives = (advice.alternatives ?? []).map(formatFormatLabel);
+  const parts = [...(advice.reasons ?? [])];
+  if (alternatives.length) parts.push(`Fallbacks: ${alternatives.join(', ')}.`);
+  // The backend sized the image but said nothing about the format.
+  if (fromOfflineEngine) parts.push('Format advice from the offline engine.');
+  ui.formatAdvice.textContent = parts.join(' ');
+  ui.formatAdvice.classList.remove('hidden');
+}
+
+function renderCropWarnings(warnings) {
+  if (!ui.cropWarnings) return;
+  ui.cropWarnings.replaceChildren();
+  (Array.isArray(warnings) ? warnings : []).forEach((warning) => {
+    const item = document.createElement('li');
+    item.textContent = typeof warning === 'string' ? warning : warning?.message ?? '';
+    if (item.textContent) ui.cropWarnings.appendChild(item);
+  });
+  ui.cropWarnings.classList.toggle('hidden', !ui.cropWarnings.children.length);
+}
+
+function formatEstimateSuffix(estimate) {
+  return Number.isFinite(estimate?.bytes) ? ` · ~${formatBytes(estimate.bytes)}` : '';
+}
+
+function hideResults() {
+  ui.resultsCard?.classList.add('hidden');
+  latestMarkupContext = null;
+  latestResult = null;
+  applyState = null;
+}
+
+function formatPixelValue(value) {
+  return Number.isFinite(value) ? `${Math.round(value)}px` : '--';
+}
+
+function formatDimensions(width, height) {
+  if (!Number.isFinite(width)) return '--';
+  return Number.isFinite(height) ? `${Math.round(width)}×${Math.round(height)}px` : formatPixelValue(width);
 }
 
 function toFiniteNumber(value) {
@@ -395,16 +2116,22 @@ function updateSelectedLabel(metadata) {
   if (typeof metadata === 'string') {
     displayText = metadata;
   } else if (metadata && typeof metadata === 'object') {
-    const tag = (metadata.tagName || 'element').toLowerCase();
-    const idPart = metadata.id ? `#${metadata.id}` : '';
     const selectionCount = currentSelectionState?.elements?.length ?? 0;
-    const suffix = selectionCount > 1 ? ` (first of ${selectionCount} selected)` : '';
-    displayText = `${tag}${idPart}${suffix}`;
+    const suffix = selectionCount > 1 ? ` + ${selectionCount - 1} more (${selectionCount} will be analyzed)` : '';
+    displayText = `${formatElementName(metadata, false)}${suffix}`;
   }
 
   ui.selectedLabel.textContent = displayText;
 }
 
+function formatElementName(metadata, preferLabel = true) {
+  if (!metadata) return 'Unknown element';
+  if (preferLabel && metadata.label) return metadata.label;
+  const tag = (metadata.tagName || 'element').toLowerCase();
+  const idPart = metadata.id ? `#${metadata.id}` : '';
+  return `${tag}${idPart}`;
+}
+
 function updateSelectionDebug(selection) {
   if (!ui.selectionDebug) return;
 
@@ -419,11 +2146,34 @@ function updateSelectionDebug(selection) {
     label: selection.label ?? null,
     selector: selection.selector ?? null,
     widths: selection.widths ?? null,
-    devMock: Boolean(selection.devMock),
-    reason: selection.reason ?? selection.devMockReason ?? null,
     computedWidths: selection.computedWidths ?? {
       desktop: selection.computedWidthDesktop ?? null,
       mobile: selection.computedWidthMobile ?? null
+    },
+    hiddenBreakpoints: selection.hiddenBreakpoints ?? [],
+    aboveFoldBreakpoints: selection.aboveFoldBreakpoints ?? null,
+    lcpBreakpoints: selection.lcpBreakpoints ?? null,
+    loading: selection.loading ?? null,
+    fetchPriority: selection.fetchPriority ?? null,
+    decoding: selection.decoding ?? null,
+    measurementMethod: selection.measurementMethod ?? null,
+    computedHeights: selection.computedHeights ?? null,
+    objectFit: selection.objectFit ?? null,
+    objectPosition: selection.objectPosition ?? null,
+    background: selection.background ?? null,
+    boxWidths: selection.boxWidths ?? null,
+    boxHeights: selection.boxHeights ?? null,
+    video: selection.video ?? null,
+    svg: selection.svg ?? null,
+    canvas: selection.canvas ?? null,
+    content: selection.content ?? null,
+    asset: {
+      kind: selection.kind ?? null,
+      naturalWidth: selection.naturalWidth ?? null,
+      naturalHeight: selection.naturalHeight ?? null,
+      src: selection.src ?? null,
+      currentSrc: selection.currentSrc ?? null,
+      transferSize: selection.transferSize ?? null
     }
   };
 
@@ -438,12 +2188,7 @@ function setStatus(message, tone = 'info') {
   if (!ui.status) return;
   ui.status.textContent = message;
 
-  const colors = {
-    info: '#8b949e',
-    error: '#f87171',
-    warning: '#facc15'
-  };
-  ui.status.style.color = colors[tone] ?? colors.info;
+  ui.status.style.color = STATUS_COLORS[tone] ?? STATUS_COLORS.info;
 }
 
 function setAnalyzeReady(isReady) {
@@ -453,9 +2198,15 @@ function setAnalyzeReady(isReady) {
 
 function setAnalyzeProcessing(isProcessing) {
   analyzeProcessing = Boolean(isProcessing);
+  syncCancelButton();
   syncAnalyzeButtonState();
 }
 
+// Cancel stays available while backend requests wait in the queue, so they can be dropped.
+function syncCancelButton() {
+  ui.cancelAnalysisButton?.classList.toggle('hidden', !analyzeProcessing && !analysisQueue.size);
+}
+
 function syncAnalyzeButtonState() {
   if (!ui.analyzeButton) return;
   const shouldDisable = analyzeProcessing || !analyzeSelectionReady;
@@ -470,56 +2221,14 @@ function updateDevBadge() {
     return;
   }
 
-  const text = 'DEV Mock Mode Active';
-  ui.devBadge.textContent = text;
+  ui.devBadge.textContent = getRuntimeCandidate()?.mock ? 'DEV · Mock Designer' : 'DEV · No Designer runtime';
   ui.devBadge.classList.remove('hidden');
 }
 
-function createDevSelectionState(reason = 'dev-mode') {
-  const mockElement = {
-    id: 'riaa-dev-mock',
-    label: 'DEV Mock Image',
-    tagName: 'img',
-    selector: '.riaa-dev-mock',
-    widths: {
-      desktop: 640,
-      mobile: 320
-    },
-    computedWidths: {
-      desktop: 640,
-      mobile: 320
-    },
-    computedWidthDesktop: 640,
-    computedWidthMobile: 320,
-    devMock: true,
-    reason
-  };
-  return { elements: [mockElement], primary: mockElement, devMock: true, reason };
-}
-
-function showDevMockSelection(reason = 'dev-mode') {
-  if (!DEV_ENVIRONMENT) return;
-  const payload = createDevSelectionState(reason);
-  handleSelectionMessage({
-    type: SELECTION_MESSAGE_TYPE,
-    selection: payload,
-    devMock: true
-  });
-}
-
-function requestSelectionUpdate(initial = false) {
-  const type = initial ? SUBSCRIBE_MESSAGE_TYPE : REQUEST_MESSAGE_TYPE;
-  broadcastToHost({ type });
-}
-
-function notifyContextReady() {
-  broadcastToHost({ type: CONTEXT_READY_MESSAGE_TYPE });
-}
-
 function broadcastToHost(message) {
   if (!designerMessageWindow) {
     logWarn('Unable to broadcast to designer host; target window missing.');
-    return;
+    return false;
   }
   const targetOrigins = new Set();
   if (trustedDesignerOrigin) {
@@ -528,13 +2237,16 @@ function broadcastToHost(message) {
   if (!designerOriginConfirmed) {
     KNOWN_WEBFLOW_ORIGINS.forEach((origin) => targetOrigins.add(origin));
   }
+  let posted = false;
   targetOrigins.forEach((origin) => {
     try {
       designerMessageWindow.postMessage(message, origin);
+      posted = true;
     } catch (error) {
       logWarn('Unable to communicate with Designer host.', error);
     }
   });
+  return posted;
 }
 
 function requestHostResize(size) {
@@ -542,10 +2254,9 @@ function requestHostResize(size) {
   const width = Number(size.width);
   const height = Number(size.height);
   if (!Number.isFinite(width) || !Number.isFinite(height)) return;
-  broadcastToHost({
-    type: PANEL_RESIZE_MESSAGE_TYPE,
-    size: { width, height }
-  });
+  callDesigner(DESIGNER_METHODS.resizePanel, { size: { width, height } }).catch((error) =>
+    logDebug('Designer script did not resize the panel.', error)
+  );
 }
 
 function getDesignerOriginFromReferrer() {
@@ -0,0 +1,120 @@
+// IndexedDB cache of backend recommendations. Entries are keyed by a signature of everything the backend
+// sees: the site, the backend profile, the element id and the full analysis payload, which carries the
+// selector, the per-breakpoint widths and the site's settings. Any change is a cache miss.
+const CACHE_DB_NAME = 'riaa-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'recommendations';
+export const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+let databasePromise = null;
+
+export function buildCacheSignature({ siteId, backend, elementId, payload }) {
+  return JSON.stringify({
+    siteId: siteId ?? null,
+    elementId: elementId ?? null,
+    backend: backend ? { adapter: backend.adapter, url: backend.url, model: backend.model } : null,
+    payload
+  });
+}
+
+export async function readCachedRecommendations(signature) {
+  const database = await openDatabase();
+  if (!database) return null;
+  try {
+    const record = await runRequest(database, 'readonly', (store) => store.get(hashSignature(signature)));
+    if (!record || record.signature !== signature) return null;
+    if (record.expiresAt <= Date.now()) {
+      await runRequest(database, 'readwrite', (store) => store.delete(record.key));
+      return null;
+    }
+    return { recommendations: record.recommendations, cachedAt: record.storedAt };
+  } catch (error) {
+    return null;
+  }
+}
+
+export async function writeCachedRecommendations(signature, recommendations, ttl = CACHE_TTL_MS) {
+  const database = await openDatabase();
+  if (!database) return false;
+  const storedAt = Date.now();
+  try {
+    await runRequest(database, 'readwrite', (store) =>
+      store.put({ key: hashSignature(signature), signature, recommendations, storedAt, expiresAt: storedAt + ttl })
+    );
+    await pruneExpired(database);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export async function clearRecommendationCache() {
+  const database = await openDatabase();
+  if (!database) return false;
+  try {
+    await runRequest(database, 'readwrite', (store) => store.clear());
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function pruneExpired(database) {
+  return new Promise((resolve) => {
+    const transaction = database.transaction(CACHE_STORE, 'readwrite');
+    const expired = IDBKeyRange.upperBound(Date.now());
+    const request = transaction.objectStore(CACHE_STORE).index('expiresAt').openCursor(expired);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => resolve();
+    transaction.onabort = () => resolve();
+  });
+}
+
+// IndexedDB can be missing or blocked in the Designer's sandboxed frame; the cache is then skipped.
+function openDatabase() {
+  if (databasePromise) return databasePromise;
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    try {
+      const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('expiresAt', 'expiresAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    } catch (error) {
+      resolve(null);
+    }
+  });
+  return databasePromise;
+}
+
+function runRequest(database, mode, createRequest) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(CACHE_STORE, mode);
+    const request = createRequest(transaction.objectStore(CACHE_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// 32-bit FNV-1a plus the length keeps keys short; the stored signature settles any collision.
+function hashSignature(signature) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < signature.length; index += 1) {
+    hash = Math.imul(hash ^ signature.charCodeAt(index), 0x01000193);
+  }
+  return `${(hash >>> 0).toString(16).padStart(8, '0')}-${signature.length.toString(36)}`;
+}
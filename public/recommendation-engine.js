@@ -0,0 +1,478 @@
+import { getBreakpoint, resolveBreakpointMap, resolveBreakpointWidths, toPositiveNumber } from './breakpoints.js';
+
+export const DEFAULT_PIXEL_RATIOS = [1, 2];
+export const DEFAULT_MAX_UPLOAD_WIDTH = 2560;
+export const DEFAULT_ROUNDING_STEP = 50;
+export const SIZE_TOLERANCE = 0.15;
+export const CROP_TOLERANCE = 0.02;
+export const FLAT_COLOR_LIMIT = 256;
+export const ICON_COLOR_LIMIT = 16;
+export const FLAT_RATIO_THRESHOLD = 0.6;
+export const FORMAT_QUALITY = { avif: 55, webp: 78, jpeg: 80 };
+export const QUALITY_PRESETS = {
+  low: { avif: 45, webp: 70, jpeg: 72 },
+  balanced: FORMAT_QUALITY,
+  high: { avif: 65, webp: 85, jpeg: 88 }
+};
+export const DEFAULT_QUALITY = 'balanced';
+// Formats a site can switch off; JPEG and PNG always remain as fallbacks.
+export const MODERN_FORMATS = ['avif', 'webp'];
+// SVG markup and canvas drawings are not uploaded raster files, so there is no upload width to recommend.
+export const UNSIZED_KINDS = new Set(['svg', 'canvas']);
+const OBJECT_FIT_VALUES = new Set(['fill', 'contain', 'cover', 'none', 'scale-down']);
+export const FORMAT_MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+const FORMAT_NAMES = { avif: 'AVIF', webp: 'WebP', jpeg: 'JPEG', png: 'PNG', svg: 'SVG' };
+
+export function buildRecommendations(widths, options = {}) {
+  const pixelRatios = sanitizePixelRatios(options.pixelRatios);
+  const maxUploadWidth = toPositiveNumber(options.maxUploadWidth) ?? DEFAULT_MAX_UPLOAD_WIDTH;
+  const roundingStep = toPositiveNumber(options.roundingStep) ?? DEFAULT_ROUNDING_STEP;
+  const targetRatio = pixelRatios[pixelRatios.length - 1];
+  const hiddenBreakpoints = Array.isArray(options.hiddenBreakpoints) ? options.hiddenBreakpoints : [];
+  const heights = resolveBreakpointMap(options.heights);
+  const objectFit = normalizeObjectFit(options.objectFit);
+  const intrinsicAspectRatio = toPositiveNumber(options.intrinsicAspectRatio);
+
+  const measured = resolveBreakpointWidths(widths, hiddenBreakpoints);
+  if (!measured.length) return null;
+
+  const breakpoints = {};
+  const cropWarnings = [];
+  let limiting = null;
+  measured.forEach(({ breakpoint, width }) => {
+    const height = heights.get(breakpoint.id) ?? null;
+    const sourceWidth = getRequiredSourceWidth(width, height, objectFit, intrinsicAspectRatio);
+    const cropAxis = getCropAxis(width, height, objectFit, intrinsicAspectRatio);
+    const renderWidth = Math.round(width);
+    const renderHeight = height ? Math.round(height) : null;
+    const requiredWidth = Math.ceil(sourceWidth * targetRatio);
+    breakpoints[breakpoint.id] = {
+      label: breakpoint.label,
+      renderWidth,
+      renderHeight,
+      requiredWidth,
+      requiredHeight: intrinsicAspectRatio ? Math.ceil(requiredWidth / intrinsicAspectRatio) : null,
+      cropAxis,
+      densities: pixelRatios.map((ratio) => ({
+        ratio,
+        width: Math.min(roundUp(sourceWidth * ratio, roundingStep), maxUploadWidth)
+      }))
+    };
+    if (cropAxis === 'width') {
+      cropWarnings.push({
+        breakpoint: breakpoint.id,
+        message: `At ${breakpoint.label} the ${renderWidth}×${renderHeight}px box is proportionally narrower than the image, so object-fit: ${objectFit} crops the sides and needs ${requiredWidth}px of width at ${targetRatio}x to fill the height.`
+      });
+    }
+    if (!limiting || requiredWidth > limiting.requiredWidth) {
+      limiting = { id: breakpoint.id, label: breakpoint.label, renderWidth, renderHeight, requiredWidth, cropAxis };
+    }
+  });
+
+  const roundedWidth = roundUp(limiting.requiredWidth, roundingStep);
+  const capped = roundedWidth > maxUploadWidth;
+  const universalUploadSize = capped ? maxUploadWidth : roundedWidth;
+  const uploadAspectRatio =
+    intrinsicAspectRatio ?? (limiting.renderHeight ? limiting.renderWidth / limiting.renderHeight : null);
+
+  return {
+    universalUploadSize,
+    universalUploadHeight: uploadAspectRatio ? Math.round(universalUploadSize / uploadAspectRatio) : null,
+    desktopRenderSize: getRenderSize(breakpoints, 'main', measured[0].width, hiddenBreakpoints),
+    mobileRenderSize: getRenderSize(breakpoints, 'tiny', measured[measured.length - 1].width, hiddenBreakpoints),
+    breakpoints,
+    limitingBreakpoint: limiting.id,
+    objectFit,
+    cropWarnings,
+    format: recommendFormat(options.content, options),
+    pixelRatios,
+    maxUploadWidth,
+    roundingStep,
+    formats: sanitizeFormats(options.formats),
+    quality: sanitizeQuality(options.quality),
+    capped,
+    explanation: buildExplanation({
+      limiting,
+      objectFit,
+      targetRatio,
+      roundingStep,
+      universalUploadSize,
+      capped,
+      hiddenBreakpoints
+    }),
+    source: 'local'
+  };
+}
+
+export function getRecommendationOptions(selection) {
+  const naturalWidth = toPositiveNumber(selection?.naturalWidth);
+  const naturalHeight = toPositiveNumber(selection?.naturalHeight);
+  return {
+    hiddenBreakpoints: Array.isArray(selection?.hiddenBreakpoints) ? selection.hiddenBreakpoints : [],
+    heights: selection?.computedHeights ?? selection?.heights ?? null,
+    objectFit: selection?.objectFit ?? null,
+    intrinsicAspectRatio:
+      toPositiveNumber(selection?.intrinsicAspectRatio) ??
+      (naturalWidth && naturalHeight ? naturalWidth / naturalHeight : null),
+    content: selection?.content ?? null
+  };
+}
+
+export function classifyContent(content) {
+  if (!content?.sampled) return null;
+  const colorCount = toPositiveNumber(content.colorCount) ?? 0;
+  const flatRatio = Number(content.flatRatio) || 0;
+  return colorCount <= FLAT_COLOR_LIMIT || flatRatio >= FLAT_RATIO_THRESHOLD ? 'flat' : 'photo';
+}
+
+export function recommendFormat(content, { formats, quality } = {}) {
+  if (!content) return null;
+  const sourceFormat = content.sourceFormat ?? null;
+  const preferences = { formats: sanitizeFormats(formats), quality: QUALITY_PRESETS[sanitizeQuality(quality)] };
+  if (sourceFormat === 'svg') {
+    return buildFormatAdvice('svg', [], {
+      contentType: 'vector',
+      sourceFormat,
+      preferences,
+      reasons: ['The asset is already an SVG; keep it vector.']
+    });
+  }
+
+  const contentType = classifyContent(content);
+  const hasAlpha = Boolean(content.hasAlpha);
+  if (contentType === 'flat') {
+    const reasons = [
+      `Flat artwork with about ${content.colorCount} colors compresses best losslessly; lossy photo formats blur its edges.`
+    ];
+    if (sourceFormat === 'jpeg') {
+      reasons.push('JPEG adds ringing around flat edges and cannot store transparency.');
+    }
+    if (content.colorCount <= ICON_COLOR_LIMIT) {
+      reasons.unshift('Very few colors: export it as SVG from the source artwork if you can.');
+      return buildFormatAdvice('svg', [lossless('webp'), lossless('png')], {
+        contentType,
+        sourceFormat,
+        reasons,
+        preferences
+      });
+    }
+    return buildFormatAdvice(lossless('webp'), [lossless('png')], { contentType, sourceFormat, reasons, preferences });
+  }
+
+  const reasons =
+    contentType === 'photo'
+      ? ['Photographic content compresses far better with lossy AVIF or WebP than with PNG or JPEG.']
+      : ['The content could not be sampled (likely a cross-origin asset), so photo defaults are assumed.'];
+  if (sourceFormat === 'png' && contentType === 'photo') {
+    reasons.push('This photo is stored as PNG, which is usually several times larger than needed.');
+  }
+  if (hasAlpha) {
+    reasons.push('It has transparency, so fall back to PNG rather than JPEG.');
+    return buildFormatAdvice('avif', ['webp', lossless('png')], { contentType, sourceFormat, reasons, preferences });
+  }
+  return buildFormatAdvice('avif', ['webp', 'jpeg'], {
+    contentType,
+    sourceFormat,
+    reasons,
+    preferences,
+    confidence: contentType ? 'high' : 'low'
+  });
+}
+
+export function formatFormatLabel(advice) {
+  if (!advice?.format) return '--';
+  const name = FORMAT_NAMES[advice.format] ?? advice.format.toUpperCase();
+  if (advice.lossless) return advice.format === 'png' ? name : `${name} lossless`;
+  return advice.quality ? `${name} q${advice.quality}` : name;
+}
+
+function lossless(format) {
+  return { format, lossless: true };
+}
+
+function toFormatOption(option, quality = FORMAT_QUALITY) {
+  const { format, lossless: isLossless = false } = typeof option === 'string' ? { format: option } : option;
+  return {
+    format,
+    mimeType: FORMAT_MIME_TYPES[format] ?? null,
+    quality: isLossless ? null : quality[format] ?? null,
+    lossless: isLossless
+  };
+}
+
+function buildFormatAdvice(
+  primary,
+  alternatives,
+  { contentType, sourceFormat, reasons, preferences, confidence = 'high' }
+) {
+  const { formats = MODERN_FORMATS, quality = FORMAT_QUALITY } = preferences ?? {};
+  const options = [primary, ...alternatives].map((option) => toFormatOption(option, quality));
+  const allowed = options.filter((option) => !MODERN_FORMATS.includes(option.format) || formats.includes(option.format));
+  const disabled = MODERN_FORMATS.filter(
+    (format) => !formats.includes(format) && options.some((option) => option.format === format)
+  );
+  const [advice, ...rest] = allowed;
+  return {
+    ...advice,
+    alternatives: rest,
+    contentType,
+    sourceFormat,
+    confidence,
+    reasons: disabled.length ? [...reasons, describeDisabledFormats(disabled)] : reasons
+  };
+}
+
+export function assessIntrinsicSize(asset, recommendations) {
+  const naturalWidth = toPositiveNumber(asset?.naturalWidth);
+  const neededWidth = toPositiveNumber(recommendations?.universalUploadSize);
+  if (!naturalWidth || !neededWidth) return null;
+
+  const widestRender = Math.max(
+    0,
+    ...Object.values(recommendations.breakpoints ?? {}).map((entry) => toPositiveNumber(entry?.renderWidth) ?? 0)
+  );
+  const ratio = naturalWidth / neededWidth;
+  const percent = Math.round(Math.abs(ratio - 1) * 100);
+  const base = { naturalWidth, neededWidth, ratio, percent };
+
+  if (ratio > 1 + SIZE_TOLERANCE) {
+    const wastedArea = Math.round((1 - 1 / (ratio * ratio)) * 100);
+    return {
+      ...base,
+      status: 'oversized',
+      wastedAreaPercent: wastedArea,
+      message: `Oversized: the upload is ${naturalWidth}px wide, ${percent}% wider than the ${neededWidth}px needed (${wastedArea}% of its pixels are never shown).`
+    };
+  }
+  if (ratio < 1 - SIZE_TOLERANCE) {
+    const blurry = widestRender > 0 && naturalWidth < widestRender;
+    return {
+      ...base,
+      status: 'undersized',
+      blurry,
+      message: blurry
+        ? `Blurry: the upload is ${naturalWidth}px wide but renders up to ${widestRender}px even at 1x. Upload ${neededWidth}px.`
+        : `Undersized: the upload is ${naturalWidth}px wide, ${percent}% narrower than the ${neededWidth}px needed for high-density screens.`
+    };
+  }
+  return {
+    ...base,
+    status: 'right-sized',
+    message: `Right-sized: the ${naturalWidth}px upload is within ${Math.round(SIZE_TOLERANCE * 100)}% of the ${neededWidth}px needed.`
+  };
+}
+
+export function recommendLoading(selection) {
+  const aboveFold = Array.isArray(selection?.aboveFoldBreakpoints) ? selection.aboveFoldBreakpoints : null;
+  if (!aboveFold) return null;
+  const lcp = Array.isArray(selection.lcpBreakpoints) ? selection.lcpBreakpoints : [];
+  const current = {
+    loading: selection.loading || null,
+    fetchPriority: selection.fetchPriority || null,
+    decoding: selection.decoding || null
+  };
+  const labels = (ids) => ids.map((id) => getBreakpoint(id)?.label ?? id).join(', ');
+  const warnings = [];
+  if (selection.kind === 'video') {
+    return recommendVideoLoading(selection, aboveFold, lcp, labels);
+  }
+  if (selection.kind === 'background') {
+    return recommendBackgroundLoading(aboveFold, lcp, labels);
+  }
+
+  if (lcp.length) {
+    if (current.loading === 'lazy') {
+      warnings.push('This image is lazy-loaded but is the likely LCP element. Lazy loading delays it until layout and hurts LCP.');
+    }
+    if (current.fetchPriority === 'low') {
+      warnings.push('fetchpriority="low" on the likely LCP element pushes it behind other requests.');
+    }
+    return {
+      status: 'lcp',
+      loading: 'eager',
+      fetchPriority: 'high',
+      decoding: 'async',
+      preload: true,
+      current,
+      warnings,
+      message: `Likely LCP element at ${labels(lcp)}. Load it eagerly with fetchpriority="high" and preload it.`
+    };
+  }
+  if (aboveFold.length) {
+    if (current.loading === 'lazy') {
+      warnings.push('This image is visible on first paint but is lazy-loaded, so it may pop in late.');
+    }
+    return {
+      status: 'above-fold',
+      loading: 'eager',
+      fetchPriority: null,
+      decoding: 'async',
+      preload: false,
+      current,
+      warnings,
+      message: `Visible on first paint at ${labels(aboveFold)}, but a larger element is the likely LCP. Load it eagerly without raising its priority.`
+    };
+  }
+  if (current.fetchPriority === 'high') {
+    warnings.push('fetchpriority="high" on an image below the fold competes with the real LCP element.');
+  }
+  return {
+    status: 'below-fold',
+    loading: 'lazy',
+    fetchPriority: null,
+    decoding: 'async',
+    preload: false,
+    current,
+    warnings,
+    message: 'Below the fold at every breakpoint. Lazy-load it so it does not compete with above-the-fold content.'
+  };
+}
+
+// CSS backgrounds have no loading, fetchpriority or decoding attributes. A preload link is the only lever.
+function recommendBackgroundLoading(aboveFold, lcp, labels) {
+  const base = { loading: null, fetchPriority: null, decoding: null, current: {}, warnings: [] };
+  if (lcp.length) {
+    return {
+      ...base,
+      status: 'lcp',
+      preload: true,
+      message: `Likely LCP element at ${labels(lcp)}. The browser only finds a background image once the CSS is parsed, so preload it.`
+    };
+  }
+  if (aboveFold.length) {
+    return {
+      ...base,
+      status: 'above-fold',
+      preload: false,
+      message: `Visible on first paint at ${labels(aboveFold)}, but a larger element is the likely LCP. It does not need a preload.`
+    };
+  }
+  return {
+    ...base,
+    status: 'below-fold',
+    preload: false,
+    message: 'Below the fold at every breakpoint. It does not need a preload.'
+  };
+}
+
+function recommendVideoLoading(selection, aboveFold, lcp, labels) {
+  const video = selection.video ?? {};
+  const base = { loading: null, fetchPriority: null, decoding: null, current: { preload: video.preload ?? null }, warnings: [] };
+  if (lcp.length) {
+    return {
+      ...base,
+      status: 'lcp',
+      preload: Boolean(video.poster),
+      videoPreload: video.background || video.autoplay ? 'auto' : 'metadata',
+      message: `Likely LCP element at ${labels(lcp)}. The poster image counts for LCP, so preload it with fetchpriority="high".`
+    };
+  }
+  if (aboveFold.length) {
+    return {
+      ...base,
+      status: 'above-fold',
+      preload: false,
+      videoPreload: video.background || video.autoplay ? 'auto' : 'metadata',
+      message: `Visible on first paint at ${labels(aboveFold)}, but a larger element is the likely LCP.`
+    };
+  }
+  if (video.autoplay) {
+    base.warnings.push('This video autoplays below the fold, so it downloads before anyone scrolls to it.');
+  }
+  return {
+    ...base,
+    status: 'below-fold',
+    preload: false,
+    videoPreload: 'none',
+    message: 'Below the fold at every breakpoint. Defer it with preload="none" and start playback when it scrolls into view.'
+  };
+}
+
+export function roundUp(value, step) {
+  if (!Number.isFinite(value) || value <= 0) return 0;
+  if (!Number.isFinite(step) || step <= 1) return Math.ceil(value);
+  return Math.ceil(value / step) * step;
+}
+
+function sanitizePixelRatios(pixelRatios) {
+  const ratios = Array.isArray(pixelRatios) ? pixelRatios.map(toPositiveNumber).filter(Boolean) : [];
+  const unique = Array.from(new Set(ratios)).sort((a, b) => a - b);
+  return unique.length ? unique : [...DEFAULT_PIXEL_RATIOS];
+}
+
+function describeDisabledFormats(formats) {
+  const names = formats.map((format) => FORMAT_NAMES[format]).join(' and ');
+  return `${names} ${formats.length > 1 ? 'are' : 'is'} turned off in this site's settings.`;
+}
+
+function sanitizeFormats(formats) {
+  return Array.isArray(formats) ? MODERN_FORMATS.filter((format) => formats.includes(format)) : [...MODERN_FORMATS];
+}
+
+function sanitizeQuality(quality) {
+  return Object.hasOwn(QUALITY_PRESETS, quality) ? quality : DEFAULT_QUALITY;
+}
+
+function normalizeObjectFit(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return OBJECT_FIT_VALUES.has(normalized) ? normalized : 'fill';
+}
+
+// A breakpoint where the element is hidden has no render size; the nearest measured one would be wrong.
+function getRenderSize(breakpoints, breakpointId, fallback, hiddenBreakpoints) {
+  if (hiddenBreakpoints.includes(breakpointId)) return null;
+  return breakpoints[breakpointId]?.renderWidth ?? fallback;
+}
+
+function getRequiredSourceWidth(width, height, objectFit, aspectRatio) {
+  if (!height || !aspectRatio) return width;
+  if (objectFit === 'cover' || objectFit === 'fill') return Math.max(width, height * aspectRatio);
+  if (objectFit === 'contain' || objectFit === 'scale-down') return Math.min(width, height * aspectRatio);
+  return width;
+}
+
+function getCropAxis(width, height, objectFit, aspectRatio) {
+  if (objectFit !== 'cover' || !height || !aspectRatio) return null;
+  const boxRatio = width / height;
+  if (boxRatio < aspectRatio * (1 - CROP_TOLERANCE)) return 'width';
+  if (boxRatio > aspectRatio * (1 + CROP_TOLERANCE)) return 'height';
+  return null;
+}
+
+function buildExplanation({
+  limiting,
+  objectFit,
+  targetRatio,
+  roundingStep,
+  universalUploadSize,
+  capped,
+  hiddenBreakpoints
+}) {
+  const sentences = [];
+  if (limiting.cropAxis === 'width') {
+    sentences.push(
+      `At the ${limiting.label} breakpoint the ${limiting.renderWidth}×${limiting.renderHeight}px box uses object-fit: ${objectFit} and crops the image's sides, so it needs ${limiting.requiredWidth}px of width at ${targetRatio}x pixel density.`
+    );
+  } else {
+    sentences.push(
+      `The widest render is ${limiting.renderWidth}px at the ${limiting.label} breakpoint, which needs ${limiting.requiredWidth}px at ${targetRatio}x pixel density.`
+    );
+  }
+  if (capped) {
+    sentences.push(`That exceeds the upload cap, so the upload is limited to ${universalUploadSize}px.`);
+  } else {
+    sentences.push(`Rounded up to the next ${roundingStep}px step, one ${universalUploadSize}px upload stays sharp at every breakpoint.`);
+  }
+  const hiddenLabels = hiddenBreakpoints.map((id) => getBreakpoint(id)?.label).filter(Boolean);
+  if (hiddenLabels.length) {
+    const skipped = hiddenLabels.length === 1 ? 'that breakpoint was' : 'those breakpoints were';
+    sentences.push(`It is hidden at ${hiddenLabels.join(', ')}, so ${skipped} skipped.`);
+  }
+  return sentences.join(' ');
+}
@@ -0,0 +1,95 @@
+import { toPositiveNumber } from './breakpoints.js';
+import {
+  DEFAULT_MAX_UPLOAD_WIDTH,
+  DEFAULT_PIXEL_RATIOS,
+  DEFAULT_QUALITY,
+  DEFAULT_ROUNDING_STEP,
+  MODERN_FORMATS,
+  QUALITY_PRESETS
+} from './recommendation-engine.js';
+
+const SETTINGS_STORAGE_PREFIX = 'riaa:settings:';
+export const PIXEL_RATIO_CHOICES = [1, 2, 3];
+export const MAX_UPLOAD_WIDTH_RANGE = { min: 320, max: 8192 };
+export const ROUNDING_STEP_RANGE = { min: 1, max: 500 };
+const FORMAT_LABELS = { avif: 'AVIF', webp: 'WebP' };
+
+export function createDefaultSettings() {
+  return {
+    pixelRatios: [...DEFAULT_PIXEL_RATIOS],
+    maxUploadWidth: DEFAULT_MAX_UPLOAD_WIDTH,
+    roundingStep: DEFAULT_ROUNDING_STEP,
+    formats: [...MODERN_FORMATS],
+    quality: DEFAULT_QUALITY
+  };
+}
+
+// Anything missing or out of range falls back to the default, so stored settings from older
+// versions and hand-edited storage still produce a usable engine configuration.
+export function sanitizeSettings(settings) {
+  const defaults = createDefaultSettings();
+  if (!settings || typeof settings !== 'object') return defaults;
+  const ratios = Array.isArray(settings.pixelRatios) ? settings.pixelRatios.map(Number) : [];
+  const pixelRatios = PIXEL_RATIO_CHOICES.filter((ratio) => ratios.includes(ratio));
+  return {
+    pixelRatios: pixelRatios.length ? pixelRatios : defaults.pixelRatios,
+    maxUploadWidth: clampToRange(settings.maxUploadWidth, MAX_UPLOAD_WIDTH_RANGE) ?? defaults.maxUploadWidth,
+    roundingStep: clampToRange(settings.roundingStep, ROUNDING_STEP_RANGE) ?? defaults.roundingStep,
+    formats: Array.isArray(settings.formats)
+      ? MODERN_FORMATS.filter((format) => settings.formats.includes(format))
+      : defaults.formats,
+    quality: Object.hasOwn(QUALITY_PRESETS, settings.quality) ? settings.quality : defaults.quality
+  };
+}
+
+export function loadSettings(siteId) {
+  try {
+    const raw = window.localStorage.getItem(getStorageKey(siteId));
+    return sanitizeSettings(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    return createDefaultSettings();
+  }
+}
+
+export function saveSettings(siteId, settings) {
+  try {
+    window.localStorage.setItem(getStorageKey(siteId), JSON.stringify(sanitizeSettings(settings)));
+    return true;
+  } catch (error) {
+    // Storage can be disabled in the Designer's sandboxed frame; the settings then last for this session only.
+    return false;
+  }
+}
+
+export function resetSettings(siteId) {
+  try {
+    window.localStorage.removeItem(getStorageKey(siteId));
+  } catch (error) {
+    // Nothing stored to remove.
+  }
+  return createDefaultSettings();
+}
+
+export function isDefaultSettings(settings) {
+  return JSON.stringify(sanitizeSettings(settings)) === JSON.stringify(createDefaultSettings());
+}
+
+export function describeSettings(settings) {
+  const { pixelRatios, maxUploadWidth, roundingStep, formats, quality } = sanitizeSettings(settings);
+  return [
+    pixelRatios.map((ratio) => `${ratio}x`).join('/'),
+    `max ${maxUploadWidth}px`,
+    `${roundingStep}px steps`,
+    formats.length ? formats.map((format) => FORMAT_LABELS[format]).join(' + ') : 'no AVIF/WebP',
+    `${quality} quality`
+  ].join(' · ');
+}
+
+function clampToRange(value, { min, max }) {
+  const number = toPositiveNumber(value);
+  return number ? Math.min(Math.max(Math.round(number), min), max) : null;
+}
+
+function getStorageKey(siteId) {
+  return `${SETTINGS_STORAGE_PREFIX}${siteId || 'unknown-site'}`;
+}
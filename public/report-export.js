@@ -0,0 +1,165 @@
+import { BREAKPOINTS, resolveBreakpointMap } from './breakpoints.js';
+import { formatFormatLabel } from './recommendation-engine.js';
+import { recommendCanvas, recommendSvg } from './vector-recommendations.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+const REPORT_TITLE = 'Responsive image report';
+const SVG_PLACEMENTS = { inline: 'Inline SVG', external: 'External SVG file', sprite: 'SVG sprite' };
+const CSV_COLUMNS = [
+  ['element', 'Element'],
+  ['selector', 'Selector'],
+  ['kind', 'Type'],
+  ['page', 'Page'],
+  ...BREAKPOINTS.map((breakpoint) => [`width:${breakpoint.id}`, `${breakpoint.label} width`]),
+  ['uploadWidth', 'Upload width'],
+  ['uploadHeight', 'Upload height'],
+  ['format', 'Format'],
+  ['explanation', 'Explanation'],
+  ['analyzedAt', 'Analyzed at']
+];
+
+export function createReportRow({
+  selection,
+  measuredWidths,
+  recommendations,
+  page = null,
+  timestamp = null,
+  pixelRatios
+}) {
+  const widths = {};
+  const hidden = selection?.hiddenBreakpoints ?? [];
+  resolveBreakpointMap(selection?.computedWidths ?? measuredWidths, hidden).forEach((width, id) => {
+    widths[id] = Math.round(width);
+  });
+  return {
+    element: selection?.label ?? formatElementLabel(selection),
+    selector: selection?.selector ?? null,
+    kind: selection?.kind ?? null,
+    page: page?.name ?? page?.slug ?? null,
+    analyzedAt: Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null,
+    widths,
+    hiddenBreakpoints: hidden,
+    ...describeRecommendation(selection, recommendations, pixelRatios)
+  };
+}
+
+export function buildReport(rows, format, generatedAt = new Date()) {
+  if (format === 'csv') return buildCsv(rows);
+  if (format === 'json') return buildJson(rows, generatedAt);
+  if (format === 'markdown') return buildMarkdown(rows, generatedAt);
+  throw new Error(`Unsupported export format: ${format}`);
+}
+
+export function buildReportFileName(scope, format, generatedAt = new Date()) {
+  const stamp = generatedAt.toISOString().slice(0, 16).replace(/[T:]/g, '-');
+  return `responsive-images-${scope}-${stamp}.${EXPORT_FORMATS[format]?.extension ?? 'txt'}`;
+}
+
+function describeRecommendation(selection, recommendations, pixelRatios) {
+  if (selection?.kind === 'svg') {
+    const advice = recommendSvg(selection);
+    return {
+      uploadWidth: null,
+      uploadHeight: null,
+      format: advice ? SVG_PLACEMENTS[advice.placement] : 'SVG',
+      explanation: advice ? [...advice.reasons, ...advice.warnings].join(' ') : '',
+      breakpoints: null
+    };
+  }
+  if (selection?.kind === 'canvas') {
+    const advice = recommendCanvas(selection, pixelRatios);
+    return {
+      uploadWidth: null,
+      uploadHeight: null,
+      format: 'Canvas',
+      explanation: advice?.message ?? '',
+      breakpoints: advice?.breakpoints ?? null
+    };
+  }
+  return {
+    uploadWidth: recommendations?.universalUploadSize ?? null,
+    uploadHeight: recommendations?.universalUploadHeight ?? null,
+    format: recommendations?.format ? formatFormatLabel(recommendations.format) : null,
+    explanation: recommendations?.explanation ?? '',
+    breakpoints: recommendations?.breakpoints ?? null
+  };
+}
+
+function buildCsv(rows) {
+  const lines = [CSV_COLUMNS.map(([, header]) => header)];
+  rows.forEach((row) => {
+    lines.push(
+      CSV_COLUMNS.map(([key]) => (key.startsWith('width:') ? row.widths[key.slice(6)] : row[key]))
+    );
+  });
+  return `${lines.map((cells) => cells.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function buildJson(rows, generatedAt) {
+  return `${JSON.stringify({ title: REPORT_TITLE, generatedAt: generatedAt.toISOString(), results: rows }, null, 2)}\n`;
+}
+
+function buildMarkdown(rows, generatedAt) {
+  const lines = [
+    `# ${REPORT_TITLE}`,
+    '',
+    `Generated ${generatedAt.toISOString().slice(0, 10)} · ${rows.length} element${rows.length === 1 ? '' : 's'}`,
+    '',
+    '| Element | Selector | Page | Upload | Format |',
+    '| --- | --- | --- | --- | --- |'
+  ];
+  rows.forEach((row) => {
+    lines.push(
+      `| ${[row.element, row.selector ? `\`${row.selector}\`` : '--', row.page ?? '--', formatUpload(row), row.format ?? '--']
+        .map(escapeMarkdownCell)
+        .join(' | ')} |`
+    );
+  });
+
+  rows.forEach((row) => {
+    lines.push('', `## ${row.element}`, '');
+    if (row.selector) lines.push(`Selector: \`${row.selector}\``, '');
+    if (row.uploadWidth) {
+      lines.push(`Upload: ${formatUpload(row)}${row.format ? ` as ${row.format}` : ''}`, '');
+    } else if (row.format) {
+      lines.push(`Recommendation: ${row.format}`, '');
+    }
+    BREAKPOINTS.forEach((breakpoint) => {
+      if (row.hiddenBreakpoints.includes(breakpoint.id)) {
+        lines.push(`- ${breakpoint.label}: hidden`);
+      } else if (row.widths[breakpoint.id]) {
+        lines.push(`- ${breakpoint.label}: ${row.widths[breakpoint.id]}px rendered`);
+      }
+    });
+    if (row.explanation) lines.push('', row.explanation);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function formatUpload(row) {
+  if (!row.uploadWidth) return '--';
+  return row.uploadHeight ? `${row.uploadWidth}×${row.uploadHeight}px` : `${row.uploadWidth}px wide`;
+}
+
+function formatElementLabel(selection) {
+  if (!selection) return 'Unknown element';
+  const tag = (selection.tagName || 'element').toLowerCase();
+  return typeof selection.id === 'string' && selection.id ? `${tag}#${selection.id}` : tag;
+}
+
+// Text starting with =, +, - or @ (or a tab or carriage return) runs as a formula in Excel and Sheets;
+// the leading quote keeps labels, selectors and backend explanations as plain text.
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
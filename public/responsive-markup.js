@@ -0,0 +1,260 @@
+import { BREAKPOINTS, resolveBreakpointMap, toPositiveNumber } from './breakpoints.js';
+
+const CANDIDATE_GROWTH = 1.2;
+const MIN_CANDIDATE_WIDTH = 240;
+const FULL_BLEED_RATIO = 0.98;
+const DEFAULT_IMAGE_NAME = 'image.jpg';
+const SOURCE_MIME_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+const DEFAULT_VIDEO_NAME = 'video.mp4';
+const MOBILE_VIDEO_QUERY = '(max-width: 767px)';
+
+export function buildCandidateWidths(recommendations) {
+  const widths = new Set();
+  Object.values(recommendations?.breakpoints ?? {}).forEach((entry) => {
+    (entry?.densities ?? []).forEach((density) => {
+      const width = toPositiveNumber(density?.width);
+      if (width) widths.add(Math.round(width));
+    });
+  });
+  const universal = toPositiveNumber(recommendations?.universalUploadSize);
+  if (universal) widths.add(Math.round(universal));
+
+  const sorted = Array.from(widths)
+    .filter((width) => width >= MIN_CANDIDATE_WIDTH || width === universal)
+    .sort((a, b) => a - b);
+  if (universal) {
+    return thinCandidates(sorted.filter((width) => width <= universal));
+  }
+  return thinCandidates(sorted);
+}
+
+// Hidden and unmeasured breakpoints get no entry of their own and follow the next wider one.
+export function buildSizesAttribute(widths, hiddenBreakpoints = []) {
+  const measured = resolveBreakpointMap(widths, hiddenBreakpoints);
+  if (!measured.size) return null;
+
+  const sizeFor = (breakpoint) => {
+    const width = measured.get(breakpoint.id);
+    if (!width) return null;
+    return width >= breakpoint.viewport * FULL_BLEED_RATIO ? '100vw' : `${Math.round(width)}px`;
+  };
+
+  const desktop = BREAKPOINTS.find((breakpoint) => !breakpoint.mediaQuery);
+  const widestMeasured = BREAKPOINTS.find((breakpoint) => measured.has(breakpoint.id));
+  const defaultSize = sizeFor(desktop) ?? sizeFor(widestMeasured);
+  const minWidthGroup = BREAKPOINTS.filter((breakpoint) => breakpoint.minWidth > desktop.minWidth);
+  const maxWidthGroup = BREAKPOINTS.filter((breakpoint) => breakpoint.minWidth < desktop.minWidth).reverse();
+
+  const entries = [];
+  collectSizeEntries(minWidthGroup, defaultSize, sizeFor, entries);
+  collectSizeEntries(maxWidthGroup, defaultSize, sizeFor, entries);
+  entries.push(defaultSize);
+  return entries.join(', ');
+}
+
+export function buildImageMarkup({
+  src,
+  alt = '',
+  candidates = [],
+  sizes,
+  width,
+  height,
+  variant = 'img',
+  sourceFormats = ['webp'],
+  loading = null,
+  fetchPriority = null,
+  decoding = null
+} = {}) {
+  const imageSrc = src || DEFAULT_IMAGE_NAME;
+  const srcset = candidates.map((candidate) => `${buildVariantUrl(imageSrc, candidate)} ${candidate}w`).join(', ');
+  const largest = candidates[candidates.length - 1];
+  const imgAttributes = [
+    ['src', largest ? buildVariantUrl(imageSrc, largest) : imageSrc],
+    ['srcset', srcset || null],
+    ['sizes', srcset ? sizes : null],
+    ['width', toPositiveNumber(width) ? Math.round(width) : null],
+    ['height', toPositiveNumber(height) ? Math.round(height) : null],
+    ['alt', alt ?? ''],
+    ['loading', loading],
+    ['fetchpriority', fetchPriority],
+    ['decoding', decoding]
+  ];
+  const img = `<img ${formatAttributes(imgAttributes)}>`;
+  if (variant !== 'picture') return img;
+
+  const sources = sourceFormats
+    .filter((format) => SOURCE_MIME_TYPES[format])
+    .map((format) => {
+      const formatSrc = replaceExtension(imageSrc, format);
+      const formatSrcset = candidates
+        .map((candidate) => `${buildVariantUrl(formatSrc, candidate)} ${candidate}w`)
+        .join(', ');
+      return `  <source ${formatAttributes([
+        ['type', SOURCE_MIME_TYPES[format]],
+        ['srcset', formatSrcset || formatSrc],
+        ['sizes', formatSrcset ? sizes : null]
+      ])}>`;
+    });
+  return ['<picture>', ...sources, `  ${img}`, '</picture>'].join('\n');
+}
+
+export function buildPreloadLink({ src, candidates = [], sizes, format } = {}) {
+  const baseSrc = src || DEFAULT_IMAGE_NAME;
+  const imageSrc = SOURCE_MIME_TYPES[format] ? replaceExtension(baseSrc, format) : baseSrc;
+  const srcset = candidates.map((candidate) => `${buildVariantUrl(imageSrc, candidate)} ${candidate}w`).join(', ');
+  return `<link ${formatAttributes([
+    ['rel', 'preload'],
+    ['as', 'image'],
+    ['href', srcset ? null : imageSrc],
+    ['imagesrcset', srcset || null],
+    ['imagesizes', srcset ? sizes : null],
+    ['type', SOURCE_MIME_TYPES[format] ?? null],
+    ['fetchpriority', 'high']
+  ])}>`;
+}
+
+export function buildImageSetCss({ src, selector, breakpoints, sourceFormats = [], backgroundLayers = null } = {}) {
+  const imageSrc = src || DEFAULT_IMAGE_NAME;
+  const sources = [
+    ...sourceFormats
+      .filter((format) => SOURCE_MIME_TYPES[format])
+      .map((format) => ({ src: replaceExtension(imageSrc, format), type: SOURCE_MIME_TYPES[format] })),
+    { src: imageSrc, type: null }
+  ];
+  const valueFor = (breakpoint) => {
+    const densities = breakpoints?.[breakpoint.id]?.densities ?? [];
+    if (!densities.length) return null;
+    const candidates = sources.flatMap((source) =>
+      densities.map(({ ratio, width }) => {
+        const type = source.type ? ` type("${source.type}")` : '';
+        return `    url("${buildVariantUrl(source.src, width)}")${type} ${ratio}x`;
+      })
+    );
+    const imageSet = `image-set(\n${candidates.join(',\n')}\n  )`;
+    if (!backgroundLayers?.length) return imageSet;
+    return backgroundLayers.map((layer) => layer.value ?? imageSet).join(', ');
+  };
+
+  const ruleSelector = selector || '.background';
+  const desktop = BREAKPOINTS.find((breakpoint) => !breakpoint.mediaQuery);
+  const base = valueFor(desktop) ?? BREAKPOINTS.map(valueFor).find(Boolean);
+  if (!base) return '';
+  const rules = [`${ruleSelector} {\n  background-image: ${base};\n}`];
+  const minWidthGroup = BREAKPOINTS.filter((breakpoint) => breakpoint.minWidth > desktop.minWidth).reverse();
+  const maxWidthGroup = BREAKPOINTS.filter((breakpoint) => breakpoint.minWidth < desktop.minWidth);
+  [minWidthGroup, maxWidthGroup].forEach((group) => {
+    let inEffect = base;
+    group.forEach((breakpoint) => {
+      const value = valueFor(breakpoint);
+      if (!value || value === inEffect) return;
+      inEffect = value;
+      const indented = value.replace(/\n/g, '\n  ');
+      rules.push(`@media ${breakpoint.mediaQuery} {\n  ${ruleSelector} {\n    background-image: ${indented};\n  }\n}`);
+    });
+  });
+  return rules.join('\n');
+}
+
+export function buildVideoMarkup({
+  src,
+  width,
+  height,
+  video = null,
+  posterFormat = null,
+  mobileRendition = false,
+  videoPreload = null
+} = {}) {
+  const videoSrc = src || DEFAULT_VIDEO_NAME;
+  const background = Boolean(video?.background);
+  const videoAttributes = [
+    ['autoplay', background || video?.autoplay ? '' : null],
+    ['muted', background || video?.muted ? '' : null],
+    ['loop', background || video?.loop ? '' : null],
+    ['playsinline', ''],
+    ['preload', videoPreload ?? (background ? 'auto' : 'metadata')],
+    ['poster', buildPosterUrl({ src: videoSrc, poster: video?.poster, format: posterFormat })],
+    ['width', toPositiveNumber(width) ? Math.round(width) : null],
+    ['height', toPositiveNumber(height) ? Math.round(height) : null]
+  ];
+  const sources = [];
+  if (mobileRendition) {
+    sources.push(
+      `  <source ${formatAttributes([
+        ['src', appendToFileName(videoSrc, '-mobile')],
+        ['type', 'video/mp4'],
+        ['media', MOBILE_VIDEO_QUERY]
+      ])}>`
+    );
+  }
+  sources.push(`  <source ${formatAttributes([['src', videoSrc], ['type', 'video/mp4']])}>`);
+  const attributes = videoAttributes
+    .filter(([, value]) => value !== null)
+    .map(([name, value]) => (value === '' ? name : `${name}="${escapeAttribute(value)}"`))
+    .join(' ');
+  return [`<video ${attributes}>`, ...sources, '</video>'].join('\n');
+}
+
+export function buildPosterUrl({ src, poster, format } = {}) {
+  const posterSrc = poster || appendToFileName(src || DEFAULT_VIDEO_NAME, '-poster');
+  if (!format) return poster ? posterSrc : replaceExtension(posterSrc, 'jpg');
+  return replaceExtension(posterSrc, format);
+}
+
+export function getPictureSourceFormats(formatAdvice) {
+  if (!formatAdvice?.format) return ['webp'];
+  const formats = [formatAdvice, ...(formatAdvice.alternatives ?? [])]
+    .map((option) => option.format)
+    .filter((format) => SOURCE_MIME_TYPES[format]);
+  return formats.length ? Array.from(new Set(formats)) : ['webp'];
+}
+
+export function buildVariantUrl(src, width) {
+  return appendToFileName(src, `-p-${width}`);
+}
+
+function appendToFileName(src, addition) {
+  const match = /^(.*?)(\.[a-z0-9]+)?([?#].*)?$/i.exec(src);
+  const [, base = src, extension = '', suffix = ''] = match ?? [];
+  return `${base}${addition}${extension}${suffix}`;
+}
+
+function collectSizeEntries(group, defaultSize, sizeFor, entries) {
+  group.forEach((breakpoint, index) => {
+    const size = sizeFor(breakpoint);
+    if (!size) return;
+    const inner = group.slice(index + 1).map(sizeFor).find(Boolean) ?? defaultSize;
+    if (size !== inner) {
+      entries.push(`${breakpoint.mediaQuery} ${size}`);
+    }
+  });
+}
+
+function thinCandidates(sorted) {
+  if (sorted.length <= 2) return sorted;
+  const largest = sorted[sorted.length - 1];
+  const thinned = [];
+  sorted.forEach((width) => {
+    const previous = thinned[thinned.length - 1];
+    if (!previous || width >= previous * CANDIDATE_GROWTH) thinned.push(width);
+  });
+  if (thinned[thinned.length - 1] !== largest) {
+    if (largest < thinned[thinned.length - 1] * CANDIDATE_GROWTH) thinned.pop();
+    thinned.push(largest);
+  }
+  return thinned;
+}
+
+function replaceExtension(src, extension) {
+  return src.replace(/(\.[a-z0-9]+)?([?#].*)?$/i, `.${extension}$2`);
+}
+
+function formatAttributes(attributes) {
+  return attributes
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}="${escapeAttribute(value)}"`)
+    .join(' ');
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,123 @@
+import { BREAKPOINTS, BREAKPOINT_ALIASES, toPositiveNumber } from './breakpoints.js';
+
+// Selection payload handling shared by the designer script and the panel, so both sides read every
+// shape the same way. Payloads can be:
+// - an array of elements (`getSelectedElements`) or a single element (`getSelectedElement`)
+// - `{ selectedElements }`, `{ elements }` or `{ selection }` lists from selection events
+// - `{ selectedElement }` or `{ element }` wrappers
+// - a selection state `{ elements, primary }`, as sent over the bridge
+// - null or undefined when nothing is selected
+const BREAKPOINT_KEYS = [...BREAKPOINTS.map((breakpoint) => breakpoint.id), ...Object.keys(BREAKPOINT_ALIASES)];
+const LIST_KEYS = ['selectedElements', 'elements', 'selection'];
+const WRAPPER_KEYS = ['selectedElement', 'element', 'primary'];
+
+// Re-exported for the designer script, which cannot import breakpoints.js statically.
+export { BREAKPOINTS, BREAKPOINT_ALIASES };
+
+export function createEmptySelectionState() {
+  return { elements: [], primary: null };
+}
+
+export function extractSelectionArray(payload) {
+  if (!payload || typeof payload !== 'object') return [];
+  if (Array.isArray(payload)) return payload.filter(Boolean);
+  const listKey = LIST_KEYS.find((key) => Array.isArray(payload[key]));
+  if (listKey) return payload[listKey].filter(Boolean);
+  const wrapperKey = WRAPPER_KEYS.find((key) => key in payload);
+  if (wrapperKey) return payload[wrapperKey] ? [payload[wrapperKey]] : [];
+  return [payload];
+}
+
+export function normalizeIncomingSelection(payload) {
+  const elements = extractSelectionArray(payload);
+  if (!elements.length) return createEmptySelectionState();
+  const primary = payload?.primary && typeof payload.primary === 'object' ? payload.primary : elements[0];
+  return { elements, primary };
+}
+
+// Signature of the parts that identify a selection, used to skip re-measuring an unchanged one.
+export function getSelectionSignature(state) {
+  return JSON.stringify({
+    count: state?.elements?.length ?? 0,
+    ids: (state?.elements ?? []).map((element) => element.id ?? element.elementId ?? element.selector ?? null),
+    selector: state?.primary?.selector ?? null,
+    tagName: state?.primary?.tagName ?? null
+  });
+}
+
+export function createSerializableSelection(source) {
+  if (!source || typeof source !== 'object') return {};
+  const safe = {
+    id: source.id ?? source.elementId ?? null,
+    elementId: source.elementId ?? source.id ?? null,
+    label: source.label ?? source.name ?? null,
+    selector: source.selector ?? null,
+    tagName: source.tagName ?? null
+  };
+  const widths = sanitizeBreakpointValues(source.widths);
+  if (widths) safe.widths = widths;
+  const heights = sanitizeBreakpointValues(source.heights);
+  if (heights) safe.heights = heights;
+  return safe;
+}
+
+export function sanitizeBreakpointValues(values) {
+  const picked = pickBreakpointValues(values);
+  Object.keys(picked).forEach((key) => {
+    picked[key] = Math.round(picked[key]);
+  });
+  return Object.keys(picked).length ? picked : null;
+}
+
+export function pickBreakpointValues(values) {
+  const picked = {};
+  if (!values || typeof values !== 'object') return picked;
+  BREAKPOINT_KEYS.forEach((key) => {
+    const value = toPositiveNumber(values[key]);
+    if (value) picked[key] = value;
+  });
+  return picked;
+}
+
+// Widths explicitly reported by the Designer win over the ones measured by the designer script. The
+// desktop and mobile aliases stay empty where their breakpoint is hidden, so no width leaks into it.
+export function deriveMeasuredWidths(selection) {
+  if (!selection) return null;
+  const hidden = Array.isArray(selection.hiddenBreakpoints) ? selection.hiddenBreakpoints : [];
+  const withAliases = (widths, desktop, mobile) => ({
+    ...widths,
+    desktop: hidden.includes(BREAKPOINT_ALIASES.desktop) ? null : desktop,
+    mobile: hidden.includes(BREAKPOINT_ALIASES.mobile) ? null : mobile
+  });
+
+  if (selection.widths && (selection.widths.desktop || selection.widths.mobile)) {
+    return withAliases(
+      pickBreakpointValues(selection.widths),
+      toPositiveNumber(selection.widths.desktop) ?? toPositiveNumber(selection.widths.mobile),
+      toPositiveNumber(selection.widths.mobile) ?? toPositiveNumber(selection.widths.desktop)
+    );
+  }
+
+  const computedDesktop =
+    toPositiveNumber(selection.computedWidthDesktop) ?? toPositiveNumber(selection.computedWidths?.desktop);
+  const computedMobile =
+    toPositiveNumber(selection.computedWidthMobile) ?? toPositiveNumber(selection.computedWidths?.mobile);
+  const breakpointWidths = pickBreakpointValues(selection.computedWidths);
+
+  if (!computedDesktop && !computedMobile && !Object.keys(breakpointWidths).length) {
+    return null;
+  }
+
+  const widest = Math.max(...Object.values(breakpointWidths), 0) || null;
+  return withAliases(
+    breakpointWidths,
+    computedDesktop ?? computedMobile ?? widest,
+    computedMobile ?? computedDesktop ?? widest
+  );
+}
+
+export function getWidthSource(selection) {
+  if (selection?.widths) return 'designer';
+  if (selection?.computedWidths) return 'computed';
+  return 'unknown';
+}
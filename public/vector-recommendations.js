@@ -0,0 +1,147 @@
+import { BREAKPOINTS, resolveBreakpointMap, toPositiveNumber } from './breakpoints.js';
+import { DEFAULT_PIXEL_RATIOS } from './recommendation-engine.js';
+
+// Inline SVG ships with every page's HTML and cannot be cached on its own, so only small
+// artwork is worth inlining to save a request.
+export const INLINE_SVG_MAX_BYTES = 4 * 1024;
+
+// Every inline SVG element becomes a DOM node that style and layout have to walk.
+export const SVG_NODE_LIMIT = 500;
+export const SVG_PATH_DATA_LIMIT = 20 * 1024;
+
+// Markup repeated this many times on one page should be defined once and referenced with <use>.
+export const SVG_REPEAT_THRESHOLD = 3;
+
+export const CANVAS_SIZE_TOLERANCE = 0.1;
+const CANVAS_BYTES_PER_PIXEL = 4;
+
+export function recommendSvg(selection) {
+  const svg = selection?.svg;
+  if (selection?.kind !== 'svg' || !svg) return null;
+  const markupBytes = toPositiveNumber(svg.markupBytes) ?? 0;
+  const nodeCount = toPositiveNumber(svg.nodeCount) ?? 0;
+  const pathDataBytes = toPositiveNumber(svg.pathDataBytes) ?? 0;
+  const occurrences = toPositiveNumber(svg.occurrences) ?? 1;
+  const images = Array.isArray(svg.embeddedImages) ? svg.embeddedImages : [];
+  const reasons = [];
+  const warnings = [];
+
+  let placement = 'inline';
+  if (occurrences >= SVG_REPEAT_THRESHOLD) {
+    placement = 'sprite';
+    reasons.push(
+      `The same markup appears ${occurrences} times on this page. Define it once in a <symbol> and reference it with <use>.`
+    );
+  } else if (markupBytes > INLINE_SVG_MAX_BYTES || nodeCount > SVG_NODE_LIMIT) {
+    placement = 'external';
+    reasons.push(
+      `At ${formatKilobytes(markupBytes)} and ${nodeCount} nodes it is too heavy to inline. Upload it as an .svg file so browsers cache it and keep it out of the DOM.`
+    );
+    if (svg.usesCurrentColor) {
+      reasons.push('It uses currentColor, which an <img> cannot inherit. Use a CSS mask-image if the color must follow the text.');
+    }
+  } else {
+    reasons.push(`At ${formatKilobytes(markupBytes)} it is small enough to inline, which saves a request.`);
+  }
+
+  if (images.length) {
+    const rasterBytes = images.reduce((total, image) => total + (toPositiveNumber(image.bytes) ?? 0), 0);
+    warnings.push(
+      `Embeds ${images.length} raster image${images.length === 1 ? '' : 's'}${rasterBytes ? ` (${formatKilobytes(rasterBytes)} inline)` : ''}. Rasters inside an SVG do not scale like vectors; export them separately as responsive <img> elements.`
+    );
+  }
+  if (pathDataBytes > SVG_PATH_DATA_LIMIT) {
+    warnings.push(
+      `Path data is ${formatKilobytes(pathDataBytes)}. Simplify the paths or lower the coordinate precision (for example with SVGO).`
+    );
+  }
+  if (svg.hasScripts) {
+    warnings.push('Contains <script>; scripts only run when the SVG is inline, so keep it inline or move the behavior to the page.');
+  }
+
+  return { placement, markupBytes, nodeCount, pathDataBytes, occurrences, images, reasons, warnings };
+}
+
+export function recommendCanvas(selection, pixelRatios = DEFAULT_PIXEL_RATIOS) {
+  const canvas = selection?.canvas;
+  if (selection?.kind !== 'canvas' || !canvas) return null;
+  const backingWidth = toPositiveNumber(canvas.backingWidth);
+  const backingHeight = toPositiveNumber(canvas.backingHeight);
+  if (!backingWidth || !backingHeight) return null;
+  const targetRatio = pixelRatios[pixelRatios.length - 1];
+  const hidden = Array.isArray(selection.hiddenBreakpoints) ? selection.hiddenBreakpoints : [];
+  const widths = resolveBreakpointMap(selection.computedWidths, hidden);
+  const heights = resolveBreakpointMap(selection.computedHeights, hidden);
+
+  const breakpoints = {};
+  BREAKPOINTS.forEach((breakpoint) => {
+    const cssWidth = widths.get(breakpoint.id);
+    if (!cssWidth) return;
+    const cssHeight = heights.get(breakpoint.id) ?? null;
+    const ratio = backingWidth / cssWidth;
+    breakpoints[breakpoint.id] = {
+      label: breakpoint.label,
+      cssWidth: Math.round(cssWidth),
+      cssHeight: cssHeight ? Math.round(cssHeight) : null,
+      ratio: Number(ratio.toFixed(2)),
+      neededWidth: Math.ceil(cssWidth * targetRatio),
+      neededHeight: cssHeight ? Math.ceil(cssHeight * targetRatio) : null,
+      status: getCanvasStatus(ratio, targetRatio)
+    };
+  });
+
+  const devicePixelRatio = toPositiveNumber(canvas.devicePixelRatio) ?? 1;
+  const cssWidth = toPositiveNumber(canvas.cssWidth);
+  const cssHeight = toPositiveNumber(canvas.cssHeight);
+  const current = cssWidth
+    ? {
+        cssWidth,
+        cssHeight,
+        devicePixelRatio,
+        expectedWidth: Math.round(cssWidth * devicePixelRatio),
+        expectedHeight: cssHeight ? Math.round(cssHeight * devicePixelRatio) : null,
+        ratio: Number((backingWidth / cssWidth).toFixed(2)),
+        status: getCanvasStatus(backingWidth / cssWidth, devicePixelRatio)
+      }
+    : null;
+
+  return {
+    backingWidth,
+    backingHeight,
+    memoryBytes: backingWidth * backingHeight * CANVAS_BYTES_PER_PIXEL,
+    targetRatio,
+    current,
+    breakpoints,
+    message: buildCanvasMessage(backingWidth, backingHeight, current)
+  };
+}
+
+function getCanvasStatus(ratio, targetRatio) {
+  if (ratio < 1 - CANVAS_SIZE_TOLERANCE) return 'blurry';
+  if (ratio < targetRatio * (1 - CANVAS_SIZE_TOLERANCE)) return 'soft';
+  if (ratio > targetRatio * (1 + CANVAS_SIZE_TOLERANCE)) return 'oversized';
+  return 'matched';
+}
+
+function buildCanvasMessage(backingWidth, backingHeight, current) {
+  const backing = `${backingWidth}×${backingHeight}`;
+  if (!current) return `The backing store is ${backing}px.`;
+  const box = current.cssHeight ? `${current.cssWidth}×${current.cssHeight}px` : `${current.cssWidth}px wide`;
+  const expected = current.expectedHeight
+    ? `${current.expectedWidth}×${current.expectedHeight}`
+    : `${current.expectedWidth}px wide`;
+  const base = `The ${backing} backing store is drawn into a ${box} CSS box (${current.ratio}x).`;
+  if (current.status === 'matched') {
+    return `${base} That matches this ${current.devicePixelRatio}x screen.`;
+  }
+  const problem =
+    current.status === 'oversized'
+      ? 'more pixels than this screen can show, which costs memory and fill time'
+      : 'too few pixels, so it looks blurry';
+  return `${base} On this ${current.devicePixelRatio}x screen that is ${problem}. Set canvas.width and canvas.height to the box size × devicePixelRatio (${expected}) and scale the context to match.`;
+}
+
+function formatKilobytes(bytes) {
+  const kilobytes = bytes / 1024;
+  return `${kilobytes < 10 ? kilobytes.toFixed(1) : Math.round(kilobytes)} KB`;
+}
@@ -0,0 +1,214 @@
+import { toPositiveNumber } from './breakpoints.js';
+import { FORMAT_MIME_TYPES, FORMAT_QUALITY, roundUp } from './recommendation-engine.js';
+
+// Both encoded dimensions are whole 16px macroblocks, which H.264 encoders handle most efficiently.
+export const VIDEO_MACROBLOCK = 16;
+
+// Video is compressed and in motion, so encoding at 1.5x device pixels looks sharp on high-density
+// screens at roughly half the bitrate of a full 2x encode.
+export const VIDEO_PIXEL_RATIO = 1.5;
+
+// H.264 bits per pixel per frame. Muted background loops are watched peripherally and tolerate
+// more compression than foreground footage.
+export const VIDEO_BITS_PER_PIXEL = { standard: 0.1, background: 0.07 };
+export const VIDEO_FRAME_RATE = 30;
+
+// Serve a separate mobile rendition when it cuts the bitrate by at least this much.
+export const MOBILE_RENDITION_THRESHOLD = 0.4;
+
+const DEFAULT_VIDEO_ASPECT_RATIO = 16 / 9;
+const BITRATE_STEP = 50;
+const MOBILE_BREAKPOINTS = ['small', 'tiny'];
+
+export function recommendVideo(selection, recommendations) {
+  if (selection?.kind !== 'video' || !recommendations?.breakpoints) return null;
+  const video = selection.video ?? {};
+  const sourceWidth = toPositiveNumber(selection.naturalWidth);
+  const sourceHeight = toPositiveNumber(selection.naturalHeight);
+  const aspectRatio =
+    sourceWidth && sourceHeight
+      ? sourceWidth / sourceHeight
+      : toPositiveNumber(selection.intrinsicAspectRatio) ?? DEFAULT_VIDEO_ASPECT_RATIO;
+  const background = Boolean(video.background);
+  const bitsPerPixel = background ? VIDEO_BITS_PER_PIXEL.background : VIDEO_BITS_PER_PIXEL.standard;
+  const pixelRatios = recommendations.pixelRatios ?? [1, 2];
+  const targetRatio = pixelRatios[pixelRatios.length - 1];
+  const duration = toPositiveNumber(video.duration);
+
+  const breakpoints = {};
+  Object.entries(recommendations.breakpoints).forEach(([id, entry]) => {
+    const requiredWidth = toPositiveNumber(entry?.requiredWidth);
+    if (!requiredWidth) return;
+    const renderWidth = toPositiveNumber(entry.renderWidth);
+    const renderHeight = toPositiveNumber(entry.renderHeight);
+    const cropped = Boolean(MOBILE_BREAKPOINTS.includes(id) && entry.cropAxis === 'width' && renderWidth && renderHeight);
+    const encode = cropped
+      ? getEncodeSize(
+          renderWidth * VIDEO_PIXEL_RATIO,
+          renderWidth / renderHeight,
+          sourceHeight ? (sourceHeight * renderWidth) / renderHeight : null,
+          sourceHeight
+        )
+      : getEncodeSize((requiredWidth / targetRatio) * VIDEO_PIXEL_RATIO, aspectRatio, sourceWidth, sourceHeight);
+    breakpoints[id] = {
+      label: entry.label ?? id,
+      renderWidth,
+      renderHeight,
+      ...encode,
+      cropped,
+      bitrateKbps: getBitrateKbps(encode.encodeWidth, encode.encodeHeight, bitsPerPixel)
+    };
+  });
+
+  const entries = Object.entries(breakpoints);
+  if (!entries.length) return null;
+  const pick = (predicate) => findHighestBitrate(entries.filter(([id]) => predicate(id)).map(([, entry]) => entry));
+  const desktop = pick((id) => !MOBILE_BREAKPOINTS.includes(id)) ?? pick(() => true);
+  const mobile = pick((id) => MOBILE_BREAKPOINTS.includes(id));
+  const mobileRendition = Boolean(
+    mobile && mobile.bitrateKbps <= desktop.bitrateKbps * (1 - MOBILE_RENDITION_THRESHOLD)
+  );
+  const hiddenBreakpoints = Array.isArray(selection.hiddenBreakpoints) ? selection.hiddenBreakpoints : [];
+  const hiddenOnMobile = MOBILE_BREAKPOINTS.every((id) => hiddenBreakpoints.includes(id));
+
+  const currentBytes = toPositiveNumber(selection.transferSize);
+  const currentBitrateKbps = currentBytes && duration ? Math.round((currentBytes * 8) / duration / 1000) : null;
+  const desktopBytes = estimateVideoBytes(desktop.bitrateKbps, duration);
+  const mobileBytes = hiddenOnMobile ? 0 : estimateVideoBytes((mobileRendition ? mobile : desktop).bitrateKbps, duration);
+
+  return {
+    background,
+    codec: 'h264',
+    container: 'mp4',
+    sourceWidth,
+    sourceHeight,
+    duration,
+    currentBytes,
+    currentBitrateKbps,
+    breakpoints,
+    desktop,
+    mobile: mobileRendition ? mobile : null,
+    mobileRendition,
+    hiddenOnMobile,
+    desktopBytes,
+    mobileBytes,
+    desktopSavings: currentBytes && desktopBytes ? Math.max(0, currentBytes - desktopBytes) : null,
+    mobileSavings: currentBytes && mobileBytes !== null ? Math.max(0, currentBytes - mobileBytes) : null,
+    poster: {
+      ...getPosterSize(recommendations, desktop),
+      format: getPosterFormat(recommendations.format),
+      current: video.poster ?? null
+    },
+    warnings: buildVideoWarnings({ video, background, currentBitrateKbps, desktop, hiddenOnMobile })
+  };
+}
+
+export function buildVideoSummary(advice) {
+  if (!advice) return '';
+  const sentences = [
+    `Encode the desktop rendition at ${advice.desktop.encodeWidth}×${advice.desktop.encodeHeight} (~${formatBitrate(advice.desktop.bitrateKbps)} H.264).`
+  ];
+  if (advice.hiddenOnMobile) {
+    sentences.push('The video is hidden on mobile; remove it there so phones do not download it.');
+  } else if (advice.mobileRendition) {
+    sentences.push(
+      `Serve a ${advice.mobile.encodeWidth}×${advice.mobile.encodeHeight} ${advice.mobile.cropped ? 'cropped ' : ''}mobile rendition (~${formatBitrate(advice.mobile.bitrateKbps)}) below 768px.`
+    );
+  } else {
+    sentences.push('A separate mobile rendition would not save enough to be worth maintaining.');
+  }
+  if (advice.currentBitrateKbps) {
+    sentences.push(`The current file averages ~${formatBitrate(advice.currentBitrateKbps)}.`);
+  }
+  return sentences.join(' ');
+}
+
+export function formatBitrate(kbps) {
+  if (!Number.isFinite(kbps)) return '--';
+  return kbps >= 1000 ? `${(kbps / 1000).toFixed(1)} Mbps` : `${Math.round(kbps)} kbps`;
+}
+
+// The short side is rounded up to a macroblock and the long side follows the aspect ratio. A source
+// smaller than that is not upscaled: each side is capped at the largest macroblock size inside it.
+function getEncodeSize(width, aspectRatio, sourceWidth, sourceHeight) {
+  const landscape = aspectRatio >= 1;
+  const targetShort = roundUp(Math.min(width, width / aspectRatio), VIDEO_MACROBLOCK);
+  const sourceShort = sourceWidth && sourceHeight ? Math.min(sourceWidth, sourceHeight) : null;
+  const sourceLong = sourceWidth && sourceHeight ? Math.max(sourceWidth, sourceHeight) : null;
+  const limitedBySource = Boolean(sourceShort && targetShort > sourceShort);
+  const encodeShort = limitedBySource ? floorToMacroblock(sourceShort) : targetShort;
+  let encodeLong = toMacroblock(encodeShort * Math.max(aspectRatio, 1 / aspectRatio));
+  if (sourceLong && encodeLong > sourceLong) encodeLong = floorToMacroblock(sourceLong);
+  return {
+    encodeWidth: landscape ? encodeLong : encodeShort,
+    encodeHeight: landscape ? encodeShort : encodeLong,
+    limitedBySource
+  };
+}
+
+// The poster stands in for the first frame, so it never needs more pixels than the desktop rendition.
+function getPosterSize(recommendations, desktop) {
+  const width = toPositiveNumber(recommendations.universalUploadSize);
+  const height = toPositiveNumber(recommendations.universalUploadHeight);
+  if (!width || width <= desktop.encodeWidth) return { width, height };
+  return { width: desktop.encodeWidth, height: height ? Math.round((height * desktop.encodeWidth) / width) : null };
+}
+
+// The poster attribute has no <source> fallback, which rules out AVIF. The poster is also a video frame,
+// so vector or lossless advice for the element does not fit it and it falls back to a lossy format.
+const POSTER_EXCLUDED_FORMATS = ['avif', 'svg', 'png'];
+
+function getPosterFormat(advice) {
+  if (!advice?.format) return null;
+  const options = [advice, ...(advice.alternatives ?? [])];
+  const option = options.find(
+    (candidate) => !POSTER_EXCLUDED_FORMATS.includes(candidate.format) && !candidate.lossless
+  );
+  return option ?? { format: 'jpeg', mimeType: FORMAT_MIME_TYPES.jpeg, quality: FORMAT_QUALITY.jpeg, lossless: false };
+}
+
+function findHighestBitrate(entries) {
+  return entries.reduce((best, entry) => (!best || entry.bitrateKbps > best.bitrateKbps ? entry : best), null);
+}
+
+function getBitrateKbps(width, height, bitsPerPixel) {
+  return roundUp((width * height * VIDEO_FRAME_RATE * bitsPerPixel) / 1000, BITRATE_STEP);
+}
+
+function estimateVideoBytes(bitrateKbps, duration) {
+  if (!bitrateKbps || !duration) return null;
+  return Math.round((bitrateKbps * 1000 * duration) / 8);
+}
+
+function toMacroblock(value) {
+  return Math.max(VIDEO_MACROBLOCK, Math.round(value / VIDEO_MACROBLOCK) * VIDEO_MACROBLOCK);
+}
+
+function floorToMacroblock(value) {
+  return Math.max(VIDEO_MACROBLOCK, Math.floor(value / VIDEO_MACROBLOCK) * VIDEO_MACROBLOCK);
+}
+
+function buildVideoWarnings({ video, background, currentBitrateKbps, desktop, hiddenOnMobile }) {
+  const warnings = [];
+  if (!video.poster) {
+    warnings.push('No poster image: the box stays blank until the first frame decodes.');
+  }
+  if (background) {
+    if (video.muted === false) {
+      warnings.push('Background videos must be muted or browsers will block autoplay.');
+    }
+    warnings.push('Strip the audio track from background videos; it is never heard but is always downloaded.');
+  }
+  if (currentBitrateKbps && currentBitrateKbps > desktop.bitrateKbps * 1.5) {
+    warnings.push(
+      `The current file averages ~${formatBitrate(currentBitrateKbps)}, well above the ~${formatBitrate(desktop.bitrateKbps)} this box needs.`
+    );
+  }
+  if (desktop.limitedBySource) {
+    warnings.push('The source is smaller than the largest render size, so the desktop rendition is capped at the source resolution.');
+  }
+  if (hiddenOnMobile && video.autoplay) {
+    warnings.push('Autoplaying videos hidden with display: none can still be downloaded on mobile.');
+  }
+  return warnings;
+}
@@ -1,7 +1,16 @@
-const MESSAGE_TYPE = 'element-selected';
-const SUBSCRIBE_MESSAGE = 'riaa:selection:subscribe';
-const REQUEST_MESSAGE = 'riaa:selection:request';
-const PANEL_RESIZE_MESSAGE = 'riaa:panel:resize';
+// Mirrors public/designer-bridge.js; bump both together.
+const PROTOCOL_CHANNEL = 'riaa';
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+const SELECTION_CHANGED_EVENT = 'selection.changed';
+const PROTOCOL_ERRORS = {
+  notConnected: 'not-connected',
+  unsupportedVersion: 'unsupported-version',
+  unsupportedMethod: 'unsupported-method',
+  invalidParams: 'invalid-params',
+  notFound: 'not-found',
+  partial: 'partial',
+  failed: 'failed'
+};
 const DEV_HOST_REGEX = /(?:localhost|127\.0\.0\.1|0\.0\.0\.0)/i;
 const DEV_ENVIRONMENT =
   typeof window.__DEV_MODE_ === 'boolean'
@@ -19,83 +28,245 @@ const logWarn = (...args) => {
 const MEDIA_SELECTOR =
   'img, picture, video, canvas, figure, svg, [data-wf-element-type="background-video"], [data-wf-element-type="video"]';
 const MEDIA_TAGS = new Set(['img', 'picture', 'video', 'canvas', 'figure', 'svg']);
+const AUDIT_MEDIA_SELECTOR = 'img, video, canvas, svg, [data-wf-element-type="background-video"]';
+const BACKGROUND_VIDEO_SELECTOR = '[data-wf-element-type="background-video"]';
+const IMAGE_LOAD_TIMEOUT = 4000;
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+const GRADIENT_REGEX = /^(?:-webkit-)?(?:repeating-)?(?:linear|radial|conic)-gradient\(/i;
+const IMAGE_SET_REGEX = /^(?:-webkit-)?image-set\((.*)\)$/is;
+const CONTENT_SAMPLE_SIZE = 96;
+const ALPHA_THRESHOLD = 250;
+const FORMAT_EXTENSIONS = {
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  png: 'png',
+  gif: 'gif',
+  webp: 'webp',
+  avif: 'avif',
+  svg: 'svg'
+};
+const AUDIT_HIGHLIGHT_DURATION = 1600;
+// The panel waits 60s for page.scan. Elements are measured a few at a time and none starts after the
+// deadline, so a long page answers with what it measured instead of timing out.
+const AUDIT_CONCURRENCY = 4;
+const AUDIT_DEADLINE_MS = 45000;
+const auditNodes = new Map();
+let auditSequence = 0;
+const appliedChanges = new Map();
+let applySequence = 0;
 const subscribers = new Set();
 const subscriberOrigins = new WeakMap();
-let latestSelectionState = createEmptySelectionState();
-const CONTEXT_READY_EVENT = 'riaa:context-ready';
+const subscriberVersions = new WeakMap();
+let latestSelectionState = null;
+let selectionCore = null;
 const runtimePromise = waitForRuntime();
 const SELECTION_EVENT_NAMES = ['selectedelementchange', 'selectedelementchanged', 'selectionchange', 'selectionchanged'];
 const SELECTION_POLL_INTERVAL = 1500;
+const MEASUREMENT_FRAME_TIMEOUT = 3000;
+const MEASUREMENT_FRAME_ATTRIBUTE = 'data-riaa-measurement';
+const LAYOUT_ATTRIBUTES = ['class', 'style', 'width', 'height', 'src', 'srcset', 'sizes', 'hidden'];
+const STYLESHEET_SELECTOR = 'style, link[rel~="stylesheet"]';
+const REMEASURE_DELAY_MS = 300;
 let selectionPollTimer = null;
+let selectionEventsSeen = false;
 let lastPolledSignature = null;
-let devMockActive = false;
-let designerScriptSupported = false;
-const scriptOrigin = getCurrentScriptOrigin();
+let selectionSequence = 0;
+let selectionWatch = null;
+let remeasureTimer = null;
+let remeasureRunning = false;
+let remeasureQueued = false;
+const ownStyleWrites = new WeakSet();
+const highlightedNodes = new WeakMap();
+const scriptUrl = getCurrentScriptUrl();
+const scriptOrigin = getUrlOrigin(scriptUrl);
+const selectionCoreUrl = new URL('./selection-core.js', scriptUrl || window.location.href).href;
 let trustedPanelOrigin = scriptOrigin || null;
 let panelOriginConfirmed = Boolean(trustedPanelOrigin);
 let trustedPanelWindow = null;
 
-probeDesignerScriptSupport();
-if (!designerScriptSupported && DEV_ENVIRONMENT) {
-  maybeActivateDevMock('designerscript-unavailable');
-}
-
 function initSelectionBridge() {
   window.addEventListener('message', handlePanelMessage);
 
-  runtimePromise.then((runtime) => {
-    if (runtime?.designerScript || runtime?.designerscript) {
-      designerScriptSupported = true;
-    }
-    if (!designerScriptSupported && DEV_ENVIRONMENT) {
-      maybeActivateDevMock('designerscript-unavailable');
-    }
-    if (!runtime) {
-      logWarn('Webflow APIs are unavailable in this context.');
-      if (DEV_ENVIRONMENT) {
-        maybeActivateDevMock('runtime-unavailable');
+  selectionCoreLoad
+    .then(() => runtimePromise)
+    .then((runtime) => {
+      if (!runtime) {
+        logWarn('Webflow APIs are unavailable in this context. Open dev.html to run against the mock Designer.');
+        return;
       }
-      return;
-    }
 
-    const ready = typeof runtime.ready === 'function' ? runtime.ready : (cb) => cb();
-    ready(() => {
-      subscribeToSelectionEvents(runtime);
-      fetchAndBroadcastSelection();
-      startSelectionPolling(runtime);
-    });
-  });
+      const ready = typeof runtime.ready === 'function' ? runtime.ready : (cb) => cb();
+      ready(() => {
+        subscribeToSelectionEvents(runtime);
+        fetchAndBroadcastSelection(runtime);
+        startSelectionPolling(runtime);
+      });
+    })
+    .catch((error) => logWarn(`Unable to load ${selectionCoreUrl}; panel requests will report it.`, error));
 }
 
-function handleSelectionChange(payload) {
-  const state = normalizeSelectionState(payload);
-  logDebug('Webflow event selection payload received.', payload);
+async function updateSelection(rawSelection) {
+  unwatchSelection();
+  const sequence = ++selectionSequence;
+  const state = await normalizeSelectionState(rawSelection);
+  if (sequence !== selectionSequence) return;
   logDebug('Normalized selection state prepared for panel.', state);
-  if (!state.devMock) {
-    devMockActive = false;
-    designerScriptSupported = true;
-  }
+  lastPolledSignature = selectionCore.getSelectionSignature(state);
+  watchSelection(rawSelection);
   broadcastSelection(state);
 }
 
 function handleSelectionEvent(eventName, payload) {
   logDebug(`Selection event received (${eventName}).`, payload);
-  handleSelectionChange(payload);
+  // The runtime delivers selection events, so polling is no longer needed to notice changes.
+  selectionEventsSeen = true;
+  stopSelectionPolling();
+  updateSelection(payload).catch((error) => logWarn('Unable to process selection event.', error));
+}
+
+// Re-measures the selection while the designer edits layout. Resizes of the selected nodes catch edits
+// at the current breakpoint; class and style changes anywhere, stylesheet edits, and nodes added or
+// removed around the selection catch edits that only apply at other breakpoints. Text edits on the
+// canvas are not watched: they cost a full sweep and rarely move an image.
+function watchSelection(rawSelection) {
+  const nodes = selectionCore
+    .extractSelectionArray(rawSelection)
+    .map((item) => {
+      const node = resolveDomNode(item);
+      return findVisualMediaNode(node) || node;
+    })
+    .filter((node) => node?.nodeType === Node.ELEMENT_NODE);
+  if (!nodes.length) return;
+
+  const sizes = new WeakMap();
+  const resizeObserver =
+    typeof ResizeObserver === 'function'
+      ? new ResizeObserver((entries) => {
+          // observe() reports every node's current size once; only later changes count.
+          const changed = entries.some((entry) => {
+            const size = `${entry.contentRect.width}x${entry.contentRect.height}`;
+            const previous = sizes.get(entry.target);
+            sizes.set(entry.target, size);
+            return previous !== undefined && previous !== size;
+          });
+          if (changed) scheduleRemeasure();
+        })
+      : null;
+  nodes.forEach((node) => resizeObserver?.observe(node));
+
+  if (typeof MutationObserver !== 'function') {
+    selectionWatch = { rawSelection, observers: [resizeObserver] };
+    return;
+  }
+  const attributeObserver = new MutationObserver((records) => {
+    if (records.some(isLayoutMutation)) scheduleRemeasure();
+  });
+  attributeObserver.observe(document.documentElement, {
+    subtree: true,
+    attributes: true,
+    attributeFilter: LAYOUT_ATTRIBUTES
+  });
+
+  // Edits inside <style> elements are Designer style changes; the canvas text is never observed.
+  const stylesheetObserver = new MutationObserver(() => scheduleRemeasure());
+  document.head?.querySelectorAll(STYLESHEET_SELECTOR).forEach((node) => watchStylesheetNode(stylesheetObserver, node));
+
+  // childList on the selected nodes and their ancestors only; a separate observer, because observing
+  // the root again would replace its subtree options.
+  const structureObserver = new MutationObserver((records) => {
+    records
+      .filter((record) => record.target === document.head)
+      .forEach((record) => record.addedNodes.forEach((node) => watchStylesheetNode(stylesheetObserver, node)));
+    if (records.some(isLayoutMutation)) scheduleRemeasure();
+  });
+  const ancestors = new Set();
+  nodes.forEach((node) => {
+    for (let current = node; current; current = current.parentElement) ancestors.add(current);
+  });
+  ancestors.forEach((node) => structureObserver.observe(node, { childList: true }));
+  if (document.head) structureObserver.observe(document.head, { childList: true });
+
+  selectionWatch = { rawSelection, observers: [resizeObserver, attributeObserver, structureObserver, stylesheetObserver] };
+}
+
+function watchStylesheetNode(observer, node) {
+  if (node.nodeType !== Node.ELEMENT_NODE || node.tagName.toLowerCase() !== 'style') return;
+  observer.observe(node, { childList: true, characterData: true, subtree: true });
+}
+
+function unwatchSelection() {
+  selectionWatch?.observers.forEach((observer) => observer?.disconnect());
+  selectionWatch = null;
+  window.clearTimeout(remeasureTimer);
+  remeasureTimer = null;
+}
+
+function isLayoutMutation(record) {
+  const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+  if (target?.closest(`[${MEASUREMENT_FRAME_ATTRIBUTE}]`)) return false;
+  if (record.type === 'attributes') {
+    return !(record.attributeName === 'style' && ownStyleWrites.has(record.target));
+  }
+  const changed = [...record.addedNodes, ...record.removedNodes].filter((node) => node.nodeType === Node.ELEMENT_NODE);
+  if (record.target === document.head) return changed.some((node) => node.matches(STYLESHEET_SELECTOR));
+  return changed.some((node) => !node.hasAttribute(MEASUREMENT_FRAME_ATTRIBUTE));
+}
+
+// Waits for edits to settle, so dragging a size or typing a class runs one sweep, and never runs two
+// sweeps at once.
+function scheduleRemeasure() {
+  window.clearTimeout(remeasureTimer);
+  remeasureTimer = window.setTimeout(() => {
+    remeasureTimer = null;
+    remeasureSelection();
+  }, REMEASURE_DELAY_MS);
+}
+
+async function remeasureSelection() {
+  if (!selectionWatch) return;
+  if (remeasureRunning) {
+    remeasureQueued = true;
+    return;
+  }
+  remeasureRunning = true;
+  const sequence = ++selectionSequence;
+  try {
+    const state = await normalizeSelectionState(selectionWatch.rawSelection);
+    if (sequence === selectionSequence && JSON.stringify(state) !== JSON.stringify(latestSelectionState)) {
+      logDebug('Layout changed; selection re-measured.', state);
+      broadcastSelection(state);
+    }
+  } catch (error) {
+    logWarn('Unable to re-measure the selection.', error);
+  } finally {
+    remeasureRunning = false;
+    if (remeasureQueued) {
+      remeasureQueued = false;
+      scheduleRemeasure();
+    }
+  }
 }
 
 function postToPanel(target, selectionState, originOverride) {
+  logDebug('Posting selection to panel.', selectionState);
+  return postMessageToPanel(
+    target,
+    {
+      channel: PROTOCOL_CHANNEL,
+      version: subscriberVersions.get(target),
+      kind: 'event',
+      event: SELECTION_CHANGED_EVENT,
+      params: { selection: selectionState }
+    },
+    originOverride
+  );
+}
+
+function postMessageToPanel(target, message, originOverride) {
   const targetOrigin = originOverride || subscriberOrigins.get(target) || trustedPanelOrigin;
   if (!targetOrigin) return false;
-  logDebug('Posting selection to panel.', selectionState);
   try {
-    target.postMessage(
-      {
-        type: MESSAGE_TYPE,
-        selection: selectionState,
-        element: selectionState?.primary ?? null
-      },
-      targetOrigin
-    );
+    target.postMessage(message, targetOrigin);
     return true;
   } catch (error) {
     logWarn('Unable to message extension panel window.', error);
@@ -104,10 +275,7 @@ function postToPanel(target, selectionState, originOverride) {
 }
 
 function broadcastSelection(selectionState) {
-  const payload = selectionState ?? createEmptySelectionState();
-  if (typeof payload.devMock !== 'boolean') {
-    payload.devMock = false;
-  }
+  const payload = selectionState ?? selectionCore.createEmptySelectionState();
   logDebug('Broadcasting selection to subscribers.', payload);
   latestSelectionState = payload;
   subscribers.forEach((subscriber) => {
@@ -131,42 +299,104 @@ function broadcastSelection(selectionState) {
 
 async function handlePanelMessage(event) {
   if (!isTrustedPanelMessage(event)) return;
-  const type = event.data?.type;
-  logDebug('Panel message received.', type, event.data);
-  if (type === CONTEXT_READY_EVENT) {
-    logDebug('Panel context ready notice received.');
-    registerSubscriber(event);
-    if (!latestSelectionState?.primary && !latestSelectionState?.elements?.length) {
-      const selection = await fetchCurrentSelection();
-      broadcastSelection(selection);
-    } else {
-      broadcastSelection(latestSelectionState);
-    }
-    return;
-  }
+  const message = event.data;
+  if (message?.channel !== PROTOCOL_CHANNEL || message.kind !== 'request') return;
+  logDebug('Panel request received.', message.method, message);
+  const source = event.source;
+  if (!source || typeof source.postMessage !== 'function') return;
+  const origin = subscriberOrigins.get(source) || event.origin || trustedPanelOrigin;
 
-  if (type === PANEL_RESIZE_MESSAGE) {
-    handlePanelResizeRequest(event.data?.size);
-    return;
+  let reply;
+  try {
+    const result = await handlePanelRequest(message, event);
+    reply = { ok: true, result: result ?? null };
+  } catch (error) {
+    logWarn(`Panel request ${message.method} failed.`, error);
+    // A partial failure still sends what it got, for example the elements an audit measured in time.
+    reply = {
+      ok: false,
+      error: { code: error?.code ?? PROTOCOL_ERRORS.failed, message: error?.message || 'Designer request failed.' },
+      ...(error?.result ? { result: error.result } : {})
+    };
   }
+  postMessageToPanel(
+    source,
+    { channel: PROTOCOL_CHANNEL, version: subscriberVersions.get(source) ?? message.version, kind: 'response', id: message.id, ...reply },
+    origin
+  );
+}
 
-  if (type !== SUBSCRIBE_MESSAGE && type !== REQUEST_MESSAGE) return;
+async function handlePanelRequest(message, event) {
+  await requireSelectionCore();
+  if (message.method === 'hello') {
+    return handleHello(message.params, event);
+  }
+  if (!subscribers.has(event.source)) {
+    throw createProtocolError(PROTOCOL_ERRORS.notConnected, 'Send hello before other requests.');
+  }
+  if (message.version !== subscriberVersions.get(event.source)) {
+    throw createProtocolError(PROTOCOL_ERRORS.unsupportedVersion, `Connected with protocol ${subscriberVersions.get(event.source)}.`);
+  }
+  const handler = PANEL_REQUEST_HANDLERS[message.method];
+  if (!handler) {
+    throw createProtocolError(PROTOCOL_ERRORS.unsupportedMethod, `Unknown method ${message.method}.`);
+  }
+  return handler(message.params ?? {});
+}
 
+function handleHello(params, event) {
+  const requested = Array.isArray(params?.versions) ? params.versions : [];
+  const version = Math.max(...requested.filter((entry) => SUPPORTED_PROTOCOL_VERSIONS.includes(entry)), 0);
+  if (!version) {
+    throw createProtocolError(
+      PROTOCOL_ERRORS.unsupportedVersion,
+      `The designer script supports protocol ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}.`
+    );
+  }
   const source = registerSubscriber(event);
-  if (!source) return;
+  subscriberVersions.set(source, version);
+  logDebug('Panel connected.', version);
+  return { version, capabilities: Object.keys(PANEL_REQUEST_HANDLERS) };
+}
+
+const PANEL_REQUEST_HANDLERS = {
+  'selection.get': async () =>
+    latestSelectionState?.primary || latestSelectionState?.elements?.length
+      ? latestSelectionState
+      : fetchCurrentSelection(),
+  'panel.resize': async ({ size }) => ({ resized: await handlePanelResizeRequest(size) }),
+  'page.scan': async () => ({ items: await auditPage() }),
+  'element.measure': ({ target }) => measureElementTarget(target),
+  'element.highlight': ({ target, auditId }) => {
+    flashHighlight(requireRequestNode(target, auditId));
+    return { highlighted: true };
+  },
+  'element.focus': async ({ target, auditId }) => ({
+    selected: await focusCanvasNode(requireRequestNode(target, auditId))
+  }),
+  'element.apply': ({ action = 'preview', target, changes, applyId }) =>
+    action === 'undo' ? undoAppliedChange(applyId) : applyElementChanges(target, changes, action === 'apply', applyId)
+};
 
-  const payload = latestSelectionState?.primary || latestSelectionState?.elements?.length
-    ? latestSelectionState
-    : await fetchCurrentSelection();
-  logDebug('Responding to panel with payload.', payload);
+// Requests wait for the shared module, and a failed load is sent back as the answer, so the panel shows
+// the cause instead of timing out on its handshake.
+async function requireSelectionCore() {
   try {
-    const origin = subscriberOrigins.get(source) || event.origin || trustedPanelOrigin;
-    postToPanel(source, payload ?? null, origin);
+    await selectionCoreLoad;
   } catch (error) {
-    logWarn('Unable to respond to panel request.', error);
+    throw createProtocolError(
+      PROTOCOL_ERRORS.failed,
+      `The designer script could not load ${selectionCoreUrl}: ${error?.message || error}`
+    );
   }
 }
 
+function createProtocolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 function registerSubscriber(event) {
   const source = event.source;
   if (!source || typeof source.postMessage !== 'function') return null;
@@ -179,140 +409,78 @@ function registerSubscriber(event) {
   return source;
 }
 
-function normalizeSelection(selectedElement) {
+async function normalizeSelection(selectedElement, session) {
   if (!selectedElement) {
     logDebug('normalizeSelection called with null selection.');
     return null;
   }
 
-  const safeBase = createSerializableSelection(selectedElement);
+  const safeBase = selectionCore.createSerializableSelection(selectedElement);
   const domNode = resolveDomNode(selectedElement);
   logDebug('Resolved DOM node for selection.', domNode);
   const visualNode = findVisualMediaNode(domNode);
   logDebug('Visual node determined for selection.', visualNode);
   const measurementNode = visualNode || domNode;
-  const computedWidths = computeBoundingWidths(measurementNode);
-  logDebug('Computed widths for selection.', computedWidths);
   const tagName = (visualNode || domNode)?.tagName?.toLowerCase() ?? safeBase.tagName ?? null;
   const id = (visualNode || domNode)?.id || safeBase.id || null;
   const selector = buildSelector(visualNode || domNode, safeBase.selector);
-
+  const alt = (visualNode || domNode)?.getAttribute?.('alt') ?? null;
+  const normalized = { ...safeBase, tagName, id, selector, alt };
+  if (!session) return normalized;
+
+  const measurement = await measureBreakpointWidths(measurementNode, session);
+  logDebug('Computed breakpoint widths for selection.', measurement);
+  const asset = await readAssetInfo(measurementNode, session);
+  logDebug('Asset details read for selection.', asset);
+  const background = asset.kind === 'background' ? describeBackground(measurementNode) : null;
+  const boxes = background ? applyBackgroundPaintSizes(measurement, asset, background) : null;
   return {
-    ...safeBase,
-    tagName,
-    id,
-    selector,
-    computedWidths,
-    computedWidthDesktop: computedWidths.desktop,
-    computedWidthMobile: computedWidths.mobile
+    ...normalized,
+    ...asset,
+    ...readObjectFit(measurementNode),
+    background,
+    boxWidths: boxes?.boxWidths ?? null,
+    boxHeights: boxes?.boxHeights ?? null,
+    intrinsicAspectRatio:
+      asset.naturalWidth && asset.naturalHeight ? asset.naturalWidth / asset.naturalHeight : null,
+    computedWidths: measurement.widths,
+    computedHeights: measurement.heights,
+    computedWidthDesktop: measurement.widths.desktop,
+    computedWidthMobile: measurement.widths.mobile,
+    hiddenBreakpoints: measurement.hidden,
+    aboveFoldBreakpoints: measurement.aboveFold,
+    lcpBreakpoints: measurement.lcp,
+    lcpCandidate: measurement.lcp.length > 0,
+    ...readLoadingAttributes(measurementNode),
+    measurementMethod: measurement.method
   };
 }
 
-function normalizeSelectionState(payload) {
-  if (payload && payload.devMock) {
-    return {
-      elements: payload.elements || [],
-      primary: payload.primary || null,
-      devMock: true
-    };
-  }
-  const selectionArray = extractSelectionArray(payload);
+async function normalizeSelectionState(payload, { measure = true } = {}) {
+  const selectionArray = selectionCore.extractSelectionArray(payload);
   if (!selectionArray.length) {
-    return createEmptySelectionState();
+    return selectionCore.createEmptySelectionState();
   }
 
-  const normalizedElements = selectionArray
-    .map((item) => normalizeSelection(item))
-    .filter((entry) => Boolean(entry));
+  const session = measure ? createMeasurementSession() : null;
+  let normalizedElements;
+  try {
+    normalizedElements = (await Promise.all(selectionArray.map((item) => normalizeSelection(item, session)))).filter(
+      (entry) => Boolean(entry)
+    );
+  } finally {
+    session?.dispose();
+  }
   if (!normalizedElements.length) {
-    return createEmptySelectionState();
+    return selectionCore.createEmptySelectionState();
   }
 
   return {
     elements: normalizedElements,
-    primary: normalizedElements[0] ?? null,
-    devMock: false
+    primary: normalizedElements[0] ?? null
   };
 }
 
-function extractSelectionArray(payload) {
-  if (!payload) return [];
-  if (Array.isArray(payload)) return payload;
-  if (Array.isArray(payload.selectedElements)) return payload.selectedElements;
-  if (Array.isArray(payload.elements)) return payload.elements;
-  if (Array.isArray(payload.selection)) return payload.selection;
-  if (payload.selectedElement) return [payload.selectedElement];
-  if (payload.element) return [payload.element];
-  return [payload];
-}
-
-function createEmptySelectionState() {
-  return { elements: [], primary: null, devMock: false };
-}
-
-function createDevSelectionState(reason) {
-  const mockElement = {
-    id: 'riaa-dev-mock',
-    label: 'DEV Mock Image',
-    tagName: 'img',
-    selector: '.riaa-dev-mock',
-    widths: {
-      desktop: 640,
-      mobile: 320
-    },
-    computedWidths: {
-      desktop: 640,
-      mobile: 320
-    },
-    computedWidthDesktop: 640,
-    computedWidthMobile: 320,
-    devMock: true,
-    reason
-  };
-  return { elements: [mockElement], primary: mockElement, devMock: true, reason };
-}
-
-function maybeActivateDevMock(reason) {
-  if (!DEV_ENVIRONMENT) return;
-  if (devMockActive && latestSelectionState?.devMock) return;
-  devMockActive = true;
-  const payload = createDevSelectionState(reason);
-  payload.devMockReason = reason ?? null;
-  broadcastSelection(payload);
-}
-
-function probeDesignerScriptSupport() {
-  try {
-    const wf = window.Webflow;
-    if (!wf) return false;
-    if (typeof wf.require === 'function') {
-      const module = wf.require('designerscript');
-      if (module) {
-        designerScriptSupported = true;
-        return true;
-      }
-    }
-    if (Array.isArray(wf)) {
-      wf.push(() => {
-        try {
-          const runtime = window.Webflow;
-          if (typeof runtime?.require === 'function') {
-            const module = runtime.require('designerscript');
-            if (module) {
-              designerScriptSupported = true;
-            }
-          }
-        } catch (error) {
-          logWarn('Unable to detect DesignerScript via Webflow queue.', error);
-        }
-      });
-    }
-  } catch (error) {
-    logWarn('DesignerScript detection failed.', error);
-  }
-  return designerScriptSupported;
-}
-
 function resolveDomNode(selectedElement) {
   const candidates = [
     selectedElement?.domNode,
@@ -370,54 +538,485 @@ function isImageLikeElement(node) {
 }
 
 function hasBackgroundImage(node) {
-  if (!node || node.nodeType !== Node.ELEMENT_NODE) return false;
+  return Boolean(getPrimaryBackgroundLayer(node));
+}
+
+function getPrimaryBackgroundLayer(node) {
+  return readBackgroundLayers(node).find((layer) => layer.url) ?? null;
+}
+
+function readBackgroundLayers(node) {
+  if (!node || node.nodeType !== Node.ELEMENT_NODE) return [];
   try {
-    const styles = window.getComputedStyle(node);
-    return Boolean(styles && styles.backgroundImage && styles.backgroundImage !== 'none');
+    const styles = (node.ownerDocument?.defaultView ?? window).getComputedStyle(node);
+    return parseBackgroundLayers(styles);
   } catch (error) {
     logWarn('Unable to compute background styles for node.', error);
-    return false;
+    return [];
+  }
+}
+
+function parseBackgroundLayers(styles) {
+  const images = splitCssList(styles?.backgroundImage);
+  if (!images.length || (images.length === 1 && images[0] === 'none')) return [];
+  const pick = (values, index, fallback) => (values.length ? values[index % values.length] : fallback);
+  const sizes = splitCssList(styles.backgroundSize);
+  const positions = splitCssList(styles.backgroundPosition);
+  const repeats = splitCssList(styles.backgroundRepeat);
+  const origins = splitCssList(styles.backgroundOrigin);
+  const attachments = splitCssList(styles.backgroundAttachment);
+  return images.map((value, index) => ({
+    ...parseBackgroundImage(value),
+    size: pick(sizes, index, 'auto'),
+    position: pick(positions, index, '0% 0%'),
+    repeat: pick(repeats, index, 'repeat'),
+    origin: pick(origins, index, 'padding-box'),
+    attachment: pick(attachments, index, 'scroll')
+  }));
+}
+
+function parseBackgroundImage(value) {
+  if (!value || value === 'none') return { type: 'none', value, url: null, density: 1, candidates: [] };
+  if (GRADIENT_REGEX.test(value)) return { type: 'gradient', value, url: null, density: 1, candidates: [] };
+
+  const imageSet = IMAGE_SET_REGEX.exec(value);
+  if (imageSet) {
+    const candidates = splitCssList(imageSet[1]).map(parseImageSetCandidate).filter(Boolean);
+    const base =
+      candidates.find((candidate) => candidate.density === 1 && !candidate.type) ??
+      candidates.find((candidate) => candidate.density === 1) ??
+      [...candidates].sort((a, b) => a.density - b.density)[0];
+    return { type: 'image-set', value, url: base?.url ?? null, density: base?.density ?? 1, candidates };
+  }
+
+  const url = extractCssUrl(value);
+  return { type: url ? 'url' : 'other', value, url, density: 1, candidates: [] };
+}
+
+function parseImageSetCandidate(value) {
+  const urlMatch = /url\(\s*(['"]?)(.*?)\1\s*\)|^(['"])(.*?)\3/i.exec(value);
+  const url = urlMatch?.[2] || urlMatch?.[4];
+  if (!url) return null;
+  const descriptors = value.replace(urlMatch[0], '');
+  const type = /type\(\s*['"]?([^'")]+)['"]?\s*\)/i.exec(descriptors)?.[1] ?? null;
+  const density = /(\d*\.?\d+)(?:x|dppx)\b/i.exec(descriptors.replace(/type\([^)]*\)/i, ''));
+  return { url, density: density ? Number(density[1]) : 1, type };
+}
+
+function extractCssUrl(value) {
+  const match = /url\(\s*(['"]?)(.*?)\1\s*\)/i.exec(value ?? '');
+  return match?.[2] || null;
+}
+
+function splitCssList(value) {
+  if (!value) return [];
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let index = 0; index < value.length; index += 1) {
+    const char = value[index];
+    if (quote) {
+      if (char === quote && value[index - 1] !== '\\') quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ',' && depth === 0) {
+      parts.push(value.slice(start, index).trim());
+      start = index + 1;
+    }
   }
+  parts.push(value.slice(start).trim());
+  return parts.filter(Boolean);
 }
 
-function computeBoundingWidths(node) {
-  const fallback = { desktop: null, mobile: null };
+function getBackgroundArea(node, layer) {
+  const view = node.ownerDocument?.defaultView ?? window;
+  if (layer.attachment === 'fixed') {
+    return { width: view.innerWidth, height: view.innerHeight };
+  }
+  const styles = view.getComputedStyle(node);
+  const rect = node.getBoundingClientRect();
+  const sum = (properties) => properties.reduce((total, property) => total + (parseFloat(styles[property]) || 0), 0);
+  let width = rect.width;
+  let height = rect.height;
+  if (layer.origin !== 'border-box') {
+    width -= sum(['borderLeftWidth', 'borderRightWidth']);
+    height -= sum(['borderTopWidth', 'borderBottomWidth']);
+  }
+  if (layer.origin === 'content-box') {
+    width -= sum(['paddingLeft', 'paddingRight']);
+    height -= sum(['paddingTop', 'paddingBottom']);
+  }
+  return { width: Math.max(0, width), height: Math.max(0, height) };
+}
+
+function getBackgroundPaintSize(size, area, intrinsicWidth, intrinsicHeight) {
+  const ratio = intrinsicWidth && intrinsicHeight ? intrinsicWidth / intrinsicHeight : null;
+  if (size === 'cover' || size === 'contain') {
+    if (!ratio) return area;
+    const scale = (size === 'cover' ? Math.max : Math.min)(area.width / intrinsicWidth, area.height / intrinsicHeight);
+    return { width: intrinsicWidth * scale, height: intrinsicHeight * scale };
+  }
+
+  const [widthValue = 'auto', heightValue = 'auto'] = size.split(/\s+/);
+  let width = resolveBackgroundLength(widthValue, area.width);
+  let height = resolveBackgroundLength(heightValue, area.height);
+  if (width === null && height === null) {
+    width = intrinsicWidth ?? area.width;
+    height = intrinsicHeight ?? area.height;
+  } else if (width === null) {
+    width = ratio ? height * ratio : area.width;
+  } else if (height === null) {
+    height = ratio ? width / ratio : area.height;
+  }
+  return { width, height };
+}
+
+function resolveBackgroundLength(value, reference) {
+  if (!value || value === 'auto') return null;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+  return value.endsWith('%') ? (number / 100) * reference : number;
+}
+
+function recordBackgroundArea(measurement, breakpointId, node) {
+  const layer = getPrimaryBackgroundLayer(node);
+  if (!layer) return;
+  measurement.backgrounds[breakpointId] = { size: layer.size, area: getBackgroundArea(node, layer) };
+}
+
+function applyBackgroundPaintSizes(measurement, asset, layer) {
+  const entries = Object.entries(measurement.backgrounds);
+  if (!entries.length) return null;
+  const density = layer?.density > 0 ? layer.density : 1;
+  const intrinsicWidth = asset.naturalWidth ? asset.naturalWidth / density : null;
+  const intrinsicHeight = asset.naturalHeight ? asset.naturalHeight / density : null;
+  const boxWidths = { ...measurement.widths };
+  const boxHeights = { ...measurement.heights };
+  entries.forEach(([breakpointId, { size, area }]) => {
+    const paint = getBackgroundPaintSize(size, area, intrinsicWidth, intrinsicHeight);
+    measurement.widths[breakpointId] = toPositiveNumber(paint.width);
+    measurement.heights[breakpointId] = toPositiveNumber(paint.height);
+  });
+  applyBreakpointAliases(measurement.widths);
+  applyBreakpointAliases(measurement.heights);
+  return { boxWidths, boxHeights };
+}
+
+function describeBackground(node) {
+  const layers = readBackgroundLayers(node);
+  const primary = layers.find((layer) => layer.url);
+  if (!primary) return null;
+  return {
+    layerCount: layers.length,
+    imageLayerCount: layers.filter((layer) => layer.url).length,
+    gradientCount: layers.filter((layer) => layer.type === 'gradient').length,
+    type: primary.type,
+    size: primary.size,
+    position: primary.position,
+    repeat: primary.repeat,
+    attachment: primary.attachment,
+    density: primary.density,
+    imageSet: primary.candidates.map(({ url, density, type }) => ({ url, density, type })),
+    layers: layers.map((layer) => ({ type: layer.type, value: layer === primary ? null : layer.value }))
+  };
+}
+
+async function measureBreakpointWidths(node, session) {
   if (!node || typeof node.getBoundingClientRect !== 'function') {
-    return fallback;
+    return createBreakpointMeasurement('none');
+  }
+
+  try {
+    const frame = await session.getFrame();
+    const swept = frame ? sweepBreakpoints(node, frame) : null;
+    if (swept) return swept;
+  } catch (error) {
+    logWarn('Breakpoint sweep failed; falling back to the current viewport.', error);
+  }
+  return measureCurrentBreakpoint(node);
+}
+
+function sweepBreakpoints(node, frame) {
+  const clone = resolveNodePath(frame.document, getNodePath(node));
+  if (!clone || typeof clone.getBoundingClientRect !== 'function') return null;
+
+  if (!frame.mediaNodes) {
+    frame.mediaNodes = collectMediaNodes(frame.document);
+    frame.largestAreas = {};
+  }
+  const measurement = createBreakpointMeasurement('sweep');
+  selectionCore.BREAKPOINTS.forEach((breakpoint) => {
+    frame.element.style.width = `${breakpoint.viewport}px`;
+    frame.element.style.height = `${breakpoint.viewportHeight}px`;
+    frame.element.getBoundingClientRect();
+    recordBreakpointWidth(measurement, breakpoint.id, clone);
+    const viewport = { width: breakpoint.viewport, height: breakpoint.viewportHeight, scrollY: 0 };
+    // The clone's layout only depends on the breakpoint, so an audit ranks the page's media once per breakpoint.
+    if (!frame.largestAreas[breakpoint.id]) {
+      frame.largestAreas[breakpoint.id] = findLargestViewportAreas(frame.mediaNodes, viewport);
+    }
+    recordFoldPosition(measurement, breakpoint.id, clone, frame.largestAreas[breakpoint.id], viewport);
+  });
+  // A node that is visible somewhere but never got a width did not lay out in the clone; the caller then
+  // measures the live node instead.
+  const measured = selectionCore.BREAKPOINTS.some((breakpoint) => measurement.widths[breakpoint.id]);
+  if (!measured && measurement.hidden.length < selectionCore.BREAKPOINTS.length) return null;
+  applyBreakpointAliases(measurement.widths);
+  applyBreakpointAliases(measurement.heights);
+  return measurement;
+}
+
+function measureCurrentBreakpoint(node) {
+  const measurement = createBreakpointMeasurement('viewport');
+  const breakpointId = getCurrentBreakpointId();
+  recordBreakpointWidth(measurement, breakpointId, node);
+  const viewport = { width: window.innerWidth, height: window.innerHeight, scrollY: window.scrollY || 0 };
+  recordFoldPosition(
+    measurement,
+    breakpointId,
+    node,
+    findLargestViewportAreas(collectMediaNodes(document), viewport),
+    viewport
+  );
+  applyBreakpointAliases(measurement.widths);
+  applyBreakpointAliases(measurement.heights);
+  return measurement;
+}
+
+function recordFoldPosition(measurement, breakpointId, node, largestAreas, viewport) {
+  if (measurement.hidden.includes(breakpointId)) return;
+  const area = getInitialViewportArea(node, viewport);
+  if (!area) return;
+  measurement.aboveFold.push(breakpointId);
+
+  const largestCompetitor = largestAreas.node === node ? largestAreas.runnerUp : largestAreas.area;
+  if (area >= largestCompetitor) {
+    measurement.lcp.push(breakpointId);
   }
+}
+
+// The largest visible media area and the runner-up, so the largest competitor of any node is one lookup.
+function findLargestViewportAreas(competitors, viewport) {
+  const largest = { node: null, area: 0, runnerUp: 0 };
+  competitors.forEach((competitor) => {
+    const area = getInitialViewportArea(competitor, viewport);
+    if (area > largest.area) {
+      largest.runnerUp = largest.area;
+      largest.node = competitor;
+      largest.area = area;
+    } else if (area > largest.runnerUp) {
+      largest.runnerUp = area;
+    }
+  });
+  return largest;
+}
+
+function getInitialViewportArea(node, viewport) {
+  const rect = node.getBoundingClientRect();
+  const top = rect.top + viewport.scrollY;
+  const visibleWidth = Math.min(rect.right, viewport.width) - Math.max(rect.left, 0);
+  const visibleHeight = Math.min(top + rect.height, viewport.height) - Math.max(top, 0);
+  return visibleWidth > 0 && visibleHeight > 0 ? visibleWidth * visibleHeight : 0;
+}
 
+function recordBreakpointWidth(measurement, breakpointId, node) {
+  if (node.getClientRects().length === 0) {
+    measurement.widths[breakpointId] = null;
+    measurement.heights[breakpointId] = null;
+    measurement.hidden.push(breakpointId);
+    return;
+  }
   const rect = node.getBoundingClientRect();
-  const width = toPositiveNumber(rect?.width);
-  if (!width) {
+  measurement.widths[breakpointId] = toPositiveNumber(rect?.width);
+  measurement.heights[breakpointId] = toPositiveNumber(rect?.height);
+  recordBackgroundArea(measurement, breakpointId, node);
+}
+
+function createBreakpointMeasurement(method) {
+  const widths = {};
+  const heights = {};
+  selectionCore.BREAKPOINTS.forEach((breakpoint) => {
+    widths[breakpoint.id] = null;
+    heights[breakpoint.id] = null;
+  });
+  applyBreakpointAliases(widths);
+  applyBreakpointAliases(heights);
+  return { method, widths, heights, hidden: [], aboveFold: [], lcp: [], backgrounds: {} };
+}
+
+function readLoadingAttributes(node) {
+  const image = node?.tagName?.toLowerCase() === 'picture' ? node.querySelector('img') : node;
+  if (!image || typeof image.getAttribute !== 'function') {
+    return { loading: null, fetchPriority: null, decoding: null };
+  }
+  return {
+    loading: image.getAttribute('loading'),
+    fetchPriority: image.getAttribute('fetchpriority'),
+    decoding: image.getAttribute('decoding')
+  };
+}
+
+function readObjectFit(node) {
+  const fallback = { objectFit: null, objectPosition: null };
+  if (!node || node.nodeType !== Node.ELEMENT_NODE) return fallback;
+  try {
+    const target = node.matches(BACKGROUND_VIDEO_SELECTOR) ? node.querySelector('video') ?? node : node;
+    const styles = window.getComputedStyle(target);
+    return { objectFit: styles.objectFit || null, objectPosition: styles.objectPosition || null };
+  } catch (error) {
+    logWarn('Unable to read object-fit for node.', error);
     return fallback;
   }
+}
 
-  const device = getCurrentDevice();
-  const measurements = { desktop: null, mobile: null };
+function applyBreakpointAliases(widths) {
+  Object.entries(selectionCore.BREAKPOINT_ALIASES).forEach(([alias, breakpointId]) => {
+    widths[alias] = widths[breakpointId] ?? null;
+  });
+  return widths;
+}
 
-  if (device === 'mobile') {
-    measurements.mobile = width;
-    measurements.desktop = width;
-  } else {
-    measurements.desktop = width;
-    measurements.mobile = width;
+function createMeasurementSession() {
+  let framePromise = null;
+  return {
+    svgGroups: null,
+    getFrame() {
+      if (!framePromise) {
+        framePromise = createMeasurementFrame().catch((error) => {
+          logWarn('Unable to create breakpoint measurement frame.', error);
+          return null;
+        });
+      }
+      return framePromise;
+    },
+    dispose() {
+      framePromise?.then((frame) => frame?.element.remove());
+    }
+  };
+}
+
+async function createMeasurementFrame() {
+  if (!document.body || !document.documentElement) return null;
+
+  const clone = document.documentElement.cloneNode(true);
+  neutralizeClonedDocument(clone);
+  copyIntrinsicSizes(document.documentElement, clone);
+
+  const element = document.createElement('iframe');
+  element.setAttribute('aria-hidden', 'true');
+  element.setAttribute(MEASUREMENT_FRAME_ATTRIBUTE, '');
+  element.tabIndex = -1;
+  element.style.cssText = [
+    'position:fixed',
+    'top:0',
+    'left:-20000px',
+    `height:${selectionCore.BREAKPOINTS[0].viewportHeight}px`,
+    `width:${selectionCore.BREAKPOINTS[0].viewport}px`,
+    'border:0',
+    'visibility:hidden',
+    'pointer-events:none'
+  ].join(';');
+  document.body.appendChild(element);
+
+  const frameDocument = element.contentDocument;
+  if (!frameDocument?.documentElement) {
+    element.remove();
+    return null;
+  }
+  frameDocument.replaceChild(frameDocument.adoptNode(clone), frameDocument.documentElement);
+  await waitForStylesheets(frameDocument);
+  return { element, document: frameDocument };
+}
+
+function neutralizeClonedDocument(root) {
+  root.querySelectorAll('script').forEach((script) => script.setAttribute('type', 'text/plain'));
+  root.querySelectorAll('iframe').forEach((frame) => frame.removeAttribute('src'));
+  root.querySelectorAll('video, audio').forEach((media) => {
+    media.removeAttribute('autoplay');
+    media.setAttribute('preload', 'none');
+  });
+}
+
+// Images in the clone start loading from scratch, and lazy ones never load in the hidden frame, so an
+// image sized by its intrinsic dimensions would measure 0. Pin those to the live image's size.
+function copyIntrinsicSizes(source, clone) {
+  const clonedImages = clone.querySelectorAll('img');
+  source.querySelectorAll('img').forEach((image, index) => {
+    const target = clonedImages[index];
+    if (!target || !image.naturalWidth || !image.naturalHeight) return;
+    if (target.hasAttribute('width') || target.hasAttribute('height')) return;
+    target.setAttribute('width', image.naturalWidth);
+    target.setAttribute('height', image.naturalHeight);
+  });
+}
+
+function waitForStylesheets(frameDocument) {
+  const links = Array.from(frameDocument.querySelectorAll('link[rel~="stylesheet"]'));
+  const pending = links.map(
+    (link) =>
+      new Promise((resolve) => {
+        if (link.sheet) {
+          resolve();
+          return;
+        }
+        link.addEventListener('load', resolve, { once: true });
+        link.addEventListener('error', resolve, { once: true });
+      })
+  );
+  const timeout = new Promise((resolve) => window.setTimeout(resolve, MEASUREMENT_FRAME_TIMEOUT));
+  return Promise.race([Promise.all(pending), timeout]);
+}
+
+function getNodePath(node) {
+  const path = [];
+  let current = node;
+  while (current && current !== document.documentElement) {
+    const parent = current.parentElement;
+    if (!parent) return null;
+    path.unshift(Array.prototype.indexOf.call(parent.children, current));
+    current = parent;
   }
+  return current ? path : null;
+}
 
-  return measurements;
+function resolveNodePath(rootDocument, path) {
+  if (!rootDocument || !path) return null;
+  let current = rootDocument.documentElement;
+  for (const index of path) {
+    current = current?.children?.[index] ?? null;
+    if (!current) return null;
+  }
+  return current;
 }
 
-function getCurrentDevice() {
+function getCurrentBreakpointId() {
   const runtime = getRuntime();
   const candidate =
-    runtime?.breakpoint?.name || runtime?.breakpoint || runtime?.device || runtime?.context?.breakpoint;
+    runtime?.breakpoint?.id ||
+    runtime?.breakpoint?.name ||
+    runtime?.breakpoint ||
+    runtime?.device ||
+    runtime?.context?.breakpoint;
 
   if (typeof candidate === 'string') {
     const value = candidate.toLowerCase();
-    if (value.includes('mobile')) return 'mobile';
-    if (value.includes('tablet')) return 'tablet';
+    const direct = selectionCore.BREAKPOINTS.find((breakpoint) => breakpoint.id === value);
+    if (direct) return direct.id;
+    if (value.includes('landscape')) return 'small';
+    if (value.includes('mobile') || value.includes('portrait')) return 'tiny';
+    if (value.includes('tablet')) return 'medium';
   }
 
-  return 'desktop';
+  const viewportWidth = toPositiveNumber(window.innerWidth);
+  if (viewportWidth) {
+    return selectionCore.BREAKPOINTS.find((breakpoint) => viewportWidth >= breakpoint.minWidth)?.id ?? 'main';
+  }
+  return 'main';
 }
 
 function toPositiveNumber(value) {
@@ -444,49 +1043,634 @@ function buildSelector(node, fallbackSelector) {
   return node.tagName?.toLowerCase() ?? null;
 }
 
-function createSerializableSelection(source) {
-  if (!source || typeof source !== 'object') {
-    return {};
+async function auditPage() {
+  auditNodes.clear();
+  const candidates = collectMediaNodes(document);
+  const session = createMeasurementSession();
+  const deadline = Date.now() + AUDIT_DEADLINE_MS;
+  const described = new Array(candidates.length);
+  let next = 0;
+  const measureNext = async () => {
+    while (next < candidates.length && Date.now() < deadline) {
+      const index = next;
+      next += 1;
+      described[index] = await describeAuditNode(candidates[index], session);
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(AUDIT_CONCURRENCY, candidates.length) }, measureNext));
+  } finally {
+    session.dispose();
   }
+  const items = described.filter(Boolean);
+  if (items.length < candidates.length) {
+    const error = createProtocolError(
+      PROTOCOL_ERRORS.partial,
+      `Audited ${items.length} of ${candidates.length} media elements before the ${AUDIT_DEADLINE_MS / 1000}s limit.`
+    );
+    error.result = { items };
+    throw error;
+  }
+  return items;
+}
+
+function collectMediaNodes(rootDocument) {
+  if (!rootDocument?.body) return [];
+  const found = new Set();
+  rootDocument.body.querySelectorAll(AUDIT_MEDIA_SELECTOR).forEach((node) => {
+    const tagName = node.tagName.toLowerCase();
+    if (tagName === 'svg' && node.parentElement?.closest('svg')) return;
+    if (tagName === 'video' && node.closest(BACKGROUND_VIDEO_SELECTOR)) return;
+    found.add(node);
+  });
+  rootDocument.body.querySelectorAll('*').forEach((node) => {
+    if (found.has(node) || node.closest('svg')) return;
+    if (hasBackgroundImage(node)) found.add(node);
+  });
+  return Array.from(found);
+}
 
-  const safe = {
-    id: source.id ?? source.elementId ?? null,
-    elementId: source.elementId ?? source.id ?? null,
-    label: source.label ?? source.name ?? null,
-    selector: source.selector ?? null,
-    tagName: source.tagName ?? null
+async function describeAuditNode(node, session) {
+  const auditId = `riaa-audit-${++auditSequence}`;
+  auditNodes.set(auditId, node);
+  const kind = getMediaKind(node);
+  const measurement = await measureBreakpointWidths(node, session);
+  const intrinsic = await readIntrinsicSize(node, kind, session);
+  const background = kind === 'background' ? describeBackground(node) : null;
+  if (background) applyBackgroundPaintSizes(measurement, intrinsic, background);
+  return {
+    auditId,
+    kind,
+    tagName: node.tagName.toLowerCase(),
+    id: node.id || null,
+    selector: buildSelector(node),
+    alt: node.getAttribute('alt'),
+    ...readObjectFit(node),
+    background,
+    computedWidths: measurement.widths,
+    computedHeights: measurement.heights,
+    hiddenBreakpoints: measurement.hidden,
+    aboveFoldBreakpoints: measurement.aboveFold,
+    lcpBreakpoints: measurement.lcp,
+    lcpCandidate: measurement.lcp.length > 0,
+    ...readLoadingAttributes(node),
+    measurementMethod: measurement.method,
+    ...intrinsic
   };
+}
+
+function getMediaKind(node) {
+  const tagName = node?.tagName?.toLowerCase();
+  if (tagName === 'img' || tagName === 'picture') return 'image';
+  if (tagName === 'video' || node?.matches?.(BACKGROUND_VIDEO_SELECTOR)) return 'video';
+  if (tagName === 'svg') return 'svg';
+  if (tagName === 'canvas') return 'canvas';
+  if (hasBackgroundImage(node)) return 'background';
+  return 'element';
+}
 
-  const sanitizedWidths = sanitizeWidths(source.widths);
-  if (sanitizedWidths) {
-    safe.widths = sanitizedWidths;
+async function readAssetInfo(node, session) {
+  const kind = node ? getMediaKind(node) : 'element';
+  const intrinsic = await readIntrinsicSize(node, kind, session);
+  const url = intrinsic.currentSrc || intrinsic.src;
+  // Videos stream in byte ranges, so resource timing often only covers the first chunk.
+  const transferSize =
+    kind === 'video'
+      ? (await fetchTransferSize(url)) ?? intrinsic.transferSize
+      : intrinsic.transferSize ?? (await fetchTransferSize(url));
+  const content = await sampleImageContent(node, kind, kind === 'video' ? intrinsic.video?.poster : url);
+  return { kind, ...intrinsic, transferSize, content };
+}
+
+async function sampleImageContent(node, kind, url) {
+  if (kind !== 'image' && kind !== 'background' && !(kind === 'video' && url)) return null;
+  const sourceFormat = inferFormatFromUrl(url);
+  if (sourceFormat === 'svg') {
+    return { sampled: false, sourceFormat, reason: 'vector' };
   }
 
-  return safe;
+  try {
+    const image = kind === 'image' && node.tagName.toLowerCase() === 'picture' ? node.querySelector('img') : node;
+    let pixels = kind === 'image' && image?.complete ? readImagePixels(image) : null;
+    if (!pixels && url) {
+      const corsImage = await loadCorsImage(url);
+      pixels = corsImage ? readImagePixels(corsImage) : null;
+    }
+    if (!pixels) {
+      return { sampled: false, sourceFormat, reason: 'unreadable' };
+    }
+    return { sampled: true, sourceFormat, ...analyzePixels(pixels) };
+  } catch (error) {
+    logWarn('Unable to sample image content.', error);
+    return { sampled: false, sourceFormat, reason: 'error' };
+  }
 }
 
-function sanitizeWidths(widths) {
-  if (!widths || typeof widths !== 'object') return null;
-  const sanitized = {};
-  ['desktop', 'tablet', 'mobile'].forEach((key) => {
-    const value = toPositiveNumber(widths[key]);
-    if (value) {
-      sanitized[key] = value;
+function readImagePixels(image) {
+  const width = toPositiveNumber(image?.naturalWidth);
+  const height = toPositiveNumber(image?.naturalHeight);
+  if (!width || !height) return null;
+
+  const scale = Math.min(1, CONTENT_SAMPLE_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  if (!context) return null;
+  context.imageSmoothingEnabled = false;
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  try {
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+  } catch (error) {
+    logDebug('Canvas is tainted by a cross-origin image.', error);
+    return null;
+  }
+}
+
+function loadCorsImage(src) {
+  if (!src || (!src.startsWith('data:') && !/^https?:/i.test(src))) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    const timer = window.setTimeout(() => finish(null), IMAGE_LOAD_TIMEOUT);
+    function finish(result) {
+      window.clearTimeout(timer);
+      image.onload = null;
+      image.onerror = null;
+      resolve(result);
     }
+    image.onload = () => finish(image);
+    image.onerror = () => finish(null);
+    image.src = src;
   });
-  return Object.keys(sanitized).length ? sanitized : null;
 }
 
-function handlePanelResizeRequest(size) {
-  const normalized = sanitizePanelSize(size);
-  if (!normalized) return;
-  runtimePromise.then((runtime) => {
-    if (!runtime) {
-      logWarn('Unable to resize panel; runtime unavailable.');
-      return;
+function analyzePixels({ data, width, height }) {
+  const colors = new Set();
+  let hasAlpha = false;
+  let matchingNeighbours = 0;
+  let comparisons = 0;
+
+  for (let y = 0; y < height; y += 1) {
+    let previousKey = null;
+    for (let x = 0; x < width; x += 1) {
+      const index = (y * width + x) * 4;
+      if (data[index + 3] < ALPHA_THRESHOLD) hasAlpha = true;
+      const key = ((data[index] >> 3) << 10) | ((data[index + 1] >> 3) << 5) | (data[index + 2] >> 3);
+      colors.add(key);
+      if (previousKey !== null) {
+        comparisons += 1;
+        if (key === previousKey) matchingNeighbours += 1;
+      }
+      previousKey = key;
+    }
+  }
+
+  return {
+    hasAlpha,
+    colorCount: colors.size,
+    flatRatio: comparisons ? Number((matchingNeighbours / comparisons).toFixed(3)) : 1,
+    sampleWidth: width,
+    sampleHeight: height
+  };
+}
+
+function inferFormatFromUrl(url) {
+  if (!url) return null;
+  const dataMatch = /^data:image\/([a-z0-9.+-]+)/i.exec(url);
+  if (dataMatch) {
+    const subtype = dataMatch[1].toLowerCase();
+    return subtype.startsWith('svg') ? 'svg' : FORMAT_EXTENSIONS[subtype] ?? subtype;
+  }
+  try {
+    const extension = new URL(url, document.baseURI).pathname.split('.').pop()?.toLowerCase();
+    return FORMAT_EXTENSIONS[extension] ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readIntrinsicSize(node, kind, session) {
+  const empty = { naturalWidth: null, naturalHeight: null, src: null, currentSrc: null, transferSize: null };
+  try {
+    if (kind === 'image') {
+      const image = node.tagName.toLowerCase() === 'picture' ? node.querySelector('img') : node;
+      if (!image) return empty;
+      const currentSrc = image.currentSrc || image.src || null;
+      return {
+        naturalWidth: toPositiveNumber(image.naturalWidth),
+        naturalHeight: toPositiveNumber(image.naturalHeight),
+        src: image.src || null,
+        currentSrc,
+        transferSize: getResourceTransferSize(currentSrc)
+      };
     }
-    requestExtensionPanelSize(runtime, normalized);
+    if (kind === 'video') {
+      const video = node.tagName.toLowerCase() === 'video' ? node : node.querySelector('video');
+      if (!video) return empty;
+      await waitForVideoMetadata(video);
+      const currentSrc = video.currentSrc || video.src || null;
+      return {
+        naturalWidth: toPositiveNumber(video.videoWidth),
+        naturalHeight: toPositiveNumber(video.videoHeight),
+        src: video.src || video.querySelector('source')?.src || null,
+        currentSrc,
+        transferSize: getResourceTransferSize(currentSrc),
+        video: readVideoInfo(node, video)
+      };
+    }
+    if (kind === 'canvas') {
+      return {
+        ...empty,
+        naturalWidth: toPositiveNumber(node.width),
+        naturalHeight: toPositiveNumber(node.height),
+        canvas: readCanvasInfo(node)
+      };
+    }
+    if (kind === 'svg') {
+      return { ...empty, svg: readSvgInfo(node, session) };
+    }
+    if (kind === 'background') {
+      const src = getPrimaryBackgroundLayer(node)?.url;
+      if (!src) return empty;
+      const dimensions = await loadImageDimensions(src);
+      return { ...dimensions, src, currentSrc: src, transferSize: getResourceTransferSize(src) };
+    }
+  } catch (error) {
+    logWarn('Unable to read intrinsic media size.', error);
+  }
+  return empty;
+}
+
+function readVideoInfo(node, video) {
+  const background = node.matches?.(BACKGROUND_VIDEO_SELECTOR) ?? false;
+  const dataset = background ? node.dataset : {};
+  const duration = Number(video.duration);
+  return {
+    background,
+    duration: Number.isFinite(duration) && duration > 0 ? Number(duration.toFixed(2)) : null,
+    poster: video.poster || dataset.posterUrl || null,
+    autoplay: video.autoplay || dataset.autoplay === 'true',
+    muted: video.muted || video.hasAttribute('muted'),
+    loop: video.loop || dataset.loop === 'true',
+    preload: video.getAttribute('preload'),
+    sources: Array.from(video.querySelectorAll('source')).map((source) => ({
+      src: source.src || null,
+      type: source.type || null,
+      media: source.media || null
+    }))
+  };
+}
+
+function readSvgInfo(node, session) {
+  const markup = new XMLSerializer().serializeToString(node);
+  const pathDataBytes = Array.from(node.querySelectorAll('path, polygon, polyline')).reduce(
+    (total, shape) => total + (shape.getAttribute('d') ?? shape.getAttribute('points') ?? '').length,
+    0
+  );
+  const embeddedImages = Array.from(node.querySelectorAll('image')).map((image) => {
+    const href = image.getAttribute('href') || image.getAttributeNS(XLINK_NAMESPACE, 'href') || '';
+    const inline = href.startsWith('data:');
+    const rect = image.getBoundingClientRect();
+    return {
+      href: inline ? null : href || null,
+      inline,
+      bytes: inline ? getDataUrlSize(href) : null,
+      renderWidth: toPositiveNumber(rect.width),
+      renderHeight: toPositiveNumber(rect.height)
+    };
   });
+  if (!session.svgGroups) session.svgGroups = groupSvgsByMarkupLength();
+  const occurrences = (session.svgGroups.get(node.outerHTML.length) ?? [node]).filter(
+    (other) => other === node || other.isEqualNode(node)
+  ).length;
+  return {
+    markupBytes: new TextEncoder().encode(markup).length,
+    nodeCount: node.querySelectorAll('*').length + 1,
+    pathDataBytes,
+    embeddedImages,
+    occurrences,
+    viewBox: node.getAttribute('viewBox'),
+    usesCurrentColor: /currentcolor/i.test(markup),
+    hasScripts: Boolean(node.querySelector('script'))
+  };
+}
+
+// Identical SVGs serialize to the same length, so only SVGs within one group are compared node by node.
+// The groups are built once per measurement session, which keeps an audit of many icons linear.
+function groupSvgsByMarkupLength() {
+  const groups = new Map();
+  document.querySelectorAll('svg').forEach((svg) => {
+    const length = svg.outerHTML.length;
+    if (!groups.has(length)) groups.set(length, []);
+    groups.get(length).push(svg);
+  });
+  return groups;
+}
+
+function readCanvasInfo(node) {
+  const rect = node.getBoundingClientRect();
+  return {
+    backingWidth: toPositiveNumber(node.width),
+    backingHeight: toPositiveNumber(node.height),
+    cssWidth: toPositiveNumber(rect.width),
+    cssHeight: toPositiveNumber(rect.height),
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+}
+
+function waitForVideoMetadata(video) {
+  if (video.readyState >= 1 || video.preload === 'none') return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = window.setTimeout(finish, IMAGE_LOAD_TIMEOUT);
+    function finish() {
+      window.clearTimeout(timer);
+      video.removeEventListener('loadedmetadata', finish);
+      video.removeEventListener('error', finish);
+      resolve();
+    }
+    video.addEventListener('loadedmetadata', finish);
+    video.addEventListener('error', finish);
+  });
+}
+
+async function fetchTransferSize(url) {
+  if (!url) return null;
+  if (url.startsWith('data:')) {
+    return getDataUrlSize(url);
+  }
+  if (!/^https?:/i.test(url) || typeof fetch !== 'function') return null;
+
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = window.setTimeout(() => controller?.abort(), IMAGE_LOAD_TIMEOUT);
+  try {
+    const response = await fetch(url, { method: 'HEAD', cache: 'force-cache', signal: controller?.signal });
+    if (!response.ok) return null;
+    return toPositiveNumber(response.headers.get('content-length'));
+  } catch (error) {
+    logDebug('Unable to fetch media size (likely CORS).', url, error);
+    return null;
+  } finally {
+    window.clearTimeout(timer);
+  }
+}
+
+function getDataUrlSize(url) {
+  const commaIndex = url.indexOf(',');
+  const data = url.slice(commaIndex + 1);
+  if (/;base64$/i.test(url.slice(0, commaIndex))) {
+    return toPositiveNumber(Math.floor((data.length * 3) / 4));
+  }
+  try {
+    return toPositiveNumber(decodeURIComponent(data).length);
+  } catch (error) {
+    return toPositiveNumber(data.length);
+  }
+}
+
+function loadImageDimensions(src) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    const timer = window.setTimeout(() => finish(null, null), IMAGE_LOAD_TIMEOUT);
+    function finish(width, height) {
+      window.clearTimeout(timer);
+      image.onload = null;
+      image.onerror = null;
+      resolve({ naturalWidth: toPositiveNumber(width), naturalHeight: toPositiveNumber(height) });
+    }
+    image.onload = () => finish(image.naturalWidth, image.naturalHeight);
+    image.onerror = () => finish(null, null);
+    image.src = src;
+  });
+}
+
+function getResourceTransferSize(src) {
+  if (!src || typeof performance?.getEntriesByName !== 'function') return null;
+  try {
+    const absolute = new URL(src, document.baseURI).href;
+    const entry = performance.getEntriesByName(absolute).find((item) => item.entryType === 'resource');
+    return toPositiveNumber(entry?.encodedBodySize) ?? toPositiveNumber(entry?.transferSize);
+  } catch (error) {
+    logWarn('Unable to read resource timing for media.', error);
+    return null;
+  }
+}
+
+function requireRequestNode(target, auditId) {
+  const node = auditId ? auditNodes.get(auditId) : findTargetNode(target);
+  if (!node || !node.isConnected) {
+    throw createProtocolError(PROTOCOL_ERRORS.notFound, 'The element is no longer on the canvas.');
+  }
+  return node;
+}
+
+function findTargetNode(target) {
+  if (!target || typeof target !== 'object') return null;
+  if (typeof target.id === 'string' && target.id) {
+    const matchById = document.getElementById(target.id);
+    if (matchById) return matchById;
+  }
+  if (typeof target.selector === 'string' && target.selector) {
+    try {
+      return document.querySelector(target.selector);
+    } catch (error) {
+      logWarn('Unable to query selector for panel request.', error);
+    }
+  }
+  return null;
+}
+
+async function measureElementTarget(target) {
+  const node = findTargetNode(target);
+  if (!node) throw createProtocolError(PROTOCOL_ERRORS.notFound, 'The element is no longer on the canvas.');
+  const session = createMeasurementSession();
+  try {
+    return await normalizeSelection({ domNode: node, selector: target.selector ?? null }, session);
+  } finally {
+    session.dispose();
+  }
+}
+
+async function focusCanvasNode(node) {
+  node.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  flashHighlight(node);
+
+  const runtime = await runtimePromise;
+  if (typeof runtime?.setSelectedElement !== 'function') return false;
+  try {
+    const element = await findDesignerElement(node);
+    if (!element) return false;
+    await runtime.setSelectedElement(element);
+    return true;
+  } catch (error) {
+    logWarn('Unable to select element in the Designer.', error);
+    return false;
+  }
+}
+
+async function findDesignerElement(node) {
+  const runtime = await runtimePromise;
+  if (typeof runtime?.getAllElements !== 'function') return null;
+  const elements = (await runtime.getAllElements()) || [];
+  const match = elements
+    .map((element) => ({ element, domNode: resolveDomNode(element) }))
+    .filter(({ domNode }) => domNode === node || domNode?.contains?.(node))
+    .reduce((best, candidate) => (!best || best.domNode.contains(candidate.domNode) ? candidate : best), null);
+  return match?.element ?? null;
+}
+
+async function applyElementChanges(target, changes, commit, requestedId) {
+  const node = findTargetNode(target);
+  const element = node ? await findDesignerElement(node) : null;
+  if (!element) throw createProtocolError(PROTOCOL_ERRORS.notFound, 'The element is no longer on the canvas.');
+  if (typeof element.setCustomAttribute !== 'function' || element.customAttributes === false) {
+    throw createProtocolError(PROTOCOL_ERRORS.unsupportedMethod, 'This element does not support custom attributes.');
+  }
+
+  const diff = await readElementDiff(element, node, changes);
+  if (!commit) return { diff };
+  const pending = diff.filter((entry) => entry.before !== entry.after);
+  const values = pending.map(({ name, after }) => ({ name, value: after }));
+  const previousValues = pending.map(({ name, stored }) => ({ name, value: stored }));
+  // A change that undo could not take back is refused before anything is written.
+  assertWritableValues(element, previousValues);
+  // The panel sends its own id, and the entry is recorded before writing, so a panel that timed out
+  // waiting for this answer can still undo.
+  const applyId = typeof requestedId === 'string' && requestedId ? requestedId : `riaa-apply-${++applySequence}`;
+  appliedChanges.set(applyId, { element, pending });
+  try {
+    await writeElementValues(element, values, previousValues);
+  } catch (error) {
+    if (error.code !== PROTOCOL_ERRORS.partial) appliedChanges.delete(applyId);
+    throw error;
+  }
+  return { diff, applyId };
+}
+
+async function undoAppliedChange(applyId) {
+  const change = appliedChanges.get(applyId);
+  if (!change) throw createProtocolError(PROTOCOL_ERRORS.notFound, 'There is nothing to undo.');
+  await writeElementValues(
+    change.element,
+    change.pending.map(({ name, stored }) => ({ name, value: stored })),
+    change.pending.map(({ name, after }) => ({ name, value: after }))
+  );
+  appliedChanges.delete(applyId);
+  return { diff: change.pending.map(({ name, before, after }) => ({ name, before: after, after: before })) };
+}
+
+// `before` is what the canvas renders, including attributes Webflow adds itself; `stored` is the
+// element's own custom attribute, which is what undo restores.
+async function readElementDiff(element, node, changes) {
+  const image = node?.tagName?.toLowerCase() === 'picture' ? node.querySelector('img') : node;
+  const diff = [];
+  for (const [name, after] of Object.entries(changes?.attributes ?? {})) {
+    if (typeof after !== 'string') continue;
+    const stored = typeof element.getCustomAttribute === 'function' ? await element.getCustomAttribute(name) : null;
+    diff.push({ name, before: stored ?? image?.getAttribute?.(name) ?? null, after, stored: stored ?? null });
+  }
+  if (typeof changes?.alt === 'string') {
+    if (typeof element.setAltText !== 'function') {
+      throw createProtocolError(PROTOCOL_ERRORS.unsupportedMethod, 'This element does not support alt text.');
+    }
+    const stored = typeof element.getAltText === 'function' ? await element.getAltText() : image?.getAttribute?.('alt');
+    diff.push({ name: 'alt', before: stored ?? null, after: changes.alt, stored: stored ?? '' });
+  }
+  return diff;
+}
+
+// Writes `values` in order. When a write fails, the values already written are put back from
+// `previousValues`; the error code is `partial` when even that fails.
+async function writeElementValues(element, values, previousValues) {
+  assertWritableValues(element, values);
+  const written = new Set();
+  try {
+    for (const entry of values) {
+      await writeElementValue(element, entry);
+      written.add(entry.name);
+    }
+    if (typeof element.save === 'function') await element.save();
+  } catch (error) {
+    logWarn('Element update failed; rolling back.', error);
+    const rollback = previousValues.filter(({ name }) => written.has(name)).reverse();
+    if (await rollbackElementValues(element, rollback)) {
+      throw createProtocolError(
+        PROTOCOL_ERRORS.failed,
+        `Unable to update the element: ${error?.message || 'the Designer refused the change'}. Nothing was changed.`
+      );
+    }
+    throw createProtocolError(
+      PROTOCOL_ERRORS.partial,
+      'Unable to update the element, and some values could not be put back. Use Undo to try again.'
+    );
+  }
+}
+
+async function writeElementValue(element, { name, value }) {
+  if (name === 'alt') {
+    await element.setAltText(value ?? '');
+  } else if (value === null) {
+    await element.removeCustomAttribute(name);
+  } else {
+    await element.setCustomAttribute(name, value);
+  }
+}
+
+async function rollbackElementValues(element, values) {
+  try {
+    for (const entry of values) await writeElementValue(element, entry);
+    if (typeof element.save === 'function') await element.save();
+    return true;
+  } catch (error) {
+    logWarn('Unable to roll back a partial element update.', error);
+    return false;
+  }
+}
+
+function assertWritableValues(element, values) {
+  const removes = values.some(({ name, value }) => name !== 'alt' && value === null);
+  if (removes && typeof element.removeCustomAttribute !== 'function') {
+    throw createProtocolError(
+      PROTOCOL_ERRORS.unsupportedMethod,
+      'This element cannot remove custom attributes, so the change could not be undone.'
+    );
+  }
+}
+
+function flashHighlight(node) {
+  // Overlapping highlights share the outline saved by the first one, and only the last to end restores it.
+  const highlight = highlightedNodes.get(node) ?? {
+    outline: node.style.outline,
+    outlineOffset: node.style.outlineOffset,
+    active: 0
+  };
+  highlight.active += 1;
+  highlightedNodes.set(node, highlight);
+  // The outline is not a layout edit, so keep it from triggering a re-measure.
+  ownStyleWrites.add(node);
+  node.style.outline = '3px solid #d946ef';
+  node.style.outlineOffset = '2px';
+  window.setTimeout(() => {
+    highlight.active -= 1;
+    if (highlight.active > 0) return;
+    highlightedNodes.delete(node);
+    node.style.outline = highlight.outline;
+    node.style.outlineOffset = highlight.outlineOffset;
+    window.setTimeout(() => {
+      if (!highlightedNodes.has(node)) ownStyleWrites.delete(node);
+    }, 0);
+  }, AUDIT_HIGHLIGHT_DURATION);
+}
+
+async function handlePanelResizeRequest(size) {
+  const normalized = sanitizePanelSize(size);
+  if (!normalized) throw createProtocolError(PROTOCOL_ERRORS.invalidParams, 'Panel size needs a width and height.');
+  const runtime = await runtimePromise;
+  if (!runtime) {
+    logWarn('Unable to resize panel; runtime unavailable.');
+    return false;
+  }
+  return requestExtensionPanelSize(runtime, normalized);
 }
 
 function sanitizePanelSize(size) {
@@ -498,21 +1682,23 @@ function sanitizePanelSize(size) {
 }
 
 function requestExtensionPanelSize(runtime, size) {
-  if (!runtime || !size) return;
+  if (!runtime || !size) return false;
   try {
     if (typeof runtime.setExtensionSize === 'function') {
       const result = runtime.setExtensionSize(size);
       if (result && typeof result.then === 'function') {
         result.catch(() => {});
       }
-      return;
+      return true;
     }
     if (typeof runtime.resize === 'function') {
       runtime.resize(size);
+      return true;
     }
   } catch (error) {
     logWarn('Unable to request panel resize.', error);
   }
+  return false;
 }
 
 function waitForRuntime() {
@@ -543,44 +1729,34 @@ function getRuntime() {
   return window.webflow || window.Webflow || null;
 }
 
+async function readRuntimeSelection(runtime) {
+  if (typeof runtime?.getSelectedElements === 'function') {
+    return (await runtime.getSelectedElements()) || [];
+  }
+  if (typeof runtime?.getSelectedElement === 'function') {
+    return (await runtime.getSelectedElement()) ?? null;
+  }
+  return null;
+}
+
 async function fetchCurrentSelection() {
   try {
-    const runtime = await runtimePromise;
-    if (!runtime) {
-      if (DEV_ENVIRONMENT) {
-        maybeActivateDevMock('runtime-missing');
-        return createDevSelectionState();
-      }
-      return createEmptySelectionState();
-    }
-    if (typeof runtime.getSelectedElements === 'function') {
-      const selectionArray = await runtime.getSelectedElements();
-      logDebug('getSelectedElements returned.', selectionArray);
-      return normalizeSelectionState(selectionArray || []);
-    }
-    if (typeof runtime.getSelectedElement === 'function') {
-      const selection = await runtime.getSelectedElement();
-      logDebug('getSelectedElement returned.', selection);
-      return normalizeSelectionState(selection ?? null);
-    }
-    if (DEV_ENVIRONMENT) {
-      maybeActivateDevMock('runtime-incomplete');
-      return createDevSelectionState();
-    }
-    return createEmptySelectionState();
+    const rawSelection = await readRuntimeSelection(await runtimePromise);
+    logDebug('Runtime selection read.', rawSelection);
+    return await normalizeSelectionState(rawSelection);
   } catch (error) {
     logWarn('Unable to fetch current selection from Webflow.', error);
-    if (DEV_ENVIRONMENT) {
-      maybeActivateDevMock('runtime-error');
-      return createDevSelectionState();
-    }
-    return createEmptySelectionState();
+    return selectionCore.createEmptySelectionState();
   }
 }
 
-async function fetchAndBroadcastSelection() {
-  const selection = await fetchCurrentSelection();
-  broadcastSelection(selection);
+async function fetchAndBroadcastSelection(runtime) {
+  try {
+    await updateSelection(await readRuntimeSelection(runtime));
+  } catch (error) {
+    logWarn('Unable to fetch current selection from Webflow.', error);
+    broadcastSelection(selectionCore.createEmptySelectionState());
+  }
 }
 
 function subscribeToSelectionEvents(runtime) {
@@ -603,25 +1779,22 @@ function subscribeToSelectionEvents(runtime) {
   attach('on', runtime.on);
 }
 
+// Fallback for runtimes that never deliver selection events; stops at the first event.
 function startSelectionPolling(runtime) {
-  if (selectionPollTimer) return;
+  if (selectionPollTimer || selectionEventsSeen) return;
   const hasElementsApi =
     typeof runtime?.getSelectedElements === 'function' || typeof runtime?.getSelectedElement === 'function';
   if (!hasElementsApi) return;
 
   selectionPollTimer = window.setInterval(async () => {
+    if (document.hidden) return;
     try {
-      let rawSelection = null;
-      if (typeof runtime.getSelectedElements === 'function') {
-        rawSelection = await runtime.getSelectedElements();
-      } else if (typeof runtime.getSelectedElement === 'function') {
-        rawSelection = await runtime.getSelectedElement();
-      }
-      const normalized = normalizeSelectionState(rawSelection || []);
-      const signature = serializeSelectionState(normalized);
+      const rawSelection = await readRuntimeSelection(runtime);
+      const unmeasured = await normalizeSelectionState(rawSelection, { measure: false });
+      const signature = selectionCore.getSelectionSignature(unmeasured);
       if (signature !== lastPolledSignature) {
         lastPolledSignature = signature;
-        broadcastSelection(normalized);
+        await updateSelection(rawSelection);
       }
     } catch (error) {
       logWarn('Selection polling failed.', error);
@@ -629,38 +1802,39 @@ function startSelectionPolling(runtime) {
   }, SELECTION_POLL_INTERVAL);
 }
 
-function serializeSelectionState(state) {
-  if (!state) return 'null';
-  try {
-    return JSON.stringify({
-      count: state.elements?.length ?? 0,
-      ids: (state.elements || []).map((element) => element.id ?? element.elementId ?? element.selector ?? null),
-      selector: state.primary?.selector ?? null,
-      tagName: state.primary?.tagName ?? null,
-      devMock: Boolean(state.devMock)
-    });
-  } catch (error) {
-    logWarn('Unable to serialize selection state.', error);
-    return String(Math.random());
-  }
+function stopSelectionPolling() {
+  if (!selectionPollTimer) return;
+  window.clearInterval(selectionPollTimer);
+  selectionPollTimer = null;
+  logDebug('Selection events are arriving; polling stopped.');
 }
 
+// Selection payload handling is shared with the panel through an ES module, which this classic
+// script can only load dynamically. The panel listener starts right away; the runtime is only wired up
+// once the module is in.
+const selectionCoreLoad = import(selectionCoreUrl).then((module) => {
+  selectionCore = module;
+  return module;
+});
 initSelectionBridge();
 
-function getCurrentScriptOrigin() {
+// currentScript is null when the script is injected late; the Designer page has many scripts, so look
+// for this one by name before settling for the last one.
+function getCurrentScriptUrl() {
+  if (document.currentScript?.src) return document.currentScript.src;
+  const scripts = Array.from(document.getElementsByTagName('script')).filter((script) => script.src);
+  const own = scripts.filter((script) => /\/webflow-app\.js(?:[?#]|$)/.test(script.src)).pop();
+  return (own ?? scripts.pop())?.src || null;
+}
+
+function getUrlOrigin(url) {
+  if (!url) return null;
   try {
-    if (document.currentScript?.src) {
-      return new URL(document.currentScript.src).origin;
-    }
-    const scripts = document.getElementsByTagName('script');
-    const lastScript = scripts[scripts.length - 1];
-    if (lastScript?.src) {
-      return new URL(lastScript.src).origin;
-    }
+    return new URL(url).origin;
   } catch (error) {
     logWarn('Unable to derive script origin.', error);
+    return null;
   }
-  return null;
 }
 
 function isTrustedPanelMessage(event) {
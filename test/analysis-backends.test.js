@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BACKEND_ERRORS,
+  DEFAULT_RETRIES,
+  createBackendProfile,
+  isValidHeaderName,
+  loadBackendProfiles,
+  requestAnalysis,
+  sanitizeBackendProfile,
+  saveBackendProfiles
+} from '../public/analysis-backends.js';
+
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key)
+  };
+}
+
+// Retry waits run on the next microtask; the request timeout never fires.
+function createTimers() {
+  return {
+    setTimeout: (callback, delay) => {
+      if (delay < 10000) queueMicrotask(callback);
+      return delay;
+    },
+    clearTimeout: () => {}
+  };
+}
+
+beforeEach(() => {
+  globalThis.window = { localStorage: createStorage(), sessionStorage: createStorage(), ...createTimers() };
+});
+
+describe('isValidHeaderName', () => {
+  it('accepts header tokens and the empty default', () => {
+    assert.equal(isValidHeaderName(''), true);
+    assert.equal(isValidHeaderName('Authorization'), true);
+    assert.equal(isValidHeaderName('x-api-key'), true);
+  });
+
+  it('rejects spaces, separators and non-ASCII names', () => {
+    assert.equal(isValidHeaderName('x api key'), false);
+    assert.equal(isValidHeaderName('x-api-key:'), false);
+    assert.equal(isValidHeaderName('clé'), false);
+  });
+
+  it('is applied when a profile is sanitized', () => {
+    assert.equal(sanitizeBackendProfile({ apiKeyHeader: 'x api key' }).apiKeyHeader, '');
+    assert.equal(sanitizeBackendProfile({ apiKeyHeader: ' x-api-key ' }).apiKeyHeader, 'x-api-key');
+  });
+});
+
+describe('backend profile storage', () => {
+  it('keeps API keys out of localStorage unless the profile remembers them', () => {
+    const session = createBackendProfile({ id: 'session', apiKey: 'secret-1' });
+    const remembered = createBackendProfile({ id: 'remembered', apiKey: 'secret-2', rememberApiKey: true });
+    assert.equal(saveBackendProfiles({ activeId: 'session', profiles: [session, remembered] }), true);
+
+    const stored = window.localStorage.getItem('riaa:backends');
+    assert.equal(stored.includes('secret-1'), false);
+    assert.equal(stored.includes('secret-2'), true);
+
+    const loaded = loadBackendProfiles();
+    assert.equal(loaded.activeId, 'session');
+    assert.deepEqual(
+      loaded.profiles.map((profile) => [profile.id, profile.apiKey, profile.rememberApiKey]),
+      [
+        ['session', 'secret-1', false],
+        ['remembered', 'secret-2', true]
+      ]
+    );
+  });
+
+  it('drops session keys with the session', () => {
+    const profile = createBackendProfile({ id: 'session', apiKey: 'secret-1' });
+    saveBackendProfiles({ activeId: 'session', profiles: [profile] });
+    window.sessionStorage = createStorage();
+    assert.equal(loadBackendProfiles().profiles[0].apiKey, '');
+  });
+
+  it('keeps the stored key of profiles saved before the option existed', () => {
+    const legacy = { id: 'legacy', name: 'Legacy', adapter: 'analyze', url: '/analyze', apiKey: 'secret-3' };
+    window.localStorage.setItem('riaa:backends', JSON.stringify({ activeId: 'legacy', profiles: [legacy] }));
+    const [profile] = loadBackendProfiles().profiles;
+    assert.equal(profile.apiKey, 'secret-3');
+    assert.equal(profile.rememberApiKey, true);
+  });
+});
+
+describe('requestAnalysis retries', () => {
+  const profile = createBackendProfile({ id: 'test', name: 'Test backend', url: 'https://backend.test/analyze' });
+  const answer = { universalUploadSize: 1600, desktopRenderSize: 800, mobileRenderSize: 360 };
+  const originalFetch = globalThis.fetch;
+  let calls;
+
+  function respondWith(...responses) {
+    calls = 0;
+    globalThis.fetch = async () => {
+      const response = responses[Math.min(calls, responses.length - 1)];
+      calls += 1;
+      if (response instanceof Error) throw response;
+      return { ok: response.status < 400, status: response.status, json: async () => response.body };
+    };
+  }
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('retries network errors with doubling waits and then gives up', async () => {
+    respondWith(new TypeError('Failed to fetch'));
+    const delays = [];
+    await assert.rejects(
+      requestAnalysis(profile, {}, { onRetry: ({ delay }) => delays.push(delay) }),
+      (error) => error.code === BACKEND_ERRORS.network
+    );
+    assert.equal(calls, DEFAULT_RETRIES + 1);
+    [500, 1000, 2000].forEach((base, index) => {
+      assert.ok(delays[index] >= base && delays[index] <= base * 1.25, `wait ${index + 1} was ${delays[index]}ms`);
+    });
+  });
+
+  it('retries 5xx answers until one succeeds', async () => {
+    respondWith({ status: 503 }, { status: 502 }, { status: 200, body: answer });
+    const result = await requestAnalysis(profile, {});
+    assert.equal(calls, 3);
+    assert.equal(result.universalUploadSize, 1600);
+    assert.equal(result.source, 'backend');
+  });
+
+  it('does not retry 4xx or invalid answers', async () => {
+    respondWith({ status: 401 });
+    await assert.rejects(requestAnalysis(profile, {}), (error) => error.status === 401);
+    assert.equal(calls, 1);
+
+    respondWith({ status: 200, body: { universalUploadSize: 'big' } });
+    await assert.rejects(requestAnalysis(profile, {}), (error) => error.code === BACKEND_ERRORS.invalidResponse);
+    assert.equal(calls, 1);
+  });
+
+  it('stops waiting for the next attempt when the signal is aborted', async () => {
+    respondWith(new TypeError('Failed to fetch'));
+    const controller = new AbortController();
+    await assert.rejects(
+      requestAnalysis(profile, {}, { signal: controller.signal, onRetry: () => controller.abort() }),
+      (error) => error.code === BACKEND_ERRORS.cancelled
+    );
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,143 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKEND_ERRORS } from '../public/analysis-backends.js';
+import { QUEUE_RETRY_BASE_MS, QUEUE_RETRY_MAX_MS, createAnalysisQueue } from '../public/analysis-queue.js';
+
+// Timers are recorded instead of run, so each test replays the queue by calling flush().
+let timers;
+
+beforeEach(() => {
+  timers = new Map();
+  let nextId = 0;
+  globalThis.window = {
+    setTimeout: (callback, delay) => {
+      nextId += 1;
+      timers.set(nextId, delay);
+      return nextId;
+    },
+    clearTimeout: (id) => timers.delete(id)
+  };
+});
+
+function createError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function pendingDelays() {
+  return [...timers.values()];
+}
+
+describe('createAnalysisQueue', () => {
+  it('schedules a replay when a request is queued', () => {
+    const queue = createAnalysisQueue({ send: async () => ({}), onAnswer: () => {} });
+    queue.enqueue({ signature: 'a' });
+    queue.enqueue({ signature: 'a' });
+    assert.equal(queue.size, 1);
+    assert.deepEqual(pendingDelays(), [QUEUE_RETRY_BASE_MS]);
+  });
+
+  it('hands every answer to onAnswer and empties the queue', async () => {
+    const answers = [];
+    const settled = [];
+    const queue = createAnalysisQueue({
+      send: async (entry) => ({ universalUploadSize: entry.width }),
+      onAnswer: (entry, answer) => answers.push([entry.signature, answer.universalUploadSize]),
+      onSettled: (sent) => settled.push(sent)
+    });
+    queue.enqueue({ signature: 'a', width: 800 });
+    queue.enqueue({ signature: 'b', width: 1600 });
+    assert.equal(await queue.flush(), 2);
+    assert.deepEqual(answers, [
+      ['a', 800],
+      ['b', 1600]
+    ]);
+    assert.deepEqual(settled, [2]);
+    assert.equal(queue.size, 0);
+    assert.deepEqual(pendingDelays(), []);
+  });
+
+  it('doubles the wait while the backend stays unreachable, up to the maximum', async () => {
+    const queue = createAnalysisQueue({
+      send: async () => {
+        throw createError(BACKEND_ERRORS.network);
+      },
+      onAnswer: () => {}
+    });
+    queue.enqueue({ signature: 'a' });
+    const delays = [];
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await queue.flush();
+      delays.push(...pendingDelays());
+    }
+    assert.deepEqual(delays, [60000, 120000, 240000, QUEUE_RETRY_MAX_MS, QUEUE_RETRY_MAX_MS]);
+    assert.equal(queue.size, 1);
+  });
+
+  it('drops requests the backend refused and resets the wait after an answer', async () => {
+    const failures = [];
+    let unreachable = true;
+    const queue = createAnalysisQueue({
+      send: async (entry) => {
+        if (unreachable) throw createError(BACKEND_ERRORS.network);
+        if (entry.signature === 'refused') throw createError(BACKEND_ERRORS.http);
+        return {};
+      },
+      onAnswer: () => {},
+      onFailure: (entry) => failures.push(entry.signature)
+    });
+    queue.enqueue({ signature: 'refused' });
+    queue.enqueue({ signature: 'ok' });
+    await queue.flush();
+    assert.deepEqual(pendingDelays(), [2 * QUEUE_RETRY_BASE_MS]);
+
+    unreachable = false;
+    assert.equal(await queue.flush(), 1);
+    assert.deepEqual(failures, ['refused']);
+    assert.equal(queue.size, 0);
+
+    queue.enqueue({ signature: 'later' });
+    assert.deepEqual(pendingDelays(), [QUEUE_RETRY_BASE_MS]);
+  });
+
+  it('does not send while the browser is offline', async () => {
+    let sent = 0;
+    const queue = createAnalysisQueue({
+      send: async () => {
+        sent += 1;
+        return {};
+      },
+      onAnswer: () => {},
+      isOffline: () => true
+    });
+    queue.enqueue({ signature: 'a' });
+    assert.equal(await queue.flush(), 0);
+    assert.equal(sent, 0);
+    assert.equal(queue.size, 1);
+  });
+
+  it('aborts the replay in flight on cancel and drops the queue', async () => {
+    let signal = null;
+    const settled = [];
+    const queue = createAnalysisQueue({
+      send: (entry, replaySignal) =>
+        new Promise((resolve, reject) => {
+          signal = replaySignal;
+          replaySignal.addEventListener('abort', () => reject(createError(BACKEND_ERRORS.cancelled)));
+        }),
+      onAnswer: () => assert.fail('A cancelled replay has no answer.'),
+      onSettled: (sent) => settled.push(sent)
+    });
+    queue.enqueue({ signature: 'a' });
+    queue.enqueue({ signature: 'b' });
+    const replay = queue.flush();
+    assert.equal(queue.replaying, true);
+    queue.cancel('The panel was closed.');
+    assert.equal(await replay, 0);
+    assert.equal(signal.aborted, true);
+    assert.equal(signal.reason, 'The panel was closed.');
+    assert.equal(queue.size, 0);
+    assert.equal(queue.replaying, false);
+    assert.deepEqual(settled, []);
+    assert.deepEqual(pendingDelays(), []);
+  });
+});
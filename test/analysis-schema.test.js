@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAnalysisResponse } from '../public/analysis-schema.js';
+
+const sizes = { universalUploadSize: 1600, desktopRenderSize: 800, mobileRenderSize: 360 };
+
+describe('validateAnalysisResponse', () => {
+  it('keeps the required sizes and drops unknown fields', () => {
+    const { value, errors } = validateAnalysisResponse({ ...sizes, extra: '<b>x</b>' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, sizes);
+  });
+
+  it('lists every missing size', () => {
+    const { value, errors } = validateAnalysisResponse({ universalUploadSize: 1600 });
+    assert.equal(value, null);
+    assert.equal(errors.length, 2);
+  });
+
+  it('reads a format id', () => {
+    const { value } = validateAnalysisResponse({ ...sizes, format: 'WebP' });
+    assert.deepEqual(value.format, {
+      format: 'webp',
+      mimeType: 'image/webp',
+      quality: null,
+      lossless: false,
+      reasons: [],
+      alternatives: []
+    });
+  });
+
+  it('reads format advice shaped like the offline engine', () => {
+    const { value } = validateAnalysisResponse({
+      ...sizes,
+      format: {
+        format: 'avif',
+        quality: 54.6,
+        reasons: ['<i>Photo</i> content.'],
+        alternatives: ['webp', { format: 'jpeg', quality: 80, reasons: ['dropped'] }]
+      }
+    });
+    assert.deepEqual(value.format, {
+      format: 'avif',
+      mimeType: 'image/avif',
+      quality: 55,
+      lossless: false,
+      reasons: ['Photo content.'],
+      alternatives: [
+        { format: 'webp', mimeType: 'image/webp', quality: null, lossless: false },
+        { format: 'jpeg', mimeType: 'image/jpeg', quality: 80, lossless: false }
+      ]
+    });
+  });
+
+  it('rejects unknown formats and out-of-range quality', () => {
+    assert.equal(validateAnalysisResponse({ ...sizes, format: 'gif' }).value, null);
+    assert.equal(validateAnalysisResponse({ ...sizes, format: { format: 'webp', quality: 0 } }).value, null);
+    assert.equal(validateAnalysisResponse({ ...sizes, format: { format: 'png', lossless: 'yes' } }).value, null);
+  });
+
+  it('normalizes crop warnings to messages', () => {
+    const { value } = validateAnalysisResponse({
+      ...sizes,
+      cropWarnings: ['Crops the <b>sides</b>.', { message: 'Crops the top.' }, '']
+    });
+    assert.deepEqual(value.cropWarnings, [{ message: 'Crops the sides.' }, { message: 'Crops the top.' }]);
+    assert.equal(validateAnalysisResponse({ ...sizes, cropWarnings: 'sides' }).value, null);
+    assert.equal(validateAnalysisResponse({ ...sizes, cropWarnings: ['x'.repeat(301)] }).value, null);
+  });
+
+  it('sorts pixel ratios and rejects ratios above 4', () => {
+    assert.deepEqual(validateAnalysisResponse({ ...sizes, pixelRatios: [2, 1, 2, 1.5] }).value.pixelRatios, [1, 1.5, 2]);
+    assert.equal(validateAnalysisResponse({ ...sizes, pixelRatios: [1, 5] }).value, null);
+    assert.equal(validateAnalysisResponse({ ...sizes, pixelRatios: [0] }).value, null);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateByteSavings, estimateBytes, estimateTransferSeconds } from '../public/byte-estimates.js';
+
+describe('estimateBytes', () => {
+  it('multiplies the pixel count by the bytes per pixel of the format', () => {
+    assert.equal(estimateBytes(1000, 500, 'avif'), 50000);
+    assert.equal(estimateBytes(1000, 500, 'webp'), 70000);
+    assert.equal(estimateBytes(1000, 500, 'jpeg'), 110000);
+    assert.equal(estimateBytes(1000, 500, 'png'), 750000);
+    assert.equal(estimateBytes(1000, 500, 'webp', 'flat'), 25000);
+    assert.equal(estimateBytes(1000, 500, 'png', 'flat'), 40000);
+  });
+
+  it('uses the photo figures for an unknown content type', () => {
+    assert.equal(estimateBytes(1000, 500, 'jpeg', 'unknown'), 110000);
+  });
+
+  it('scales lossy formats by the quality level', () => {
+    assert.equal(estimateBytes(1000, 500, 'jpeg', 'photo', 'low'), 88000);
+    assert.equal(estimateBytes(1000, 500, 'jpeg', 'photo', 'balanced'), 110000);
+    assert.equal(estimateBytes(1000, 500, 'jpeg', 'photo', 'high'), 143000);
+    assert.equal(estimateBytes(1000, 500, 'avif', 'flat', 'high'), 26000);
+    assert.equal(estimateBytes(1000, 500, 'jpeg', 'photo', 'bogus'), 110000);
+  });
+
+  it('leaves lossless formats alone at every quality level', () => {
+    assert.equal(estimateBytes(1000, 500, 'png', 'photo', 'high'), 750000);
+    assert.equal(estimateBytes(1000, 500, 'gif', 'photo', 'low'), 300000);
+    assert.equal(estimateBytes(1000, 500, 'webp', 'flat', 'high'), 25000);
+  });
+
+  it('returns null for zero, missing or unknown sizes and formats', () => {
+    assert.equal(estimateBytes(0, 500, 'jpeg'), null);
+    assert.equal(estimateBytes(1000, 0, 'jpeg'), null);
+    assert.equal(estimateBytes(-1000, 500, 'jpeg'), null);
+    assert.equal(estimateBytes(undefined, 500, 'jpeg'), null);
+    assert.equal(estimateBytes(1000, Number.NaN, 'jpeg'), null);
+    assert.equal(estimateBytes(1000, 500, 'svg'), null);
+  });
+});
+
+describe('estimateByteSavings', () => {
+  const recommendations = {
+    universalUploadSize: 1600,
+    breakpoints: { main: { label: 'Desktop', requiredWidth: 1600 }, tiny: { label: 'Mobile portrait', requiredWidth: 800 } },
+    format: { format: 'avif', alternatives: [{ format: 'webp' }, { format: 'jpeg' }] }
+  };
+  const selection = { naturalWidth: 3200, naturalHeight: 2000 };
+
+  it('compares the current file with the recommended candidate for each breakpoint', () => {
+    const estimates = estimateByteSavings(recommendations, selection);
+    assert.equal(estimates.model, 'bytes-per-pixel');
+    assert.equal(estimates.recommendedFormat, 'avif');
+    assert.equal(estimates.quality, 'balanced');
+    assert.equal(estimates.aspectRatio, 1.6);
+    assert.equal(estimates.currentBytes, 1408000);
+    assert.equal(estimates.currentBytesSource, 'estimated');
+    assert.equal(estimates.universalBytes, 160000);
+    assert.equal(estimates.breakpoints.main.bytes, 160000);
+    assert.equal(estimates.breakpoints.tiny.bytes, 40000);
+    assert.equal(estimates.mobileSavings, 1368000);
+    assert.equal(estimates.desktopSavings, 1248000);
+    assert.equal(estimates.lcp.mobileSeconds, 6.84);
+  });
+
+  it('sizes the recommended files at the quality level of the recommendations', () => {
+    const high = estimateByteSavings({ ...recommendations, quality: 'high' }, selection);
+    assert.equal(high.quality, 'high');
+    assert.equal(high.universalBytes, 208000);
+    assert.equal(high.currentBytes, 1408000);
+    const low = estimateByteSavings({ ...recommendations, quality: 'low' }, selection);
+    assert.equal(low.universalBytes, 128000);
+    assert.equal(estimateByteSavings({ ...recommendations, quality: 'bogus' }, selection).quality, 'balanced');
+  });
+
+  it('prefers the measured transfer size and never reports negative savings', () => {
+    const estimates = estimateByteSavings(recommendations, { ...selection, transferSize: 100000 });
+    assert.equal(estimates.currentBytes, 100000);
+    assert.equal(estimates.currentBytesSource, 'transfer');
+    assert.equal(estimates.breakpoints.main.savings, 0);
+    assert.equal(estimates.breakpoints.tiny.savings, 60000);
+    assert.equal(estimates.lcp.desktopSeconds, null);
+  });
+
+  it('has no savings when the current file cannot be sized', () => {
+    const estimates = estimateByteSavings(recommendations, { naturalWidth: 0 });
+    assert.equal(estimates.currentBytes, null);
+    assert.equal(estimates.currentBytesSource, null);
+    assert.equal(estimates.aspectRatio, 1.5);
+    assert.equal(estimates.universalSavings, null);
+    assert.equal(estimates.mobileSavings, null);
+    assert.equal(estimates.lcp.mobileSeconds, null);
+  });
+
+  it('returns null without an upload size', () => {
+    assert.equal(estimateByteSavings(null, selection), null);
+    assert.equal(estimateByteSavings({ ...recommendations, universalUploadSize: 0 }, selection), null);
+  });
+});
+
+describe('estimateTransferSeconds', () => {
+  it('returns null for zero or missing byte counts', () => {
+    assert.equal(estimateTransferSeconds(0, { bytesPerSecond: 1000 }), null);
+    assert.equal(estimateTransferSeconds(null, { bytesPerSecond: 1000 }), null);
+    assert.equal(estimateTransferSeconds(2500, { bytesPerSecond: 1000 }), 2.5);
+  });
+});
@@ -0,0 +1,245 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import { deriveMeasuredWidths } from '../public/selection-core.js';
+import { buildRecommendations, getRecommendationOptions, recommendLoading } from '../public/recommendation-engine.js';
+
+// Runs the designer script against the mock Designer runtime, the way dev.html does, and checks that a
+// scripted selection is measured at every breakpoint and analyzed by the offline engine. jsdom has no
+// layout, so every element fills the width of the frame it is rendered in, scaled by data-scale and
+// offset by data-top (data-top-mobile below 768px), and hidden elements have no client rects.
+const DEV_PAGE_URL = new URL('../public/dev.html', import.meta.url).href;
+const DESIGNER_SCRIPT_URL = new URL('../public/webflow-app.js', import.meta.url);
+const PANEL_ORIGIN = 'null';
+const WAIT_TIMEOUT_MS = 20000;
+
+const PAGES = [
+  {
+    id: 'home',
+    name: 'Home',
+    slug: '',
+    render: () => `
+      <img id="hero-image" data-name="Hero image" alt="" width="2400" height="1200" />
+      <img id="hidden-image" data-name="Hidden image" alt="" style="display: none" />
+    `
+  },
+  {
+    id: 'gallery',
+    name: 'Gallery',
+    slug: 'gallery',
+    render: () => '<img id="gallery-image" data-name="Gallery image" alt="" width="1200" height="800" />'
+  },
+  {
+    // The promo image fills the first screen except on phones, where it moves below the fold and the logo
+    // becomes the largest media in view.
+    id: 'landing',
+    name: 'Landing',
+    slug: 'landing',
+    render: () => `
+      <img id="promo-image" data-name="Promo image" data-top-mobile="900" alt="" width="2400" height="1200" />
+      <img id="logo-image" data-name="Logo image" data-scale="0.25" alt="" width="600" height="300" />
+      <img id="footer-image" data-name="Footer image" data-top="2000" alt="" width="1200" height="600" />
+    `
+  },
+  {
+    id: 'cover',
+    name: 'Cover',
+    slug: 'cover',
+    render: () => `
+      <div id="cover-section" data-name="Cover section" style="background-image: url(cover.jpg)"></div>
+      <div id="closing-section" data-name="Closing section" data-top="2000" style="background-image: url(closing.jpg)"></div>
+    `
+  }
+];
+
+let dom;
+let runtime;
+let canvasWindow;
+const messages = [];
+// Layout reads per measurement frame document and element id.
+const frameRectReads = new Map();
+const panel = { postMessage: (message) => messages.push(message) };
+
+before(async () => {
+  dom = new JSDOM('<!DOCTYPE html><body><iframe id="canvas-frame"></iframe></body>', {
+    url: DEV_PAGE_URL,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  globalThis.window = window;
+
+  const { createMockDesignerRuntime } = await import('../public/mock-designer-runtime.js');
+  const canvasFrame = window.document.getElementById('canvas-frame');
+  runtime = createMockDesignerRuntime({ canvasFrame, pages: PAGES });
+  runtime.mock.mount();
+
+  canvasWindow = canvasFrame.contentWindow;
+  stubLayout(canvasWindow);
+  canvasWindow.__DEV_MODE_ = false;
+  canvasWindow.TextEncoder = TextEncoder;
+  // jsdom cannot resolve dynamic imports, so the script's import of selection-core.js goes through Node.
+  canvasWindow.__riaaImportSelectionCore = () => import('../public/selection-core.js');
+  const source = await readFile(DESIGNER_SCRIPT_URL, 'utf8');
+  canvasWindow.eval(source.replace('import(selectionCoreUrl)', '__riaaImportSelectionCore()'));
+
+  sendRequest('hello', { versions: [1], events: ['selection.changed'] });
+  await waitFor(() => messages.find((message) => message.id === 'hello'));
+});
+
+after(async () => {
+  // Clearing the selection disconnects the designer script's observers before the window is torn down.
+  await runtime?.setSelectedElement(null);
+  await waitFor(() => getLastSelectionEvent() && !getLastSelectionEvent().params?.selection?.primary);
+  dom?.window.close();
+  delete globalThis.window;
+});
+
+describe('mock Designer end to end', () => {
+  it('answers the panel handshake', () => {
+    const reply = messages.find((message) => message.id === 'hello');
+    assert.equal(reply.ok, true);
+  });
+
+  it('measures a scripted selection at every breakpoint and analyzes it offline', async () => {
+    await runtime.mock.play([{ page: 'home' }, { breakpoint: 'main' }, { select: '#hero-image' }]);
+    const selection = await waitForSelection('hero-image');
+
+    assert.equal(selection.measurementMethod, 'sweep');
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(selection.computedWidths).filter(([id]) => !isAlias(id))),
+      { xxl: 1920, xl: 1919, large: 1439, main: 1279, medium: 991, small: 767, tiny: 479 }
+    );
+    assert.equal(selection.hiddenBreakpoints.length, 0);
+
+    const recommendations = buildRecommendations(deriveMeasuredWidths(selection), getRecommendationOptions(selection));
+    assert.equal(recommendations.limitingBreakpoint, 'xxl');
+    assert.equal(recommendations.universalUploadSize, 2560);
+    assert.equal(recommendations.capped, true);
+    assert.equal(recommendations.desktopRenderSize, 1279);
+    assert.equal(recommendations.mobileRenderSize, 479);
+  });
+
+  it('reports elements hidden with display: none at every breakpoint', async () => {
+    await runtime.mock.play([{ select: '#hidden-image' }]);
+    const selection = await waitForSelection('hidden-image');
+    assert.equal(selection.hiddenBreakpoints.length, 7);
+    assert.equal(deriveMeasuredWidths(selection), null);
+  });
+
+  it('audits every media element on the page', async () => {
+    await runtime.mock.play([{ page: 'home' }]);
+    const id = sendRequest('page.scan', {});
+    const reply = await waitFor(() => messages.find((message) => message.id === id));
+    assert.equal(reply.ok, true);
+    assert.deepEqual(Array.from(reply.result.items, (item) => item.id).sort(), ['hero-image', 'hidden-image']);
+  });
+
+  it('ranks competing media once per breakpoint to find the fold and the likely LCP element', async () => {
+    await runtime.mock.play([{ page: 'landing' }, { breakpoint: 'main' }]);
+    frameRectReads.clear();
+    await runtime.mock.play([{ select: ['#promo-image', '#logo-image'] }]);
+    const promo = await waitForSelection('promo-image');
+    assert.deepEqual(Array.from(promo.aboveFoldBreakpoints), ['xxl', 'xl', 'large', 'main', 'medium']);
+    assert.deepEqual(Array.from(promo.lcpBreakpoints), ['xxl', 'xl', 'large', 'main', 'medium']);
+    assert.equal(recommendLoading(promo).status, 'lcp');
+    // Both selected images share a measurement frame, which reads a competitor's layout once per breakpoint.
+    assert.ok(frameRectReads.size > 0);
+    frameRectReads.forEach((reads) => assert.equal(reads.get('footer-image'), 7));
+
+    const logo = getLastSelectionEvent().params.selection.elements.find((element) => element.id === 'logo-image');
+    assert.equal(logo.aboveFoldBreakpoints.length, 7);
+    assert.deepEqual(Array.from(logo.lcpBreakpoints), ['small', 'tiny']);
+
+    await runtime.mock.play([{ select: '#footer-image' }]);
+    const footer = await waitForSelection('footer-image');
+    assert.equal(footer.aboveFoldBreakpoints.length, 0);
+    assert.equal(footer.lcpCandidate, false);
+    assert.equal(recommendLoading(footer).loading, 'lazy');
+  });
+
+  it('gives background layers preload advice only', async () => {
+    await runtime.mock.play([{ page: 'cover' }, { select: '#cover-section' }]);
+    const cover = await waitForSelection('cover-section');
+    assert.equal(cover.kind, 'background');
+    assert.equal(cover.lcpCandidate, true);
+    const coverAdvice = recommendLoading(cover);
+    assert.deepEqual([coverAdvice.loading, coverAdvice.fetchPriority, coverAdvice.preload], [null, null, true]);
+
+    await runtime.mock.play([{ select: '#closing-section' }]);
+    const closing = await waitForSelection('closing-section');
+    assert.equal(closing.lcpCandidate, false);
+    const closingAdvice = recommendLoading(closing);
+    assert.deepEqual([closingAdvice.loading, closingAdvice.fetchPriority, closingAdvice.preload], [null, null, false]);
+  });
+
+  it('follows page switches', async () => {
+    await runtime.mock.play([{ page: 'gallery' }, { breakpoint: 'tiny' }, { select: '#gallery-image' }]);
+    const selection = await waitForSelection('gallery-image');
+    assert.equal(selection.computedWidths.tiny, 479);
+    assert.equal(runtime.breakpoint.id, 'tiny');
+  });
+});
+
+function stubLayout(window) {
+  // Nodes keep their window's prototypes when the designer script clones them into its measurement frame.
+  const { HTMLElement } = window;
+  HTMLElement.prototype.getBoundingClientRect = function getBoundingClientRect() {
+    if (this.ownerDocument !== window.document && this.id) {
+      const reads = frameRectReads.get(this.ownerDocument) ?? new Map();
+      reads.set(this.id, (reads.get(this.id) ?? 0) + 1);
+      frameRectReads.set(this.ownerDocument, reads);
+    }
+    if (isHidden(this)) return toRect(0, 0);
+    const frameWidth = Number.parseFloat(this.ownerDocument.defaultView?.frameElement?.style.width) || 1024;
+    const width = frameWidth * (Number(this.dataset.scale) || 1);
+    const top = frameWidth < 768 && this.dataset.topMobile ? Number(this.dataset.topMobile) : Number(this.dataset.top) || 0;
+    return toRect(width, Math.round(width / 2), top);
+  };
+  HTMLElement.prototype.getClientRects = function getClientRects() {
+    return isHidden(this) ? [] : [this.getBoundingClientRect()];
+  };
+}
+
+function isHidden(node) {
+  return node.ownerDocument.defaultView?.getComputedStyle(node).display === 'none';
+}
+
+function toRect(width, height, top = 0) {
+  return { x: 0, y: top, top, left: 0, width, height, right: width, bottom: top + height };
+}
+
+function isAlias(id) {
+  return ['desktop', 'tablet', 'mobile'].includes(id);
+}
+
+let requestSequence = 0;
+
+function sendRequest(method, params) {
+  const id = method === 'hello' ? 'hello' : `request-${++requestSequence}`;
+  const data = { channel: 'riaa', version: 1, kind: 'request', id, method, params };
+  canvasWindow.dispatchEvent(new canvasWindow.MessageEvent('message', { data, origin: PANEL_ORIGIN, source: panel }));
+  return id;
+}
+
+function waitForSelection(elementId) {
+  return waitFor(() => {
+    const primary = getLastSelectionEvent()?.params?.selection?.primary;
+    return primary?.id === elementId && primary.measurementMethod ? primary : null;
+  });
+}
+
+function getLastSelectionEvent() {
+  return messages.findLast((message) => message.kind === 'event' && message.event === 'selection.changed');
+}
+
+async function waitFor(check) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for the designer script.');
+}
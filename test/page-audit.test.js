@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankAuditItems } from '../public/page-audit.js';
+
+const oversized = { auditId: 'a', kind: 'image', naturalWidth: 4000, naturalHeight: 2000, computedWidths: { main: 800 } };
+const sized = { auditId: 'b', kind: 'image', naturalWidth: 1600, naturalHeight: 800, computedWidths: { main: 800 } };
+
+describe('rankAuditItems', () => {
+  it('returns an empty list for anything but an array', () => {
+    assert.deepEqual(rankAuditItems(null), []);
+    assert.deepEqual(rankAuditItems({ items: [] }), []);
+  });
+
+  it('counts the pixels above the recommended upload and scales the transfer size by them', () => {
+    const [item] = rankAuditItems([{ ...oversized, transferSize: 800000 }]);
+    assert.equal(item.neededWidth, 1600);
+    assert.equal(item.renderedWidth, 800);
+    assert.equal(item.wastedPixels, 8000000 - 1600 * 800);
+    assert.equal(item.wastedBytes, 672000);
+    assert.equal(item.bytesEstimated, false);
+  });
+
+  it('falls back to the bytes-per-pixel model of the sampled content', () => {
+    const [photo] = rankAuditItems([oversized]);
+    assert.equal(photo.wastedBytes, Math.round(6720000 * 0.22));
+    assert.equal(photo.bytesEstimated, true);
+    const flat = { ...oversized, content: { sampled: true, colorCount: 12, sourceFormat: 'png' } };
+    assert.equal(rankAuditItems([flat])[0].wastedBytes, Math.round(6720000 * 0.08));
+  });
+
+  it('ranks by wasted bytes and skips unsized kinds and right-sized images', () => {
+    const hidden = { auditId: 'c', kind: 'image', naturalWidth: 1000, naturalHeight: 500, computedWidths: {} };
+    const svg = { auditId: 'd', kind: 'svg', naturalWidth: 4000, naturalHeight: 4000, computedWidths: { main: 40 } };
+    const ranked = rankAuditItems([svg, sized, null, hidden, { ...oversized, transferSize: 800000 }]);
+    assert.deepEqual(
+      ranked.map((item) => [item.auditId, item.wastedBytes]),
+      [
+        ['a', 672000],
+        ['c', 110000],
+        ['d', 0],
+        ['b', 0]
+      ]
+    );
+  });
+
+  it('uses the site settings for the needed width', () => {
+    const [item] = rankAuditItems([oversized], { pixelRatios: [1], roundingStep: 100 });
+    assert.equal(item.neededWidth, 800);
+  });
+});
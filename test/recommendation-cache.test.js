@@ -0,0 +1,62 @@
+import 'fake-indexeddb/auto';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCacheSignature,
+  clearRecommendationCache,
+  readCachedRecommendations,
+  writeCachedRecommendations
+} from '../public/recommendation-cache.js';
+
+const backend = { adapter: 'analyze', url: '/analyze', model: '' };
+const answer = { universalUploadSize: 1600, desktopRenderSize: 800, mobileRenderSize: 360, source: 'backend' };
+
+function signatureFor(widths, overrides = {}) {
+  return buildCacheSignature({
+    siteId: 'site',
+    backend,
+    elementId: 'hero',
+    payload: { element: { selector: '#hero' }, widths, settings: { pixelRatios: [1, 2] } },
+    ...overrides
+  });
+}
+
+describe('recommendation cache', () => {
+  it('misses an element that was never analyzed', async () => {
+    assert.equal(await readCachedRecommendations(signatureFor({ main: 321 })), null);
+  });
+
+  it('returns a stored answer with the time it was cached', async () => {
+    const signature = signatureFor({ main: 800 });
+    const before = Date.now();
+    assert.equal(await writeCachedRecommendations(signature, answer), true);
+    const cached = await readCachedRecommendations(signature);
+    assert.deepEqual(cached.recommendations, answer);
+    assert.ok(cached.cachedAt >= before && cached.cachedAt <= Date.now());
+  });
+
+  it('misses once the measurement, the backend or the site changes', async () => {
+    await writeCachedRecommendations(signatureFor({ main: 640 }), answer);
+    assert.equal(await readCachedRecommendations(signatureFor({ main: 641 })), null);
+    assert.equal(await readCachedRecommendations(signatureFor({ main: 640, tiny: 360 })), null);
+    assert.equal(
+      await readCachedRecommendations(signatureFor({ main: 640 }, { backend: { ...backend, model: 'other' } })),
+      null
+    );
+    assert.equal(await readCachedRecommendations(signatureFor({ main: 640 }, { siteId: 'other-site' })), null);
+    assert.notEqual(await readCachedRecommendations(signatureFor({ main: 640 })), null);
+  });
+
+  it('misses expired answers', async () => {
+    const signature = signatureFor({ main: 500 });
+    await writeCachedRecommendations(signature, answer, -1);
+    assert.equal(await readCachedRecommendations(signature), null);
+  });
+
+  it('forgets every answer when cleared', async () => {
+    const signature = signatureFor({ main: 900 });
+    await writeCachedRecommendations(signature, answer);
+    assert.equal(await clearRecommendationCache(), true);
+    assert.equal(await readCachedRecommendations(signature), null);
+  });
+});
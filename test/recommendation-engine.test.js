@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_MAX_UPLOAD_WIDTH,
+  buildRecommendations,
+  recommendLoading,
+  roundUp
+} from '../public/recommendation-engine.js';
+import { buildSizesAttribute } from '../public/responsive-markup.js';
+import { deriveMeasuredWidths } from '../public/selection-core.js';
+
+describe('roundUp', () => {
+  it('rounds up to the step', () => {
+    assert.equal(roundUp(1601, 50), 1650);
+    assert.equal(roundUp(1600, 50), 1600);
+    assert.equal(roundUp(1.2, 1), 2);
+  });
+
+  it('returns 0 for missing or non-positive values', () => {
+    assert.equal(roundUp(0, 50), 0);
+    assert.equal(roundUp(-10, 50), 0);
+    assert.equal(roundUp(Number.NaN, 50), 0);
+  });
+});
+
+describe('buildRecommendations', () => {
+  it('returns null without measured widths', () => {
+    assert.equal(buildRecommendations(null), null);
+    assert.equal(buildRecommendations({ main: 0, tiny: null }), null);
+  });
+
+  it('sizes the upload for the widest breakpoint at the highest pixel ratio', () => {
+    const result = buildRecommendations({ main: 801, tiny: 360 });
+    assert.equal(result.universalUploadSize, 1650);
+    assert.equal(result.desktopRenderSize, 801);
+    assert.equal(result.mobileRenderSize, 360);
+    assert.equal(result.limitingBreakpoint, 'main');
+    assert.equal(result.breakpoints.main.requiredWidth, 1602);
+    assert.equal(result.capped, false);
+    assert.equal(result.source, 'local');
+  });
+
+  it('lists one density candidate per pixel ratio, rounded to the step', () => {
+    const result = buildRecommendations({ main: 801, tiny: 360 }, { pixelRatios: [3, 1, 2, 2] });
+    assert.deepEqual(result.pixelRatios, [1, 2, 3]);
+    assert.deepEqual(result.breakpoints.tiny.densities, [
+      { ratio: 1, width: 400 },
+      { ratio: 2, width: 750 },
+      { ratio: 3, width: 1100 }
+    ]);
+    assert.equal(result.universalUploadSize, 2450);
+  });
+
+  it('falls back to 1x and 2x for invalid pixel ratios', () => {
+    assert.deepEqual(buildRecommendations({ main: 800 }, { pixelRatios: [0, 'x'] }).pixelRatios, [1, 2]);
+  });
+
+  it('uses the rounding step from the settings', () => {
+    assert.equal(buildRecommendations({ main: 801 }, { roundingStep: 100 }).universalUploadSize, 1700);
+    assert.equal(buildRecommendations({ main: 801 }, { roundingStep: 1 }).universalUploadSize, 1602);
+  });
+
+  it('caps the upload and each density at the maximum upload width', () => {
+    const result = buildRecommendations({ main: 1800 });
+    assert.equal(result.universalUploadSize, DEFAULT_MAX_UPLOAD_WIDTH);
+    assert.equal(result.capped, true);
+    assert.deepEqual(
+      result.breakpoints.main.densities.map((density) => density.width),
+      [1800, DEFAULT_MAX_UPLOAD_WIDTH]
+    );
+    assert.equal(buildRecommendations({ main: 1800 }, { maxUploadWidth: 3000 }).universalUploadSize, 3000);
+  });
+
+  it('derives the upload height from the intrinsic aspect ratio', () => {
+    const result = buildRecommendations({ main: 800 }, { intrinsicAspectRatio: 1.5 });
+    assert.equal(result.universalUploadSize, 1600);
+    assert.equal(result.universalUploadHeight, 1067);
+  });
+
+  it('needs more width when object-fit: cover crops the sides', () => {
+    const result = buildRecommendations(
+      { main: 800, tiny: 360 },
+      { objectFit: 'cover', intrinsicAspectRatio: 1.5, heights: { main: 533, tiny: 640 } }
+    );
+    assert.equal(result.breakpoints.tiny.cropAxis, 'width');
+    assert.equal(result.breakpoints.tiny.requiredWidth, 1920);
+    assert.equal(result.limitingBreakpoint, 'tiny');
+    assert.equal(result.universalUploadSize, 1950);
+    assert.equal(result.cropWarnings.length, 1);
+    assert.equal(result.cropWarnings[0].breakpoint, 'tiny');
+  });
+
+  it('mentions breakpoints where the element is hidden', () => {
+    const result = buildRecommendations({ main: 800 }, { hiddenBreakpoints: ['tiny'] });
+    assert.match(result.explanation, /hidden at Mobile portrait/);
+  });
+});
+
+describe('an element hidden at mobile', () => {
+  const selection = {
+    computedWidths: { xxl: 960, xl: 720, large: 640, main: 500, medium: 500, small: null, tiny: null },
+    hiddenBreakpoints: ['small', 'tiny']
+  };
+  const widths = deriveMeasuredWidths(selection);
+
+  it('keeps the mobile alias empty', () => {
+    assert.equal(widths.mobile, null);
+    assert.equal(widths.desktop, 960);
+  });
+
+  it('gets no width, render size or sizes entry at the hidden breakpoints', () => {
+    const result = buildRecommendations(widths, { hiddenBreakpoints: selection.hiddenBreakpoints });
+    assert.deepEqual(Object.keys(result.breakpoints), ['xxl', 'xl', 'large', 'main', 'medium']);
+    assert.equal(result.mobileRenderSize, null);
+    assert.equal(result.desktopRenderSize, 500);
+    assert.match(result.explanation, /hidden at Mobile landscape, Mobile portrait/);
+    assert.equal(
+      buildSizesAttribute(widths, selection.hiddenBreakpoints),
+      '(min-width: 1920px) 960px, (min-width: 1440px) 720px, (min-width: 1280px) 640px, 500px'
+    );
+  });
+
+  it('does not let an alias fill a hidden breakpoint', () => {
+    const result = buildRecommendations({ main: 500, mobile: 500 }, { hiddenBreakpoints: ['tiny'] });
+    assert.equal(result.breakpoints.tiny, undefined);
+    assert.equal(result.mobileRenderSize, null);
+  });
+});
+
+describe('recommendLoading', () => {
+  it('returns null before the fold position is known', () => {
+    assert.equal(recommendLoading({ kind: 'image' }), null);
+  });
+
+  it('loads the likely LCP image eagerly with high priority', () => {
+    const advice = recommendLoading({
+      kind: 'image',
+      aboveFoldBreakpoints: ['main'],
+      lcpBreakpoints: ['main'],
+      loading: 'lazy'
+    });
+    assert.deepEqual([advice.loading, advice.fetchPriority, advice.preload], ['eager', 'high', true]);
+    assert.equal(advice.warnings.length, 1);
+  });
+
+  it('lazy-loads images below the fold', () => {
+    assert.equal(recommendLoading({ kind: 'image', aboveFoldBreakpoints: [] }).loading, 'lazy');
+  });
+
+  it('gives background images preload advice only', () => {
+    const lcp = recommendLoading({ kind: 'background', aboveFoldBreakpoints: ['main'], lcpBreakpoints: ['main'] });
+    const below = recommendLoading({ kind: 'background', aboveFoldBreakpoints: [] });
+    for (const advice of [lcp, below]) {
+      assert.deepEqual([advice.loading, advice.fetchPriority, advice.decoding], [null, null, null]);
+    }
+    assert.equal(lcp.preload, true);
+    assert.equal(below.preload, false);
+  });
+});
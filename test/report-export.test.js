@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, createReportRow } from '../public/report-export.js';
+
+function exportCsv(overrides) {
+  const row = createReportRow({
+    selection: { label: 'Hero', selector: '#hero', kind: 'image', computedWidths: { main: 900 } },
+    recommendations: { universalUploadSize: 1800, explanation: 'Fine.' },
+    ...overrides
+  });
+  return buildReport([row], 'csv').split('\r\n')[1];
+}
+
+describe('CSV export', () => {
+  it('quotes cells that spreadsheets would run as formulas', () => {
+    const line = exportCsv({
+      selection: { label: '=HYPERLINK("https://example.com")', selector: '@hero', kind: 'image' },
+      recommendations: { universalUploadSize: 1800, explanation: '-2+3' }
+    });
+    assert.ok(line.startsWith(`"'=HYPERLINK(""https://example.com"")",'@hero,image,`));
+    assert.ok(line.includes(",'-2+3,"));
+  });
+
+  it('leaves numbers and plain text alone', () => {
+    const line = exportCsv({});
+    assert.ok(line.startsWith('Hero,#hero,image,,'));
+    assert.ok(line.includes(',900,'));
+    assert.ok(line.includes(',1800,'));
+    assert.ok(line.includes(',Fine.,'));
+  });
+});
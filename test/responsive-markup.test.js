@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCandidateWidths, buildImageMarkup, buildSizesAttribute } from '../public/responsive-markup.js';
+
+describe('buildCandidateWidths', () => {
+  it('sorts and deduplicates the widths of every breakpoint and the upload', () => {
+    const widths = buildCandidateWidths({
+      universalUploadSize: 1600,
+      breakpoints: {
+        main: { densities: [{ ratio: 1, width: 800 }, { ratio: 2, width: 1600 }] },
+        medium: { densities: [{ ratio: 1, width: 800 }, { ratio: 2, width: 1600 }] },
+        tiny: { densities: [{ ratio: 1, width: 400 }, { ratio: 2, width: 800 }] }
+      }
+    });
+    assert.deepEqual(widths, [400, 800, 1600]);
+  });
+
+  it('drops widths that are less than 20% wider than the previous one but keeps the largest', () => {
+    const widths = buildCandidateWidths({
+      universalUploadSize: 1600,
+      breakpoints: {
+        main: { densities: [{ ratio: 1, width: 800 }, { ratio: 2, width: 1600 }] },
+        medium: { densities: [{ ratio: 1, width: 700 }, { ratio: 2, width: 1400 }] },
+        tiny: { densities: [{ ratio: 1, width: 360 }, { ratio: 2, width: 720 }] }
+      }
+    });
+    assert.deepEqual(widths, [360, 700, 1600]);
+  });
+
+  it('leaves out widths below 240px and above the upload size', () => {
+    const widths = buildCandidateWidths({
+      universalUploadSize: 2000,
+      breakpoints: {
+        main: { densities: [{ ratio: 1, width: 1200 }, { ratio: 2, width: 2400 }] },
+        tiny: { densities: [{ ratio: 1, width: 200 }, { ratio: 2, width: 400 }] }
+      }
+    });
+    assert.deepEqual(widths, [400, 1200, 2000]);
+  });
+
+  it('returns no candidates without recommendations', () => {
+    assert.deepEqual(buildCandidateWidths(null), []);
+    assert.deepEqual(buildCandidateWidths({ breakpoints: {} }), []);
+  });
+});
+
+describe('buildSizesAttribute', () => {
+  it('lists min-width queries widest first and max-width queries narrowest first', () => {
+    const sizes = buildSizesAttribute({ xxl: 1200, xl: 1000, main: 800, small: 600, tiny: 400 });
+    assert.equal(
+      sizes,
+      '(min-width: 1920px) 1200px, (min-width: 1440px) 1000px, (max-width: 479px) 400px, (max-width: 767px) 600px, 800px'
+    );
+  });
+
+  it('skips a breakpoint whose size matches the one it would fall back to', () => {
+    const sizes = buildSizesAttribute({ xl: 800, large: 800, main: 800, medium: 800, tiny: 360 });
+    assert.equal(sizes, '(max-width: 479px) 360px, 800px');
+  });
+
+  it('uses 100vw for an element that fills the viewport', () => {
+    assert.equal(buildSizesAttribute({ main: 1270, tiny: 479 }), '100vw');
+  });
+
+  it('lets missing breakpoints follow the next wider measured one', () => {
+    assert.equal(buildSizesAttribute({ main: 640, tiny: 360 }), '(max-width: 479px) 360px, 640px');
+    assert.equal(buildSizesAttribute({ medium: 600, tiny: 360 }), '(max-width: 479px) 360px, 600px');
+  });
+
+  it('gives hidden breakpoints no entry, including through their alias', () => {
+    assert.equal(buildSizesAttribute({ main: 800, tiny: 360, mobile: 360 }, ['tiny']), '800px');
+    assert.equal(buildSizesAttribute({ desktop: 800, medium: 600 }, ['main']), '600px');
+  });
+
+  it('returns null without a usable width', () => {
+    assert.equal(buildSizesAttribute(null), null);
+    assert.equal(buildSizesAttribute({ main: 0, tiny: 'none' }), null);
+    assert.equal(buildSizesAttribute({ tiny: 360 }, ['tiny']), null);
+  });
+});
+
+describe('buildImageMarkup', () => {
+  it('writes the srcset in candidate order and uses the largest candidate as src', () => {
+    const markup = buildImageMarkup({ src: 'hero.jpg', candidates: [480, 960], sizes: '50vw', width: 960, height: 640 });
+    assert.equal(
+      markup,
+      '<img src="hero-p-960.jpg" srcset="hero-p-480.jpg 480w, hero-p-960.jpg 960w" sizes="50vw" width="960" height="640" alt="">'
+    );
+  });
+
+  it('leaves out srcset and sizes without candidates', () => {
+    assert.equal(buildImageMarkup({ src: 'hero.jpg', sizes: '50vw' }), '<img src="hero.jpg" alt="">');
+  });
+
+  it('adds one source per format in the given order', () => {
+    const markup = buildImageMarkup({
+      src: 'hero.jpg',
+      candidates: [480, 960],
+      sizes: '50vw',
+      variant: 'picture',
+      sourceFormats: ['avif', 'webp']
+    });
+    assert.equal(
+      markup,
+      [
+        '<picture>',
+        '  <source type="image/avif" srcset="hero-p-480.avif 480w, hero-p-960.avif 960w" sizes="50vw">',
+        '  <source type="image/webp" srcset="hero-p-480.webp 480w, hero-p-960.webp 960w" sizes="50vw">',
+        '  <img src="hero-p-960.jpg" srcset="hero-p-480.jpg 480w, hero-p-960.jpg 960w" sizes="50vw" alt="">',
+        '</picture>'
+      ].join('\n')
+    );
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createEmptySelectionState,
+  deriveMeasuredWidths,
+  extractSelectionArray,
+  getSelectionSignature,
+  normalizeIncomingSelection
+} from '../public/selection-core.js';
+
+const hero = { id: 'hero', tagName: 'img', selector: '#hero' };
+const card = { id: 'card', tagName: 'img', selector: '.card' };
+
+describe('extractSelectionArray', () => {
+  it('returns an empty list for null, undefined and non-objects', () => {
+    assert.deepEqual(extractSelectionArray(null), []);
+    assert.deepEqual(extractSelectionArray(undefined), []);
+    assert.deepEqual(extractSelectionArray('hero'), []);
+    assert.deepEqual(extractSelectionArray(42), []);
+  });
+
+  it('keeps element arrays and drops empty entries', () => {
+    assert.deepEqual(extractSelectionArray([hero, null, card, undefined]), [hero, card]);
+    assert.deepEqual(extractSelectionArray([]), []);
+  });
+
+  it('wraps a single element', () => {
+    assert.deepEqual(extractSelectionArray(hero), [hero]);
+  });
+
+  for (const key of ['selectedElements', 'elements', 'selection']) {
+    it(`reads { ${key} } lists`, () => {
+      assert.deepEqual(extractSelectionArray({ [key]: [hero, null, card] }), [hero, card]);
+      assert.deepEqual(extractSelectionArray({ [key]: [] }), []);
+    });
+  }
+
+  for (const key of ['selectedElement', 'element', 'primary']) {
+    it(`unwraps { ${key} }`, () => {
+      assert.deepEqual(extractSelectionArray({ [key]: hero }), [hero]);
+      assert.deepEqual(extractSelectionArray({ [key]: null }), []);
+    });
+  }
+
+  it('prefers the list of a bridge selection state over its primary', () => {
+    assert.deepEqual(extractSelectionArray({ elements: [hero, card], primary: card }), [hero, card]);
+    assert.deepEqual(extractSelectionArray({ elements: [], primary: null }), []);
+  });
+});
+
+describe('normalizeIncomingSelection', () => {
+  it('returns the empty state for null, undefined and empty payloads', () => {
+    assert.deepEqual(normalizeIncomingSelection(null), createEmptySelectionState());
+    assert.deepEqual(normalizeIncomingSelection(undefined), createEmptySelectionState());
+    assert.deepEqual(normalizeIncomingSelection([]), createEmptySelectionState());
+    assert.deepEqual(normalizeIncomingSelection({ selectedElement: null }), createEmptySelectionState());
+  });
+
+  it('uses the first element as primary for arrays and lists', () => {
+    assert.deepEqual(normalizeIncomingSelection([hero, card]), { elements: [hero, card], primary: hero });
+    assert.deepEqual(normalizeIncomingSelection({ selectedElements: [card, hero] }), {
+      elements: [card, hero],
+      primary: card
+    });
+  });
+
+  it('normalizes single elements and wrappers', () => {
+    assert.deepEqual(normalizeIncomingSelection(hero), { elements: [hero], primary: hero });
+    assert.deepEqual(normalizeIncomingSelection({ element: hero }), { elements: [hero], primary: hero });
+    assert.deepEqual(normalizeIncomingSelection({ selectedElement: card }), { elements: [card], primary: card });
+  });
+
+  it('keeps the primary of a bridge selection state', () => {
+    assert.deepEqual(normalizeIncomingSelection({ elements: [hero, card], primary: card }), {
+      elements: [hero, card],
+      primary: card
+    });
+  });
+
+  it('ignores a primary that is not an element', () => {
+    assert.deepEqual(normalizeIncomingSelection({ elements: [hero, card], primary: 'card' }), {
+      elements: [hero, card],
+      primary: hero
+    });
+  });
+});
+
+describe('deriveMeasuredWidths', () => {
+  it('returns null without a selection or widths', () => {
+    assert.equal(deriveMeasuredWidths(null), null);
+    assert.equal(deriveMeasuredWidths(undefined), null);
+    assert.equal(deriveMeasuredWidths(hero), null);
+    assert.equal(deriveMeasuredWidths({ ...hero, computedWidths: { main: null, tiny: 0 } }), null);
+  });
+
+  it('prefers widths reported by the Designer', () => {
+    const widths = deriveMeasuredWidths({
+      widths: { desktop: 800, main: 820, tiny: '360' },
+      computedWidths: { main: 900, tiny: 400 }
+    });
+    assert.deepEqual(widths, { main: 820, tiny: 360, desktop: 800, mobile: 800 });
+  });
+
+  it('fills a missing Designer width from the other one', () => {
+    assert.deepEqual(deriveMeasuredWidths({ widths: { mobile: 375 } }), { mobile: 375, desktop: 375 });
+  });
+
+  it('reads the breakpoint sweep of the designer script', () => {
+    const widths = deriveMeasuredWidths({
+      computedWidths: { xxl: 1200, main: 900, tiny: 360, desktop: 900, mobile: 360, bogus: 5 }
+    });
+    assert.deepEqual(widths, { xxl: 1200, main: 900, tiny: 360, desktop: 900, mobile: 360 });
+  });
+
+  it('falls back to the widest breakpoint when the aliases are missing', () => {
+    assert.deepEqual(deriveMeasuredWidths({ computedWidths: { main: 900, small: 640 } }), {
+      main: 900,
+      small: 640,
+      desktop: 900,
+      mobile: 900
+    });
+  });
+
+  it('leaves the alias of a hidden breakpoint empty', () => {
+    assert.deepEqual(
+      deriveMeasuredWidths({ computedWidths: { main: 900, tiny: null }, hiddenBreakpoints: ['tiny'] }),
+      { main: 900, desktop: 900, mobile: null }
+    );
+    assert.deepEqual(deriveMeasuredWidths({ widths: { desktop: 800 }, hiddenBreakpoints: ['main'] }), {
+      desktop: null,
+      mobile: 800
+    });
+  });
+
+  it('reads the flat desktop and mobile fields', () => {
+    assert.deepEqual(deriveMeasuredWidths({ computedWidthDesktop: 960 }), { desktop: 960, mobile: 960 });
+    assert.deepEqual(deriveMeasuredWidths({ computedWidthDesktop: 960, computedWidthMobile: 320 }), {
+      desktop: 960,
+      mobile: 320
+    });
+  });
+});
+
+describe('getSelectionSignature', () => {
+  it('is the same for null, undefined and the empty state', () => {
+    const empty = getSelectionSignature(createEmptySelectionState());
+    assert.equal(getSelectionSignature(null), empty);
+    assert.equal(getSelectionSignature(undefined), empty);
+  });
+
+  it('ignores measured values', () => {
+    const before = { elements: [{ ...hero, computedWidths: { main: 900 } }], primary: hero };
+    const after = { elements: [{ ...hero, computedWidths: { main: 700 } }], primary: hero };
+    assert.equal(getSelectionSignature(before), getSelectionSignature(after));
+  });
+
+  it('changes with the selected elements and their order', () => {
+    const single = getSelectionSignature({ elements: [hero], primary: hero });
+    const both = getSelectionSignature({ elements: [hero, card], primary: hero });
+    const reversed = getSelectionSignature({ elements: [card, hero], primary: hero });
+    assert.notEqual(single, both);
+    assert.notEqual(both, reversed);
+  });
+
+  it('identifies elements by id, elementId or selector', () => {
+    const byElementId = getSelectionSignature({ elements: [{ elementId: 'hero' }], primary: null });
+    const bySelector = getSelectionSignature({ elements: [{ selector: 'hero' }], primary: null });
+    assert.equal(byElementId, getSelectionSignature({ elements: [{ id: 'hero' }], primary: null }));
+    assert.equal(bySelector, byElementId);
+    assert.notEqual(getSelectionSignature({ elements: [{ id: 'card' }], primary: null }), byElementId);
+  });
+
+  it('changes with the primary selector and tag', () => {
+    const image = getSelectionSignature({ elements: [hero], primary: hero });
+    const picture = getSelectionSignature({ elements: [hero], primary: { ...hero, tagName: 'picture' } });
+    assert.notEqual(image, picture);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { VIDEO_MACROBLOCK, recommendVideo } from '../public/video-recommendations.js';
+
+const breakpoints = {
+  main: { label: 'Desktop', renderWidth: 900, renderHeight: 506, requiredWidth: 1800 },
+  tiny: { label: 'Mobile portrait', renderWidth: 360, renderHeight: 640, requiredWidth: 720, cropAxis: 'width' }
+};
+
+function advise(naturalWidth, naturalHeight, format = null) {
+  return recommendVideo(
+    { kind: 'video', naturalWidth, naturalHeight, video: { poster: 'poster.jpg' } },
+    { universalUploadSize: 1600, pixelRatios: [1, 2], breakpoints, format }
+  );
+}
+
+describe('recommendVideo encode sizes', () => {
+  for (const [width, height] of [
+    [1920, 1080],
+    [1000, 563],
+    [1280, 720]
+  ]) {
+    it(`keeps both sides on the macroblock grid for a ${width}×${height} source`, () => {
+      Object.values(advise(width, height).breakpoints).forEach((entry) => {
+        assert.equal(entry.encodeWidth % VIDEO_MACROBLOCK, 0);
+        assert.equal(entry.encodeHeight % VIDEO_MACROBLOCK, 0);
+        assert.ok(entry.encodeWidth <= width && entry.encodeHeight <= height);
+      });
+    });
+  }
+
+  it('rounds the short side up when the source is large enough', () => {
+    const { main } = advise(1920, 1080).breakpoints;
+    assert.deepEqual([main.encodeWidth, main.encodeHeight, main.limitedBySource], [1360, 768, false]);
+  });
+
+  it('caps at the largest macroblock size inside a smaller source', () => {
+    const { main, tiny } = advise(1000, 563).breakpoints;
+    assert.deepEqual([main.encodeWidth, main.encodeHeight, main.limitedBySource], [992, 560, true]);
+    assert.deepEqual([tiny.encodeWidth, tiny.encodeHeight, tiny.cropped], [304, 544, true]);
+  });
+});
+
+describe('recommendVideo poster format', () => {
+  it('skips AVIF for the first lossy fallback', () => {
+    const format = { format: 'avif', quality: 55, alternatives: [{ format: 'webp', quality: 78 }] };
+    assert.equal(advise(1920, 1080, format).poster.format.format, 'webp');
+  });
+
+  it('never recommends SVG or lossless formats for a video frame', () => {
+    const png = { format: 'png', lossless: true, alternatives: [{ format: 'webp', lossless: true }] };
+    const svg = { format: 'svg', alternatives: [] };
+    assert.equal(advise(1920, 1080, png).poster.format.format, 'jpeg');
+    assert.equal(advise(1920, 1080, svg).poster.format.format, 'jpeg');
+    assert.equal(advise(1920, 1080, svg).poster.format.lossless, false);
+  });
+});